@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+
+require('../src/cli').run(process.argv.slice(2));
@@ -0,0 +1,84 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const logger = require('../src/utils/logger');
+const { createAdapterWithTunnel, closeTunnel } = require('../src/database/adapter-factory');
+const { describeRows } = require('../src/database/column-types');
+
+// Compares batched INSERTs with the bulk load path (COPY on PostgreSQL,
+// LOAD DATA LOCAL INFILE on MySQL) against the database configured in .env:
+//   npm run benchmark:bulk-load -- 100000
+// Rows look like a stock balance report page. The benchmark table is dropped
+// afterwards.
+const TABLE_NAME = 'jasper_benchmark_bulk_load';
+const KEY_COLUMNS = ['_row_key'];
+
+function buildRows(count) {
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const row = {
+      office_code: 'BCTN',
+      warehouse_code: `WH-${i % 20}`,
+      location_code: `LOC-${i % 200}`,
+      item_code: `ITEM-${String(i).padStart(7, '0')}`,
+      item_name: `Benchmark item ${i} with a reasonably long description`,
+      uom: 'PCS',
+      qty_on_hand: i % 1000,
+      qty_reserved: i % 37,
+      unit_cost: (i % 5000) * 1.25,
+      last_movement_date: '2024-01-15',
+      _office_code: 'BCTN',
+      _date_from: '2024-01-01',
+      _date_to: '2024-01-31',
+      _run_id: 'benchmark',
+      _source_page: 1,
+    };
+    row._row_key = crypto.createHash('sha1').update(row.item_code).digest('hex');
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function timeWrites(db, label, rows, batchSize, write) {
+  await db.truncateTable(TABLE_NAME);
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await write(rows.slice(i, i + batchSize));
+  }
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  const result = { label, rows: rows.length, seconds: seconds.toFixed(2), rowsPerSecond: Math.round(rows.length / seconds) };
+  logger.info(`${label}: ${result.rows} rows in ${result.seconds}s (${result.rowsPerSecond} rows/s)`);
+  return result;
+}
+
+async function main() {
+  const count = parseInt(process.argv[2] || '50000', 10);
+  const rows = buildRows(count);
+  const db = await createAdapterWithTunnel();
+
+  try {
+    await db.connect();
+    await db.dropTable(TABLE_NAME);
+    await db.createTable(TABLE_NAME, describeRows(rows.slice(0, 1000)), { uniqueKey: KEY_COLUMNS });
+
+    logger.info(`Benchmarking ${count} rows on ${process.env.DB_PROVIDER || 'mysql'}`);
+    const results = [
+      await timeWrites(db, 'INSERT, 100 rows per statement', rows, 100, (batch) => db.upsertBatch(TABLE_NAME, batch, KEY_COLUMNS)),
+      await timeWrites(db, 'Bulk load, 5000 rows per batch', rows, 5000, (batch) => db.bulkLoad(TABLE_NAME, batch, KEY_COLUMNS)),
+    ];
+    console.table(results);
+  } catch (error) {
+    logger.error('Benchmark failed', { error: error.message, stack: error.stack });
+    process.exitCode = 1;
+  } finally {
+    try {
+      await db.dropTable(TABLE_NAME);
+    } catch (error) {
+      logger.warn(`Failed to drop ${TABLE_NAME}`, { error: error.message });
+    }
+    await db.disconnect();
+    await closeTunnel();
+  }
+}
+
+main();
@@ -1,80 +1,68 @@
-require('dotenv').config();
-
-const logger = require('./utils/logger');
+const logger = require('./utils/logger').child({ module: 'cleanup' });
 const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
+const RunRecorder = require('./services/run-recorder');
+const { selectEndpoints } = require('./endpoints/select');
+
+// An endpoint's table and its declared nested child tables, at every level
+function endpointTables(endpoint) {
+  const nestedNames = (config) => (config.nestedTables || [])
+    .flatMap((nested) => [nested.childTable, ...nestedNames(nested)]);
+  return [endpoint.tableName, ...nestedNames(endpoint)];
+}
 
-async function cleanup() {
-  const mode = process.argv[2] || 'truncate'; // truncate or drop
-  const targetTable = process.argv[3]; // Optional: specific table name
+// The `cleanup` command (see cli.js): truncate, or with options.drop drop,
+// the tables of options.endpoints, or every jasper_* table except the
+// jasper_fetch_* bookkeeping tables. options.dryRun only lists the tables.
+async function main(options = {}) {
+  const mode = options.drop ? 'drop' : 'truncate';
 
   logger.info('Jasper Data Cleanup');
   logger.info(`Mode: ${mode}`);
   logger.info(`Database: ${process.env.DB_NAME}`);
-  if (targetTable) logger.info(`Target table: ${targetTable}`);
 
-  const db = await createAdapterWithTunnel();
+  const db = options.db || await createAdapterWithTunnel();
+  let tables = [];
 
   try {
     await db.connect();
 
-    let tables = [];
-
-    if (targetTable) {
-      // Target specific table
-      const tableName = targetTable.startsWith('jasper_') ? targetTable : `jasper_${targetTable}`;
-      tables = [tableName];
-    } else {
-      // Get all jasper_* tables
-      if (process.env.DB_PROVIDER === 'postgres') {
-        const result = await db.pool.query(
-          `SELECT table_name FROM information_schema.tables
-           WHERE table_schema = 'public' AND table_name LIKE 'jasper_%'`
-        );
-        tables = result.rows.map(r => r.table_name);
-      } else {
-        const [rows] = await db.pool.query(
-          `SELECT table_name FROM information_schema.tables
-           WHERE table_schema = ? AND table_name LIKE 'jasper_%'`,
-          [process.env.DB_NAME]
-        );
-        tables = rows.map(r => r.TABLE_NAME || r.table_name);
+    if (options.endpoints && options.endpoints.length) {
+      const selected = selectEndpoints(options.endpoints).flatMap(endpointTables);
+      for (const table of selected) {
+        if (await db.tableExists(table)) tables.push(table);
       }
+    } else {
+      // Get all jasper_* tables, keeping run history and other bookkeeping tables
+      tables = (await db.listTables('jasper_'))
+        .filter((t) => !t.startsWith(RunRecorder.SYSTEM_TABLE_PREFIX));
     }
 
     if (tables.length === 0) {
       logger.info('No jasper_* tables found');
-      return;
+      return { mode, tables };
     }
 
     logger.info(`Found ${tables.length} table(s): ${tables.join(', ')}`);
+    if (options.dryRun) return { mode, tables };
 
     for (const table of tables) {
       if (mode === 'drop') {
-        if (process.env.DB_PROVIDER === 'postgres') {
-          await db.pool.query(`DROP TABLE IF EXISTS "${table}" CASCADE`);
-        } else {
-          await db.pool.query(`DROP TABLE IF EXISTS \`${table}\``);
-        }
-        logger.info(`Dropped: ${table}`);
+        await db.dropTable(table);
       } else {
-        // truncate
-        if (process.env.DB_PROVIDER === 'postgres') {
-          await db.pool.query(`TRUNCATE TABLE "${table}" RESTART IDENTITY`);
-        } else {
-          await db.pool.query(`TRUNCATE TABLE \`${table}\``);
-        }
-        logger.info(`Truncated: ${table}`);
+        await db.truncateTable(table);
       }
     }
 
     logger.info(`Cleanup completed: ${tables.length} table(s) ${mode === 'drop' ? 'dropped' : 'truncated'}`);
   } catch (error) {
     logger.error('Cleanup failed', { error: error.message });
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await db.disconnect();
     await closeTunnel();
   }
+
+  return { mode, tables };
 }
 
-cleanup();
+module.exports = { main };
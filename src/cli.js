@@ -0,0 +1,327 @@
+const { parseArgs } = require('util');
+const logger = require('./utils/logger').child({ module: 'cli' });
+const { loadConfig, getConfig, DEFAULT_CONFIG_PATH } = require('./config/config-file');
+const { DATE_RANGE_MODES, SPLITS } = require('./utils/date-ranges');
+const { selectEndpoints, configuredEndpoints } = require('./endpoints/select');
+const { writeTextfile } = require('./utils/metrics');
+
+// Every flag a command may accept: parseArgs settings plus the help text.
+// Commands list the flags they take and may reword a flag's help.
+const FLAGS = {
+  endpoint: { type: 'string', multiple: true, short: 'e', arg: '<name>', help: 'Endpoint by table (customer, jasper_customer) or API path; repeatable' },
+  office: { type: 'string', multiple: true, short: 'o', arg: '<code>', help: 'Office code, repeatable (default: OFFICE_CODE, else the configured offices)' },
+  from: { type: 'string', arg: '<date>', help: 'First day of a single date range, YYYY-MM-DD (with --to)' },
+  to: { type: 'string', arg: '<date>', help: 'Last day of a single date range, YYYY-MM-DD (with --from)' },
+  mode: { type: 'string', arg: '<mode>', help: `Date range mode instead of DATE_RANGE_MODE: ${DATE_RANGE_MODES.join(', ')}` },
+  split: { type: 'string', arg: '<unit>', help: `Split the date range by ${SPLITS.filter((unit) => unit !== 'none').join(', ')} (or none)` },
+  refresh: { type: 'boolean', help: 'Load into staging tables and swap them in once complete' },
+  full: { type: 'boolean', help: 'Fetch incremental endpoints in full, ignoring watermarks' },
+  cleanup: { type: 'boolean', help: 'Truncate all tables before loading' },
+  resume: { type: 'boolean', help: 'Skip units an interrupted run already completed' },
+  job: { type: 'string', multiple: true, short: 'j', arg: '<name>', help: 'Only this scheduled job; repeatable (default: every job)' },
+  'admin-port': { type: 'string', arg: '<port>', help: 'Serve the admin API on this port (default: ADMIN_PORT; needs ADMIN_TOKEN)' },
+  'metrics-port': { type: 'string', arg: '<port>', help: 'Serve Prometheus metrics on this port at /metrics (default: METRICS_PORT)' },
+  now: { type: 'boolean', help: 'Also run the jobs once right away (instead of catching up on missed runs)' },
+  drop: { type: 'boolean', help: 'Drop the tables instead of truncating them' },
+  limit: { type: 'string', arg: '<n>', help: 'Number of recent runs to show (default 10)' },
+  concurrency: { type: 'string', short: 'c', arg: '<n>', help: 'Units fetched in parallel (default: FETCH_CONCURRENCY)' },
+  'dry-run': { type: 'boolean', short: 'n', help: 'Show what would be done without doing it' },
+  json: { type: 'boolean', help: 'Print the result as JSON (logs go to stderr)' },
+  'metrics-file': { type: 'string', arg: '<file>', help: 'Write Prometheus metrics to this file when done, for a textfile collector (default: METRICS_TEXTFILE)' },
+  config: { type: 'string', arg: '<file>', help: `Config file (default: JASPER_CONFIG, else ${DEFAULT_CONFIG_PATH} if present)` },
+  help: { type: 'boolean', short: 'h', help: 'Show this help' },
+};
+
+const COMMANDS = {
+  fetch: {
+    summary: 'Fetch endpoints for the configured office and date range mode',
+    flags: ['endpoint', 'office', 'from', 'to', 'mode', 'split', 'refresh', 'full', 'concurrency', 'metrics-file', 'dry-run', 'json'],
+    run: (options) => require('./index').main(options),
+  },
+  backfill: {
+    summary: 'Fetch every configured office month by month (dateRanges.backfill unless --from/--to)',
+    flags: ['endpoint', 'office', 'from', 'to', 'cleanup', 'resume', 'refresh', 'full', 'concurrency', 'metrics-file', 'dry-run', 'json'],
+    help: {
+      office: 'Office code, repeatable (default: all configured offices)',
+      from: 'First month, YYYY-MM',
+      to: 'Last month, YYYY-MM',
+    },
+    run: (options) => require('./fetch-all-offices').main(options),
+  },
+  schedule: {
+    summary: 'Run the configured schedules (or the fetch job on CRON_SCHEDULE) until stopped',
+    flags: ['job', 'endpoint', 'office', 'mode', 'split', 'now', 'full', 'concurrency', 'admin-port', 'metrics-port', 'dry-run', 'json'],
+    run: (options) => require('./scheduler').main(options),
+  },
+  cleanup: {
+    summary: 'Truncate or drop fetched tables (jasper_fetch_* bookkeeping tables are kept)',
+    flags: ['endpoint', 'drop', 'dry-run', 'json'],
+    help: { endpoint: 'Only this endpoint\'s tables, nested tables included; repeatable' },
+    run: (options) => require('./cleanup').main(options),
+  },
+  reprocess: {
+    summary: 'Rebuild storeRaw endpoints from their _raw payloads',
+    flags: ['endpoint', 'metrics-file', 'dry-run', 'json'],
+    run: (options) => require('./reprocess').main(options),
+  },
+  status: {
+    summary: 'Show recent runs, failures of the latest run and watermarks',
+    flags: ['limit', 'json'],
+    run: (options) => require('./status').main(options),
+  },
+  'list-endpoints': {
+    summary: 'List the configured endpoints',
+    flags: ['json'],
+    run: async () => configuredEndpoints().map((e) => ({
+      table: e.tableName,
+      path: e.path,
+      enabled: e.enabled !== false,
+      shared: getConfig().endpoints.shared.includes(e.tableName),
+      requiresDate: Boolean(e.requiresDate),
+      uniqueKey: e.uniqueKey || null,
+      incremental: Boolean(e.incremental),
+      history: Boolean(e.history),
+      storeRaw: Boolean(e.storeRaw),
+      nestedTables: (e.nestedTables || []).map((n) => n.childTable),
+    })),
+  },
+};
+
+// Thrown for bad arguments; printed with a pointer to --help
+class UsageError extends Error {}
+
+function commandFlags(command) {
+  return [...command.flags, 'config', 'help'];
+}
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    'Usage: jasper-fetcher <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Run jasper-fetcher <command> --help for the options of a command.',
+  ].join('\n');
+}
+
+function commandUsage(name, command) {
+  const rows = commandFlags(command).map((flag) => {
+    const { short, arg } = FLAGS[flag];
+    const text = `${short ? `-${short}, ` : '    '}--${flag}${arg ? ` ${arg}` : ''}`;
+    return [text, (command.help && command.help[flag]) || FLAGS[flag].help];
+  });
+  const width = Math.max(...rows.map(([text]) => text.length));
+  return [
+    `Usage: jasper-fetcher ${name} [options]`,
+    '',
+    command.summary,
+    '',
+    'Options:',
+    ...rows.map(([text, help]) => `  ${text.padEnd(width)}  ${help}`),
+  ].join('\n');
+}
+
+function positiveInteger(flag, value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${flag} must be a positive integer, got ${value}`);
+  }
+  return number;
+}
+
+// Parsed flags -> the options object the command modules take
+function toOptions(name, values) {
+  const datePattern = name === 'backfill' ? /^\d{4}-\d{2}(-\d{2})?$/ : /^\d{4}-\d{2}-\d{2}$/;
+  for (const flag of ['from', 'to']) {
+    if (values[flag] !== undefined && !datePattern.test(values[flag])) {
+      throw new UsageError(`--${flag} must look like ${name === 'backfill' ? 'YYYY-MM' : 'YYYY-MM-DD'}, got ${values[flag]}`);
+    }
+  }
+  if (name === 'fetch' && Boolean(values.from) !== Boolean(values.to)) {
+    throw new UsageError('--from and --to go together');
+  }
+  if (values.mode !== undefined) {
+    if (!DATE_RANGE_MODES.includes(values.mode)) {
+      throw new UsageError(`Unknown --mode ${values.mode}; one of ${DATE_RANGE_MODES.join(', ')}`);
+    }
+    if (values.from) throw new UsageError('--mode cannot be combined with --from/--to');
+  }
+  if (values.split !== undefined && !SPLITS.includes(values.split)) {
+    throw new UsageError(`Unknown --split ${values.split}; one of ${SPLITS.join(', ')}`);
+  }
+  try {
+    selectEndpoints(values.endpoint);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    endpoints: values.endpoint,
+    offices: values.office,
+    from: values.from,
+    to: values.to,
+    mode: values.mode,
+    split: values.split,
+    refresh: values.refresh,
+    full: values.full,
+    cleanup: values.cleanup,
+    resume: values.resume,
+    jobs: values.job,
+    now: values.now,
+    drop: values.drop,
+    limit: positiveInteger('limit', values.limit),
+    concurrency: positiveInteger('concurrency', values.concurrency),
+    adminPort: positiveInteger('admin-port', values['admin-port']),
+    metricsPort: positiveInteger('metrics-port', values['metrics-port']),
+    dryRun: values['dry-run'],
+  };
+}
+
+function formatTime(value) {
+  if (!value) return '-';
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Human-readable output of a command's result
+function describe(name, result) {
+  if (result.plan) {
+    const lines = result.plan.map((unit) => [
+      unit.status === 'skipped' ? 'skip' : 'run ',
+      unit.table,
+      unit.office ? `[${unit.office}]` : '',
+      unit.range ? `${unit.range}${unit.date_from ? ` (${unit.date_from} to ${unit.date_to})` : ''}` : '',
+    ].filter(Boolean).join(' '));
+    lines.push(`${result.plan.filter((unit) => unit.status === 'planned').length} units planned`);
+    return lines.join('\n');
+  }
+
+  if (result.schedules) {
+    return result.schedules.map((job) => {
+      const lines = [`Schedule ${job.name}: ${job.cron}`];
+      if (job.plan) lines.push(describe(name, { plan: job.plan }).replace(/^/gm, '  '));
+      return lines.join('\n');
+    }).concat(result.admin ? [`Admin API: ${result.admin}`] : [])
+      .concat(result.metrics ? [`Metrics: ${result.metrics}`] : [])
+      .join('\n');
+  }
+
+  if (name === 'list-endpoints') {
+    const width = Math.max(...result.map((e) => e.table.length));
+    return result.map((e) => {
+      const traits = ['requiresDate', 'incremental', 'history', 'storeRaw', 'shared'].filter((trait) => e[trait]);
+      if (!e.enabled) traits.unshift('disabled');
+      if (e.nestedTables.length) traits.push(`nested: ${e.nestedTables.join(', ')}`);
+      return `${e.table.padEnd(width)}  ${e.path}${traits.length ? `  (${traits.join('; ')})` : ''}`;
+    }).join('\n');
+  }
+
+  if (name === 'status') {
+    const lines = result.runs.length ? result.runs.map((run) => [
+      formatTime(run.started_at),
+      run.job.padEnd(12),
+      String(run.status).padEnd(8),
+      `ok ${run.success_count} failed ${run.failed_count} skipped ${run.skipped_count}`,
+      `rows ${run.rows_stored}`,
+      run.run_id,
+    ].join('  ')) : ['No runs recorded yet'];
+    for (const item of result.failedItems) {
+      lines.push(`  failed: ${item.table_name}${item.office_code ? ` [${item.office_code}]` : ''}${item.range_label ? ` ${item.range_label}` : ''}: ${item.error_message}`);
+    }
+    for (const mark of result.watermarks) {
+      lines.push(`watermark ${mark.table_name}${mark.office_code ? ` [${mark.office_code}]` : ''}: ${mark.watermark}`);
+    }
+    return lines.join('\n');
+  }
+
+  if (name === 'cleanup') {
+    const verb = result.mode === 'drop' ? 'dropped' : 'truncated';
+    return result.tables.length ? `${result.tables.length} table(s) ${verb}: ${result.tables.join(', ')}` : 'No tables';
+  }
+
+  if (result.summary) {
+    const run = result.summary;
+    return `Run ${run.run_id} ${run.status}: ok ${run.success_count} failed ${run.failed_count} skipped ${run.skipped_count}, rows ${run.rows_stored}`;
+  }
+  return null;
+}
+
+// One-shot commands leave their metrics for node_exporter's textfile
+// collector, whether or not they succeeded
+function writeMetrics(filePath) {
+  try {
+    writeTextfile(filePath);
+  } catch (error) {
+    logger.error(`Failed to write metrics to ${filePath}`, { error: error.message });
+  }
+}
+
+// Run the jasper-fetcher command line (argv without node and the script).
+// io.out and io.err receive output text; tests pass their own.
+async function run(argv, io = {}) {
+  const out = io.out || ((text) => process.stdout.write(`${text}\n`));
+  const err = io.err || ((text) => process.stderr.write(`${text}\n`));
+  const [name, ...args] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    out(usage());
+    return;
+  }
+
+  const command = COMMANDS[name];
+  try {
+    if (!command) throw new UsageError(`Unknown command: ${name}`);
+
+    const options = {};
+    for (const flag of commandFlags(command)) {
+      const { type, multiple, short } = FLAGS[flag];
+      options[flag] = { type, multiple: Boolean(multiple) };
+      if (short) options[flag].short = short;
+    }
+    let values;
+    try {
+      ({ values } = parseArgs({ args, options, strict: true, allowPositionals: false }));
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+      out(commandUsage(name, command));
+      return;
+    }
+
+    // Config errors are not usage errors: they are printed and exit with 1
+    loadConfig(values.config);
+    const commandOptions = toOptions(name, values);
+    if (values.json) logger.useStderr();
+    const metricsFile = command.flags.includes('metrics-file') && !values['dry-run']
+      ? values['metrics-file'] || process.env.METRICS_TEXTFILE
+      : null;
+    let result;
+    try {
+      result = await command.run(commandOptions);
+    } finally {
+      if (metricsFile) writeMetrics(metricsFile);
+    }
+    if (!result) return;
+
+    if (values.json) {
+      out(JSON.stringify(result, null, 2));
+    } else {
+      const text = describe(name, result);
+      if (text) out(text);
+    }
+  } catch (error) {
+    err(`jasper-fetcher: ${error.message}`);
+    if (!(error instanceof UsageError)) {
+      process.exitCode = 1;
+      return;
+    }
+    err(command ? `Run jasper-fetcher ${name} --help for usage.` : usage());
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { run, COMMANDS };
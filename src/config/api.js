@@ -0,0 +1,15 @@
+module.exports = {
+  timeout: parseInt(process.env.API_TIMEOUT || '30000', 10),
+  rateLimit: parseFloat(process.env.API_RATE_LIMIT || '5'),
+  maxAttempts: parseInt(process.env.API_MAX_ATTEMPTS || '3', 10),
+  baseDelay: parseInt(process.env.API_RETRY_BASE_DELAY || '1000', 10),
+  maxDelay: parseInt(process.env.API_RETRY_MAX_DELAY || '30000', 10),
+  breakerThreshold: parseInt(process.env.API_BREAKER_THRESHOLD || '5', 10),
+  breakerCooldown: parseInt(process.env.API_BREAKER_COOLDOWN || '300000', 10),
+  // Write every response to <archiveDir>/<YYYY-MM-DD>/ as gzipped NDJSON
+  archive: process.env.API_ARCHIVE === 'true',
+  archiveDir: process.env.API_ARCHIVE_DIR || 'data/archive',
+  // Answer requests from an archive directory (a date under archiveDir, or a
+  // path) instead of calling the API
+  replay: process.env.API_REPLAY || null,
+};
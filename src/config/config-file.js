@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+const endpoints = require('../endpoints/definitions');
+const logger = require('../utils/logger');
+const { DATE_RANGE_MODES, SPLITS, isValidTimezone } = require('../utils/date-ranges');
+
+// Read when JASPER_CONFIG and --config are not given; optional
+const DEFAULT_CONFIG_PATH = 'jasper-fetcher.yml';
+
+// Endpoint settings a config file may override, with the type they must have
+const ENDPOINT_OVERRIDES = {
+  enabled: 'boolean',
+  params: 'object',
+  batchSize: 'integer',
+  maxAttempts: 'integer',
+  incremental: 'object',
+  history: 'boolean',
+  storeRaw: 'boolean',
+  autoNest: 'boolean',
+};
+
+// Used for whatever the file leaves out, so running without a file behaves as
+// before: OFFICE_CODE and DATE_RANGE_* from .env, CRON_SCHEDULE for the
+// scheduler and the 2024-01 to 2025-12 backfill window (both months included)
+const DEFAULTS = {
+  offices: [],
+  api: { url: null, key: null },
+  endpoints: { shared: [], overrides: {} },
+  dateRanges: {
+    mode: null,
+    year: null,
+    days: null,
+    months: null,
+    fiscalYearStart: null,
+    split: null,
+    timezone: null,
+    from: null,
+    to: null,
+    backfill: { from: '2024-01', to: '2025-12' },
+  },
+  schedules: null,
+  notifications: {
+    on: null,
+    webhook: { url: null },
+    email: { host: null, port: null, secure: null, user: null, password: null, from: null, to: null },
+    anomaly: { threshold: null, runs: null },
+  },
+};
+
+// Run outcomes a notification can be sent for (see services/notifier.js)
+const NOTIFY_TRIGGERS = ['failure', 'success', 'anomaly'];
+
+let current = null;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value) && value > 0;
+  if (type === 'object') return isObject(value);
+  return typeof value === type;
+}
+
+function tableName(name) {
+  return endpoints.some((e) => e.tableName === name) ? name : `jasper_${name}`;
+}
+
+// Check a parsed config file and fill in defaults. Every problem found is
+// collected, so one run reports them all.
+function normalize(raw, source) {
+  const errors = [];
+  const fail = (message) => errors.push(message);
+  const check = (condition, message) => {
+    if (!condition) fail(message);
+    return condition;
+  };
+  const knownKeys = (value, keys, where) => {
+    for (const key of Object.keys(value)) {
+      check(keys.includes(key), `${where}${key} is not a known setting (expected one of ${keys.join(', ')})`);
+    }
+  };
+  const endpointList = (value, where) => {
+    if (!check(Array.isArray(value), `${where} must be a list of endpoint names`)) return [];
+    const names = value.map((name) => tableName(String(name)));
+    names.forEach((name, i) => check(endpoints.some((e) => e.tableName === name), `${where}[${i}]: unknown endpoint ${value[i]}`));
+    return names;
+  };
+  const month = (value, where) => check(typeof value === 'string' && /^\d{4}-\d{2}$/.test(value), `${where} must be a month like 2024-01`);
+  const day = (value, where) => check(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value), `${where} must be a date like 2024-01-31`);
+
+  const config = JSON.parse(JSON.stringify(DEFAULTS));
+  config.path = source;
+  if (raw === null || raw === undefined) return config;
+  if (!check(isObject(raw), 'the file must contain a mapping of settings')) {
+    throw new Error(`Invalid config ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  knownKeys(raw, Object.keys(DEFAULTS), '');
+
+  if (raw.offices !== undefined && check(Array.isArray(raw.offices), 'offices must be a list')) {
+    config.offices = raw.offices.map((office, i) => {
+      const entry = typeof office === 'string' ? { code: office } : office;
+      if (!check(isObject(entry) && typeof entry.code === 'string' && entry.code.trim(), `offices[${i}] needs a code`)) return null;
+      knownKeys(entry, ['code', 'name'], `offices[${i}].`);
+      return { code: entry.code, name: entry.name || entry.code };
+    }).filter(Boolean);
+    const codes = config.offices.map((office) => office.code);
+    codes.forEach((code, i) => check(codes.indexOf(code) === i, `offices: ${code} is listed twice`));
+  }
+
+  if (raw.api !== undefined && check(isObject(raw.api), 'api must be a mapping')) {
+    knownKeys(raw.api, ['url', 'key'], 'api.');
+    for (const key of ['url', 'key']) {
+      if (raw.api[key] !== undefined && check(typeof raw.api[key] === 'string', `api.${key} must be a string`)) {
+        config.api[key] = raw.api[key];
+      }
+    }
+  }
+
+  if (raw.endpoints !== undefined && check(isObject(raw.endpoints), 'endpoints must be a mapping')) {
+    knownKeys(raw.endpoints, ['shared', 'overrides'], 'endpoints.');
+    if (raw.endpoints.shared !== undefined) config.endpoints.shared = endpointList(raw.endpoints.shared, 'endpoints.shared');
+
+    const overrides = raw.endpoints.overrides;
+    if (overrides !== undefined && check(isObject(overrides), 'endpoints.overrides must be a mapping of endpoint names')) {
+      for (const [name, override] of Object.entries(overrides)) {
+        const where = `endpoints.overrides.${name}`;
+        if (!check(endpoints.some((e) => e.tableName === tableName(name)), `${where}: unknown endpoint ${name}`)) continue;
+        if (!check(isObject(override), `${where} must be a mapping`)) continue;
+        knownKeys(override, Object.keys(ENDPOINT_OVERRIDES), `${where}.`);
+        for (const [key, type] of Object.entries(ENDPOINT_OVERRIDES)) {
+          if (override[key] !== undefined) check(hasType(override[key], type), `${where}.${key} must be ${type === 'integer' ? 'a positive integer' : `a ${type}`}`);
+        }
+        config.endpoints.overrides[tableName(name)] = override;
+      }
+    }
+  }
+
+  const ranges = raw.dateRanges;
+  if (ranges !== undefined && check(isObject(ranges), 'dateRanges must be a mapping')) {
+    knownKeys(ranges, Object.keys(DEFAULTS.dateRanges), 'dateRanges.');
+    if (ranges.mode !== undefined && check(DATE_RANGE_MODES.includes(ranges.mode), `dateRanges.mode must be one of ${DATE_RANGE_MODES.join(', ')}`)) {
+      config.dateRanges.mode = ranges.mode;
+    }
+    for (const key of ['year', 'days', 'months']) {
+      if (ranges[key] !== undefined && check(hasType(ranges[key], 'integer'), `dateRanges.${key} must be a positive integer`)) {
+        config.dateRanges[key] = ranges[key];
+      }
+    }
+    if (ranges.fiscalYearStart !== undefined
+      && check(Number.isInteger(ranges.fiscalYearStart) && ranges.fiscalYearStart >= 1 && ranges.fiscalYearStart <= 12, 'dateRanges.fiscalYearStart must be a month number, 1-12')) {
+      config.dateRanges.fiscalYearStart = ranges.fiscalYearStart;
+    }
+    if (ranges.split !== undefined && check(SPLITS.includes(ranges.split), `dateRanges.split must be one of ${SPLITS.join(', ')}`)) {
+      config.dateRanges.split = ranges.split;
+    }
+    if (ranges.timezone !== undefined && check(typeof ranges.timezone === 'string' && isValidTimezone(ranges.timezone), `dateRanges.timezone is not a known timezone: ${ranges.timezone}`)) {
+      config.dateRanges.timezone = ranges.timezone;
+    }
+    for (const key of ['from', 'to']) {
+      if (ranges[key] !== undefined && day(ranges[key], `dateRanges.${key}`)) config.dateRanges[key] = ranges[key];
+    }
+    if (ranges.backfill !== undefined && check(isObject(ranges.backfill), 'dateRanges.backfill must be a mapping')) {
+      knownKeys(ranges.backfill, ['from', 'to'], 'dateRanges.backfill.');
+      for (const key of ['from', 'to']) {
+        if (ranges.backfill[key] !== undefined && month(ranges.backfill[key], `dateRanges.backfill.${key}`)) {
+          config.dateRanges.backfill[key] = ranges.backfill[key];
+        }
+      }
+    }
+  }
+
+  if (raw.schedules !== undefined && check(Array.isArray(raw.schedules), 'schedules must be a list')) {
+    config.schedules = raw.schedules.map((job, i) => {
+      const where = `schedules[${i}]`;
+      if (!check(isObject(job), `${where} must be a mapping`)) return null;
+      knownKeys(job, ['name', 'cron', 'endpoints', 'offices', 'mode', 'split', 'full', 'catchUp'], `${where}.`);
+      check(typeof job.name === 'string' && job.name.trim(), `${where} needs a name`);
+      check(job.name !== 'manual', `${where}: the name manual is kept for runs started through the admin API`);
+      check(typeof job.cron === 'string' && cron.validate(job.cron), `${where}.cron is not a valid cron expression: ${job.cron}`);
+      if (job.mode !== undefined) check(DATE_RANGE_MODES.includes(job.mode), `${where}.mode must be one of ${DATE_RANGE_MODES.join(', ')}`);
+      if (job.split !== undefined) check(SPLITS.includes(job.split), `${where}.split must be one of ${SPLITS.join(', ')}`);
+      for (const key of ['full', 'catchUp']) {
+        if (job[key] !== undefined) check(typeof job[key] === 'boolean', `${where}.${key} must be true or false`);
+      }
+      if (job.offices !== undefined) check(Array.isArray(job.offices), `${where}.offices must be a list of office codes`);
+      return {
+        name: job.name,
+        cron: job.cron,
+        endpoints: job.endpoints !== undefined ? endpointList(job.endpoints, `${where}.endpoints`) : null,
+        offices: job.offices || null,
+        mode: job.mode || null,
+        split: job.split || null,
+        full: Boolean(job.full),
+        catchUp: job.catchUp !== false,
+      };
+    }).filter(Boolean);
+    const names = config.schedules.map((job) => job.name);
+    names.forEach((name, i) => check(names.indexOf(name) === i, `schedules: ${name} is listed twice`));
+  }
+
+  const notifications = raw.notifications;
+  if (notifications !== undefined && check(isObject(notifications), 'notifications must be a mapping')) {
+    knownKeys(notifications, Object.keys(DEFAULTS.notifications), 'notifications.');
+    if (notifications.on !== undefined
+      && check(Array.isArray(notifications.on) && notifications.on.every((trigger) => NOTIFY_TRIGGERS.includes(trigger)), `notifications.on must be a list of ${NOTIFY_TRIGGERS.join(', ')}`)) {
+      config.notifications.on = notifications.on;
+    }
+
+    const { webhook, email, anomaly } = notifications;
+    if (webhook !== undefined && check(isObject(webhook), 'notifications.webhook must be a mapping')) {
+      knownKeys(webhook, ['url'], 'notifications.webhook.');
+      if (webhook.url !== undefined && check(typeof webhook.url === 'string' && /^https?:\/\//.test(webhook.url), 'notifications.webhook.url must be an http(s) URL')) {
+        config.notifications.webhook.url = webhook.url;
+      }
+    }
+    if (email !== undefined && check(isObject(email), 'notifications.email must be a mapping')) {
+      knownKeys(email, Object.keys(DEFAULTS.notifications.email), 'notifications.email.');
+      for (const key of ['host', 'user', 'password', 'from']) {
+        if (email[key] !== undefined && check(typeof email[key] === 'string', `notifications.email.${key} must be a string`)) {
+          config.notifications.email[key] = email[key];
+        }
+      }
+      if (email.port !== undefined && check(hasType(email.port, 'integer'), 'notifications.email.port must be a positive integer')) {
+        config.notifications.email.port = email.port;
+      }
+      if (email.secure !== undefined && check(typeof email.secure === 'boolean', 'notifications.email.secure must be true or false')) {
+        config.notifications.email.secure = email.secure;
+      }
+      if (email.to !== undefined) {
+        const to = typeof email.to === 'string' ? [email.to] : email.to;
+        if (check(Array.isArray(to) && to.length && to.every((address) => typeof address === 'string' && address.includes('@')), 'notifications.email.to must be an address or a list of addresses')) {
+          config.notifications.email.to = to;
+        }
+      }
+    }
+    if (anomaly !== undefined && check(isObject(anomaly), 'notifications.anomaly must be a mapping')) {
+      knownKeys(anomaly, ['threshold', 'runs'], 'notifications.anomaly.');
+      if (anomaly.threshold !== undefined && check(typeof anomaly.threshold === 'number' && anomaly.threshold > 0, 'notifications.anomaly.threshold must be a number above 0')) {
+        config.notifications.anomaly.threshold = anomaly.threshold;
+      }
+      if (anomaly.runs !== undefined && check(hasType(anomaly.runs, 'integer'), 'notifications.anomaly.runs must be a positive integer')) {
+        config.notifications.anomaly.runs = anomaly.runs;
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid config ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+// Read and validate a YAML (or JSON, which is valid YAML) config file. An
+// explicit filePath or JASPER_CONFIG must exist; the default file is optional.
+function loadConfig(filePath = process.env.JASPER_CONFIG) {
+  const file = path.resolve(filePath || DEFAULT_CONFIG_PATH);
+  if (!fs.existsSync(file)) {
+    if (filePath) throw new Error(`Config file not found: ${file}`);
+    current = normalize(null, null);
+    return current;
+  }
+
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config ${file}: ${error.message}`);
+  }
+  current = normalize(raw, file);
+  // Secrets kept in the file are masked in the logs like those in the environment
+  for (const secret of [current.api.key, current.notifications.webhook.url, current.notifications.email.password]) {
+    logger.addSecret(secret);
+  }
+  return current;
+}
+
+// The loaded config, loading the default file on first use
+function getConfig() {
+  return current || loadConfig();
+}
+
+// API URL and key; the environment wins over the config file, so secrets can
+// stay out of it
+function apiCredentials() {
+  const { api } = getConfig();
+  return {
+    url: process.env.JASPER_API_URL || api.url,
+    key: process.env.JASPER_API_KEY || api.key,
+  };
+}
+
+const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : null);
+
+// Notification channels and triggers: the config file first, then NOTIFY_*
+// and SMTP_* from the environment. As with apiCredentials, the webhook URL
+// (which carries its token) and the SMTP password in the environment win
+// over the file.
+function notificationSettings() {
+  const { webhook, email, anomaly, on } = getConfig().notifications;
+  const env = process.env;
+  const triggers = on || list(env.NOTIFY_ON) || ['failure'];
+  const unknown = triggers.filter((trigger) => !NOTIFY_TRIGGERS.includes(trigger));
+  if (unknown.length) {
+    throw new Error(`NOTIFY_ON: unknown trigger ${unknown.join(', ')} (one of ${NOTIFY_TRIGGERS.join(', ')})`);
+  }
+  const port = email.port || (env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : null);
+  const secure = email.secure !== null ? email.secure : env.SMTP_SECURE === 'true';
+
+  return {
+    on: triggers,
+    webhook: { url: env.NOTIFY_WEBHOOK_URL || webhook.url },
+    email: {
+      host: email.host || env.SMTP_HOST || null,
+      port: port || (secure ? 465 : 587),
+      secure,
+      user: email.user || env.SMTP_USER || null,
+      password: env.SMTP_PASSWORD || email.password,
+      from: email.from || env.NOTIFY_EMAIL_FROM || null,
+      to: email.to || list(env.NOTIFY_EMAIL_TO) || [],
+    },
+    anomaly: {
+      threshold: anomaly.threshold || parseFloat(env.NOTIFY_ANOMALY_THRESHOLD || '0.5'),
+      runs: anomaly.runs || parseInt(env.NOTIFY_ANOMALY_RUNS || '5', 10),
+    },
+  };
+}
+
+module.exports = { loadConfig, getConfig, apiCredentials, notificationSettings, NOTIFY_TRIGGERS, DEFAULT_CONFIG_PATH };
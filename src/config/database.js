@@ -1,5 +1,9 @@
 module.exports = {
   provider: process.env.DB_PROVIDER || 'mysql',
+  // Pages with at least this many rows are written with COPY / LOAD DATA
+  bulkLoadThreshold: parseInt(process.env.BULK_LOAD_THRESHOLD || '1000', 10),
+  // Store arrays not declared in nestedTables instead of dropping them
+  autoNestArrays: process.env.AUTO_NEST_ARRAYS === 'true',
   mysql: {
     host: process.env.DB_HOST || 'localhost',
     port: parseInt(process.env.DB_PORT || '3306', 10),
@@ -14,4 +18,7 @@ module.exports = {
     password: process.env.DB_PASSWORD || '',
     database: process.env.DB_NAME || 'jasper',
   },
+  sqlite: {
+    filename: process.env.SQLITE_PATH || 'data/jasper.sqlite',
+  },
 };
@@ -1,15 +1,30 @@
 const MySQLAdapter = require('./mysql-adapter');
 const PostgresAdapter = require('./postgres-adapter');
+const SQLiteAdapter = require('./sqlite-adapter');
 const dbConfig = require('../config/database');
 const { createSSHTunnel, closeSSHTunnel } = require('../utils/ssh-tunnel');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'adapter-factory' });
 
+// One tunnel shared by every adapter created with it; closeTunnel() closes it
+// once the last of them is done
 let tunnelInfo = null;
+let tunnelPromise = null;
+let tunnelUsers = 0;
 
 async function createAdapterWithTunnel(provider = dbConfig.provider) {
+  // A local SQLite file never needs a tunnel
+  if (provider.toLowerCase() === 'sqlite') {
+    return new SQLiteAdapter(dbConfig.sqlite);
+  }
+
   // Check if SSH tunnel is enabled
   if (process.env.SSH_TUNNEL_ENABLED === 'true') {
-    tunnelInfo = await createSSHTunnel();
+    tunnelPromise = tunnelPromise || createSSHTunnel().catch((error) => {
+      tunnelPromise = null;
+      throw error;
+    });
+    tunnelInfo = await tunnelPromise;
+    tunnelUsers++;
   }
 
   const config = provider.toLowerCase() === 'mysql' ? { ...dbConfig.mysql } : { ...dbConfig.postgres };
@@ -39,14 +54,25 @@ function createAdapter(provider = dbConfig.provider) {
     case 'postgres':
     case 'postgresql':
       return new PostgresAdapter(dbConfig.postgres);
+    case 'sqlite':
+      return new SQLiteAdapter(dbConfig.sqlite);
     default:
       throw new Error(`Unknown database provider: ${provider}`);
   }
 }
 
 async function closeTunnel() {
+  if (tunnelUsers > 0) tunnelUsers--;
+  if (tunnelUsers > 0) return;
   await closeSSHTunnel();
   tunnelInfo = null;
+  tunnelPromise = null;
+}
+
+// SSH tunnel state for health checks: disabled, open or closed
+function tunnelState(provider = dbConfig.provider) {
+  if (process.env.SSH_TUNNEL_ENABLED !== 'true' || provider.toLowerCase() === 'sqlite') return 'disabled';
+  return tunnelInfo ? 'open' : 'closed';
 }
 
-module.exports = { createAdapter, createAdapterWithTunnel, closeTunnel };
+module.exports = { createAdapter, createAdapterWithTunnel, closeTunnel, tunnelState };
@@ -0,0 +1,96 @@
+// Database-independent description of what a column has to hold, shared by
+// the adapters so every database infers and widens types by the same rules.
+//
+// A descriptor is { kind, length } where kind is boolean, number, date,
+// datetime, string or json (objects and arrays) and length is the longest text form seen (or, for an
+// existing VARCHAR, its capacity). Numbers also carry integerDigits and scale.
+// A column whose values were all null has no descriptor (null).
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+// Digits left and right of the decimal point, also for exponent notation
+function numberDigits(value) {
+  const [mantissa, exponent = '0'] = String(Math.abs(value)).split('e');
+  const [whole, fraction = ''] = mantissa.split('.');
+  const shift = parseInt(exponent, 10);
+  return {
+    integerDigits: Math.max(1, whole.length + shift),
+    scale: Math.max(0, fraction.length - shift),
+  };
+}
+
+function describeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return { kind: 'boolean', length: 5 };
+  if (typeof value === 'number') {
+    return { kind: 'number', length: String(value).length, ...numberDigits(value) };
+  }
+  if (value instanceof Date) return { kind: 'datetime', length: 24 };
+  if (typeof value === 'object') return { kind: 'json', length: JSON.stringify(value).length };
+
+  const text = String(value);
+  if (DATE_PATTERN.test(text)) return { kind: 'date', length: text.length };
+  if (DATETIME_PATTERN.test(text)) return { kind: 'datetime', length: text.length };
+  return { kind: 'string', length: text.length };
+}
+
+// The narrowest descriptor that holds everything either one holds
+function mergeDescriptors(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const length = Math.max(a.length, b.length);
+  if (a.kind === b.kind) {
+    if (a.kind !== 'number') return { kind: a.kind, length };
+    return {
+      kind: 'number',
+      length,
+      integerDigits: Math.max(a.integerDigits, b.integerDigits),
+      scale: Math.max(a.scale, b.scale),
+    };
+  }
+
+  const kinds = [a.kind, b.kind].sort().join('+');
+  if (kinds === 'boolean+number') return a.kind === 'number' ? { ...a, length } : { ...b, length };
+  if (kinds === 'date+datetime') return { kind: 'datetime', length };
+  return { kind: 'string', length };
+}
+
+function sameDescriptor(a, b) {
+  if (!a || !b) return a === b;
+  if (a.kind !== b.kind) return false;
+  if (a.kind === 'string') return a.length === b.length;
+  if (a.kind === 'number') return a.integerDigits === b.integerDigits && a.scale === b.scale;
+  return true;
+}
+
+// Merge descriptors per column over every row of a batch. Rows are expected
+// flattened, so objects only appear as JSON values such as _raw or arrays of
+// scalars kept with autoNest.
+function describeRows(rows) {
+  const columns = {};
+  for (const row of rows) {
+    for (const [key, value] of Object.entries(row)) {
+      columns[key] = mergeDescriptors(columns[key] || null, describeValue(value));
+    }
+  }
+  return columns;
+}
+
+// A Date as mysql2 and pg write it on INSERT: local time, since DATETIME and
+// TIMESTAMP columns carry no time zone. Bulk loads format Dates with this so
+// they store the same values.
+function localDateTime(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+module.exports = {
+  localDateTime,
+  describeValue,
+  describeRows,
+  mergeDescriptors,
+  sameDescriptor,
+};
@@ -1,15 +1,55 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const mysql = require('mysql2/promise');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'mysql-adapter' });
+const { metrics } = require('../utils/metrics');
+const { describeValue, mergeDescriptors, sameDescriptor, localDateTime } = require('./column-types');
+
+// Lineage columns stamped on every fetched row, created up front with fixed types
+const LINEAGE_COLUMNS = {
+  _office_code: 'VARCHAR(64)',
+  _date_from: 'DATE',
+  _date_to: 'DATE',
+  _run_id: 'VARCHAR(64)',
+  _source_page: 'INT',
+};
+
+// Version columns of endpoints with history (SCD type 2), see HistoryTracker
+const HISTORY_COLUMNS = {
+  _valid_from: 'DATETIME',
+  _valid_to: 'DATETIME',
+  _is_current: 'TINYINT(1)',
+  _deleted_at: 'DATETIME',
+  _row_hash: 'VARCHAR(40)',
+};
+
+// Errors meaning LOAD DATA LOCAL INFILE is disabled on the server or client
+const LOCAL_INFILE_DISABLED = ['ER_NOT_ALLOWED_COMMAND', 'ER_LOAD_INFILE_CAPABILITY_DISABLED', 'ER_CLIENT_LOCAL_FILES_DISABLED'];
+
+// Column types for bookkeeping tables (run history, checkpoints, ...)
+const SYSTEM_TYPES = {
+  key: 'VARCHAR(64)',
+  string: 'VARCHAR(255)',
+  text: 'TEXT',
+  integer: 'BIGINT',
+  date: 'DATE',
+  datetime: 'DATETIME',
+};
 
 class MySQLAdapter {
   constructor(config) {
     this.config = config;
     this.pool = null;
+    this.inTransaction = false;
+    // Shared with transaction-bound copies of the adapter
+    this.capabilities = { localInfile: true };
   }
 
   async connect() {
     this.pool = mysql.createPool({
       ...this.config,
+      // DATE values are read as YYYY-MM-DD, not as local midnight
+      dateStrings: ['DATE'],
       waitForConnections: true,
       connectionLimit: 10,
       queueLimit: 0,
@@ -54,7 +94,7 @@ class MySQLAdapter {
   async getColumns(tableName) {
     try {
       const [rows] = await this.pool.query(
-        `SELECT COLUMN_NAME as name, DATA_TYPE as type
+        `SELECT COLUMN_NAME as name, UPPER(COLUMN_TYPE) as type
          FROM INFORMATION_SCHEMA.COLUMNS
          WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
         [this.config.database, tableName]
@@ -74,84 +114,466 @@ class MySQLAdapter {
     return rows.length > 0;
   }
 
+  async listTables(prefix) {
+    const [rows] = await this.pool.query(
+      `SELECT TABLE_NAME AS name FROM INFORMATION_SCHEMA.TABLES
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME LIKE ?`,
+      [this.config.database, `${prefix}%`]
+    );
+    return rows.map((r) => r.name).filter((name) => name.startsWith(prefix));
+  }
+
+  // SQL type for a column descriptor (see column-types.js). Numbers get at
+  // least DECIMAL(20,6) and grow beyond that; DECIMAL tops out at 65 digits
+  // (30 after the point), anything wider is kept as text.
+  formatColumnType(descriptor) {
+    if (!descriptor) return 'TEXT';
+    switch (descriptor.kind) {
+      case 'boolean':
+        return 'TINYINT(1)';
+      case 'number': {
+        const scale = Math.max(6, descriptor.scale);
+        const precision = Math.max(14, descriptor.integerDigits) + scale;
+        if (precision <= 65 && scale <= 30) return `DECIMAL(${precision},${scale})`;
+        break;
+      }
+      case 'date':
+        return 'DATE';
+      case 'datetime':
+        return 'DATETIME';
+      case 'json':
+        return 'JSON';
+    }
+    return descriptor.length > 255 ? 'TEXT' : 'VARCHAR(255)';
+  }
+
+  // Descriptor for an existing column type, or null for types this adapter
+  // never creates (those are left alone)
+  parseColumnType(type) {
+    const sqlType = type.toUpperCase();
+    if (sqlType === 'TINYINT(1)') return { kind: 'boolean', length: 5 };
+    if (sqlType === 'DATE') return { kind: 'date', length: 10 };
+    if (sqlType === 'DATETIME' || sqlType === 'TIMESTAMP') return { kind: 'datetime', length: 24 };
+    if (sqlType === 'JSON') return { kind: 'json', length: Infinity };
+    if (/^(TINY|MEDIUM|LONG)?TEXT$/.test(sqlType)) return { kind: 'string', length: Infinity };
+
+    const decimal = sqlType.match(/^DECIMAL\((\d+),(\d+)\)$/);
+    if (decimal) {
+      const precision = parseInt(decimal[1], 10);
+      const scale = parseInt(decimal[2], 10);
+      return { kind: 'number', length: precision + 2, integerDigits: precision - scale, scale };
+    }
+    const varchar = sqlType.match(/^VARCHAR\((\d+)\)$/);
+    if (varchar) return { kind: 'string', length: parseInt(varchar[1], 10) };
+    return null;
+  }
+
   inferColumnType(value) {
-    if (value === null || value === undefined) return 'TEXT';
-    if (typeof value === 'boolean') return 'TINYINT(1)';
-    if (typeof value === 'number') {
-      // Always use DECIMAL to handle both integers and decimals safely
-      return 'DECIMAL(20,6)';
-    }
-    if (value instanceof Date) return 'DATETIME';
-    if (typeof value === 'string') {
-      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'DATE';
-      if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value)) return 'DATETIME';
-      if (value.length > 255) return 'TEXT';
+    return this.formatColumnType(describeValue(value));
+  }
+
+  // Lineage columns have fixed types; key columns must be indexable, so an
+  // unknown (null) or long text type becomes VARCHAR
+  columnType(key, descriptor, options = {}) {
+    if (LINEAGE_COLUMNS[key]) return LINEAGE_COLUMNS[key];
+    if (HISTORY_COLUMNS[key]) return HISTORY_COLUMNS[key];
+    const type = this.formatColumnType(descriptor);
+    const keyed = [...(options.uniqueKey || []), ...(options.naturalKey || [])];
+    if (type === 'TEXT' && keyed.includes(key)) {
       return 'VARCHAR(255)';
     }
-    if (typeof value === 'object') return 'JSON';
-    return 'TEXT';
+    return type;
   }
 
-  async createTable(tableName, sampleRow) {
-    const columns = Object.entries(sampleRow)
-      .filter(([key, val]) => typeof val !== 'object' || val === null)
-      .map(([key, val]) => {
-        const type = this.inferColumnType(val);
-        return `\`${key}\` ${type}`;
-      });
+  // columns maps column name -> descriptor, as built by describeRows()
+  async createTable(tableName, columns, options = {}) {
+    const definitions = Object.entries(columns).map(([key, descriptor]) => {
+      const type = this.columnType(key, descriptor, options);
+      return `\`${key}\` ${type}`;
+    });
 
-    columns.unshift('`_id` BIGINT AUTO_INCREMENT PRIMARY KEY');
-    columns.push('`_fetched_at` DATETIME DEFAULT CURRENT_TIMESTAMP');
+    definitions.unshift('`_id` BIGINT AUTO_INCREMENT PRIMARY KEY');
+    for (const [name, type] of Object.entries(LINEAGE_COLUMNS)) {
+      if (!(name in columns)) definitions.push(`\`${name}\` ${type}`);
+    }
+    definitions.push('`_fetched_at` DATETIME DEFAULT CURRENT_TIMESTAMP');
 
-    const sql = `CREATE TABLE IF NOT EXISTS \`${tableName}\` (${columns.join(', ')})`;
+    const sql = `CREATE TABLE IF NOT EXISTS \`${tableName}\` (${definitions.join(', ')})`;
     logger.debug('Creating table', { sql });
     await this.pool.query(sql);
     logger.info(`Table ${tableName} created`);
+    metrics.schemaChanges.inc({ table: tableName, change: 'create_table' });
+
+    await this.ensureLineageIndexes(tableName);
+    if (options.uniqueKey) {
+      await this.ensureUniqueIndex(tableName, options.uniqueKey);
+    }
+    if (options.naturalKey) {
+      await this.ensureKeyIndex(tableName, options.naturalKey);
+    }
+  }
+
+  async ensureIndex(tableName, indexName, columns, unique = false) {
+    const [rows] = await this.pool.query(
+      `SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [this.config.database, tableName, indexName]
+    );
+    if (rows.length > 0) return;
+
+    const sql = `CREATE ${unique ? 'UNIQUE ' : ''}INDEX \`${indexName}\` ON \`${tableName}\` (${columns.map((c) => `\`${c}\``).join(', ')})`;
+    await this.pool.query(sql);
+    logger.info(`Index ${indexName} created on ${tableName}`);
+  }
+
+  async ensureUniqueIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_uk`, columns, true);
   }
 
-  async addMissingColumns(tableName, sampleRow) {
+  // Lookups by natural key: _row_key is a hash, so its index cannot serve them
+  async ensureKeyIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_key_idx`, columns);
+  }
+
+  async ensureLineageIndexes(tableName) {
+    await this.ensureIndex(tableName, `${tableName}_lineage_idx`, ['_office_code', '_date_from', '_date_to']);
+    await this.ensureIndex(tableName, `${tableName}_run_idx`, ['_run_id']);
+  }
+
+  // Create a bookkeeping table from an explicit definition:
+  // columns maps name -> SYSTEM_TYPES key, indexes maps index suffix -> columns
+  async ensureSystemTable(tableName, { columns, primaryKey, indexes = {} }) {
+    const definitions = Object.entries(columns).map(([name, type]) => `\`${name}\` ${SYSTEM_TYPES[type]}`);
+    definitions.push(`PRIMARY KEY (${primaryKey.map((c) => `\`${c}\``).join(', ')})`);
+
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS \`${tableName}\` (${definitions.join(', ')})`);
+    // Columns added to a definition since the table was created
+    const existing = new Set((await this.getColumns(tableName)).map((c) => c.name.toLowerCase()));
+    for (const [name, type] of Object.entries(columns)) {
+      if (existing.has(name.toLowerCase())) continue;
+      await this.pool.query(`ALTER TABLE \`${tableName}\` ADD COLUMN \`${name}\` ${SYSTEM_TYPES[type]}`);
+    }
+    for (const [suffix, indexColumns] of Object.entries(indexes)) {
+      await this.ensureIndex(tableName, `${tableName}_${suffix}`, indexColumns);
+    }
+  }
+
+  // Returns the columns added, as { column, oldType, newType }
+  async addMissingColumns(tableName, columns, options = {}) {
     const existingColumns = await this.getColumns(tableName);
     const existingNames = new Set(existingColumns.map((c) => c.name.toLowerCase()));
+    const added = [];
 
-    for (const [key, val] of Object.entries(sampleRow)) {
-      if (typeof val === 'object' && val !== null && !Array.isArray(val)) continue;
-      if (Array.isArray(val)) continue;
-
+    for (const [key, descriptor] of Object.entries(columns)) {
       if (!existingNames.has(key.toLowerCase())) {
-        const type = this.inferColumnType(val);
+        const type = this.columnType(key, descriptor, options);
         const sql = `ALTER TABLE \`${tableName}\` ADD COLUMN \`${key}\` ${type}`;
         logger.info(`Adding column ${key} to ${tableName}`);
         await this.pool.query(sql);
+        added.push({ column: key, oldType: null, newType: type });
       }
     }
+    if (added.length) metrics.schemaChanges.inc({ table: tableName, change: 'add_column' }, added.length);
+    return added;
   }
 
-  async insertBatch(tableName, rows) {
-    if (!rows.length) return;
+  // Alter existing columns whose type cannot hold the incoming values, e.g.
+  // VARCHAR(255) -> TEXT, DATE -> VARCHAR(255), DECIMAL(20,6) -> DECIMAL(24,6).
+  // Columns are only ever widened. Returns the changes as { column, oldType, newType }.
+  async widenColumns(tableName, columns, options = {}) {
+    const widened = [];
 
-    const columns = Object.keys(rows[0]).filter((key) => {
-      const val = rows[0][key];
-      return !(typeof val === 'object' && val !== null);
-    });
+    for (const { name, type } of await this.getColumns(tableName)) {
+      const incoming = columns[name];
+      if (!incoming || LINEAGE_COLUMNS[name] || HISTORY_COLUMNS[name]) continue;
+
+      const current = this.parseColumnType(type);
+      if (!current) continue;
+
+      const merged = mergeDescriptors(current, incoming);
+      if (sameDescriptor(merged, current)) continue;
+
+      const newType = this.columnType(name, merged, options);
+      if (newType === type) continue;
+
+      logger.info(`Widening column ${name} on ${tableName}: ${type} -> ${newType}`);
+      await this.pool.query(`ALTER TABLE \`${tableName}\` MODIFY \`${name}\` ${newType}`);
+      widened.push({ column: name, oldType: type, newType });
+    }
+    if (widened.length) metrics.schemaChanges.inc({ table: tableName, change: 'widen_column' }, widened.length);
+    return widened;
+  }
+
+  // Columns are taken from all rows, since later rows may carry fields the
+  // first one lacks. Rows are flat; the only objects are JSON values (_raw, scalar arrays).
+  insertColumns(rows) {
+    return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  }
+
+  buildInsert(tableName, rows) {
+    const columns = this.insertColumns(rows);
 
     const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
     const values = rows.flatMap((row) =>
       columns.map((col) => {
         const val = row[col];
         if (val === undefined) return null;
+        if (typeof val === 'object' && val !== null && !(val instanceof Date)) return JSON.stringify(val);
         return val;
       })
     );
 
     const sql = `INSERT INTO \`${tableName}\` (${columns.map((c) => `\`${c}\``).join(', ')}) VALUES ${placeholders}`;
+    return { sql, values, columns };
+  }
+
+  async insertBatch(tableName, rows) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'insert' });
+    const { sql, values } = this.buildInsert(tableName, rows);
     await this.pool.query(sql, values);
+    endTimer();
     logger.info(`Inserted ${rows.length} rows into ${tableName}`);
   }
 
+  buildUpsert(tableName, rows, keyColumns, extraUpdates = []) {
+    const { sql, values, columns } = this.buildInsert(tableName, rows);
+    const updates = columns
+      .filter((col) => !keyColumns.includes(col))
+      .map((col) => `\`${col}\` = VALUES(\`${col}\`)`)
+      .concat(extraUpdates);
+
+    return { sql: `${sql} ON DUPLICATE KEY UPDATE ${updates.join(', ')}`, values };
+  }
+
+  // Insert rows, updating existing ones that collide on the table's unique index
+  async upsertBatch(tableName, rows, keyColumns) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'upsert' });
+    const { sql, values } = this.buildUpsert(tableName, rows, keyColumns, ['`_fetched_at` = CURRENT_TIMESTAMP']);
+    await this.pool.query(sql, values);
+    endTimer();
+    logger.info(`Upserted ${rows.length} rows into ${tableName}`);
+  }
+
+  // One LOAD DATA line in the default format: tab separated, \N for NULL,
+  // backslash escapes
+  loadDataLine(row, columns) {
+    return columns.map((col) => {
+      const val = row[col];
+      if (val === null || val === undefined) return '\\N';
+      if (typeof val === 'boolean') return val ? '1' : '0';
+      let text = String(val);
+      if (val instanceof Date) text = localDateTime(val);
+      else if (typeof val === 'object') text = JSON.stringify(val);
+      return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    }).join('\t') + '\n';
+  }
+
+  // Bulk load rows with LOAD DATA LOCAL INFILE, streamed from memory. When the
+  // server has local_infile disabled, the rows are written as INSERTs of
+  // options.batchSize rows (default: all of them) instead.
+  async bulkLoad(tableName, rows, keyColumns = null, options = {}) {
+    if (!rows.length) return;
+
+    if (this.capabilities.localInfile) {
+      try {
+        const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'bulk_load' });
+        await this.transaction((db) => db.loadData(tableName, rows, keyColumns));
+        endTimer();
+        logger.info(`Bulk loaded ${rows.length} rows into ${tableName}`);
+        return;
+      } catch (err) {
+        if (!LOCAL_INFILE_DISABLED.includes(err.code)) throw err;
+        logger.warn('LOAD DATA LOCAL INFILE is disabled (set local_infile=ON on the server), using INSERT batches');
+        this.capabilities.localInfile = false;
+      }
+    }
+    const batchSize = options.batchSize || rows.length;
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      await (keyColumns ? this.upsertBatch(tableName, batch, keyColumns) : this.insertBatch(tableName, batch));
+    }
+  }
+
+  // LOAD DATA cannot update rows, so with keyColumns the rows are loaded into a
+  // temporary table and merged with INSERT ... ON DUPLICATE KEY UPDATE. Must
+  // run inside transaction(), so the temporary table is on the same connection.
+  async loadData(tableName, rows, keyColumns) {
+    const columns = this.insertColumns(rows);
+    const columnList = columns.map((c) => `\`${c}\``).join(', ');
+    const target = keyColumns ? `${tableName}__load` : tableName;
+
+    if (keyColumns) {
+      await this.pool.query(`CREATE TEMPORARY TABLE \`${target}\` SELECT ${columnList} FROM \`${tableName}\` LIMIT 0`);
+    }
+    try {
+      await this.pool.query({
+        sql: `LOAD DATA LOCAL INFILE 'rows.tsv' INTO TABLE \`${target}\` CHARACTER SET utf8mb4 (${columnList})`,
+        infileStreamFactory: () => Readable.from(rows.map((row) => this.loadDataLine(row, columns))),
+      });
+
+      if (keyColumns) {
+        const updates = columns
+          .filter((col) => !keyColumns.includes(col))
+          .map((col) => `\`${col}\` = VALUES(\`${col}\`)`)
+          .concat('`_fetched_at` = CURRENT_TIMESTAMP');
+        await this.pool.query(
+          `INSERT INTO \`${tableName}\` (${columnList}) SELECT ${columnList} FROM \`${target}\`
+           ON DUPLICATE KEY UPDATE ${updates.join(', ')}`
+        );
+      }
+    } finally {
+      if (keyColumns) await this.pool.query(`DROP TEMPORARY TABLE IF EXISTS \`${target}\``);
+    }
+  }
+
+  // Run fn(db) in a transaction on a single connection, db being this adapter
+  // bound to that connection. Calls made through db while it runs join the
+  // transaction instead of starting their own.
+  async transaction(fn) {
+    if (this.inTransaction) return fn(this);
+
+    const conn = await this.pool.getConnection();
+    const db = Object.create(this);
+    db.pool = conn;
+    db.inTransaction = true;
+    try {
+      await conn.beginTransaction();
+      const result = await fn(db);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // Take the named lock with GET_LOCK, without waiting. The lock belongs to one
+  // pooled connection, held until the returned release() is called; null when
+  // another session holds it. Names over MySQL's 64 characters are hashed.
+  async tryLock(name) {
+    const lockName = name.length > 64 ? crypto.createHash('sha1').update(name).digest('hex') : name;
+    const conn = await this.pool.getConnection();
+    let locked = false;
+    try {
+      const [rows] = await conn.query('SELECT GET_LOCK(?, 0) AS locked', [lockName]);
+      locked = Number(rows[0].locked) === 1;
+    } finally {
+      if (!locked) conn.release();
+    }
+    if (!locked) return null;
+
+    return async () => {
+      try {
+        await conn.query('SELECT RELEASE_LOCK(?)', [lockName]);
+      } finally {
+        conn.release();
+      }
+    };
+  }
+
+  // Insert or update a single bookkeeping record by its primary key
+  async saveRecord(tableName, record, keyColumns) {
+    const { sql, values } = this.buildUpsert(tableName, [record], keyColumns);
+    await this.pool.query(sql, values);
+  }
+
+  // Equality on every column in where; null matches NULL
+  buildWhere(where) {
+    const entries = Object.entries(where);
+    if (!entries.length) return { clause: '', values: [] };
+    const isNull = ([, val]) => val === null || val === undefined;
+    return {
+      clause: ` WHERE ${entries.map((entry) => `\`${entry[0]}\` ${isNull(entry) ? 'IS NULL' : '= ?'}`).join(' AND ')}`,
+      values: entries.filter((entry) => !isNull(entry)).map(([, val]) => val),
+    };
+  }
+
+  // ORDER BY and LIMIT of selectRecords(): { orderBy, descending, limit }
+  buildOrder({ orderBy, descending = false, limit } = {}) {
+    let sql = orderBy ? ` ORDER BY \`${orderBy}\`${descending ? ' DESC' : ''}` : '';
+    if (limit) sql += ` LIMIT ${Number(limit)}`;
+    return sql;
+  }
+
+  // Read bookkeeping records matching all column = value pairs in where
+  async selectRecords(tableName, where = {}, options = {}) {
+    const { clause, values } = this.buildWhere(where);
+    const [rows] = await this.pool.query(`SELECT * FROM \`${tableName}\`${clause}${this.buildOrder(options)}`, values);
+    return rows;
+  }
+
+  // Up to limit rows of a data table with _id above afterId, in _id order
+  async selectPage(tableName, afterId, limit) {
+    const [rows] = await this.pool.query(
+      `SELECT * FROM \`${tableName}\` WHERE \`_id\` > ? ORDER BY \`_id\` LIMIT ?`,
+      [afterId, limit]
+    );
+    return rows;
+  }
+
+  // Set the columns in values on every record matching where
+  async updateRecords(tableName, values, where = {}) {
+    const { clause, values: whereValues } = this.buildWhere(where);
+    const assignments = Object.keys(values).map((col) => `\`${col}\` = ?`).join(', ');
+    await this.pool.query(`UPDATE \`${tableName}\` SET ${assignments}${clause}`, [...Object.values(values), ...whereValues]);
+  }
+
+  async deleteRecords(tableName, where = {}) {
+    const { clause, values } = this.buildWhere(where);
+    await this.pool.query(`DELETE FROM \`${tableName}\`${clause}`, values);
+  }
+
   async truncateTable(tableName) {
     await this.pool.query(`TRUNCATE TABLE \`${tableName}\``);
     logger.info(`Truncated table ${tableName}`);
   }
+
+  async dropTable(tableName) {
+    await this.pool.query(`DROP TABLE IF EXISTS \`${tableName}\``);
+    logger.info(`Dropped table ${tableName}`);
+  }
+
+  // Replace live tables with their loaded staging copies, pairs being
+  // [{ table, staging }]. A single RENAME TABLE swaps all pairs atomically, so
+  // readers see either the old or the new tables, never a missing one.
+  async swapTables(pairs) {
+    const renames = [];
+    const retired = [];
+
+    for (const { table, staging } of pairs) {
+      // Index names are per table in MySQL, so give the staging indexes their
+      // live names before the swap
+      const [indexes] = await this.pool.query(
+        `SELECT DISTINCT INDEX_NAME AS name FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
+        [this.config.database, staging]
+      );
+      for (const { name } of indexes) {
+        if (!name.startsWith(`${staging}_`)) continue;
+        await this.pool.query(`ALTER TABLE \`${staging}\` RENAME INDEX \`${name}\` TO \`${table}${name.slice(staging.length)}\``);
+      }
+
+      if (await this.tableExists(table)) {
+        await this.dropTable(`${table}__old`);
+        renames.push(`\`${table}\` TO \`${table}__old\``);
+        retired.push(`${table}__old`);
+      }
+      renames.push(`\`${staging}\` TO \`${table}\``);
+    }
+
+    await this.pool.query(`RENAME TABLE ${renames.join(', ')}`);
+    logger.info(`Swapped in ${pairs.map((p) => p.table).join(', ')}`);
+
+    for (const tableName of retired) {
+      await this.dropTable(tableName);
+    }
+  }
 }
 
 module.exports = MySQLAdapter;
@@ -1,14 +1,57 @@
-const { Pool } = require('pg');
-const logger = require('../utils/logger');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Pool, types } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
+const logger = require('../utils/logger').child({ module: 'postgres-adapter' });
+const { metrics } = require('../utils/metrics');
+const { describeValue, mergeDescriptors, sameDescriptor, localDateTime } = require('./column-types');
+
+// Lineage columns stamped on every fetched row, created up front with fixed types
+const LINEAGE_COLUMNS = {
+  _office_code: 'VARCHAR(64)',
+  _date_from: 'DATE',
+  _date_to: 'DATE',
+  _run_id: 'VARCHAR(64)',
+  _source_page: 'INTEGER',
+};
+
+// Version columns of endpoints with history (SCD type 2), see HistoryTracker
+const HISTORY_COLUMNS = {
+  _valid_from: 'TIMESTAMP',
+  _valid_to: 'TIMESTAMP',
+  _is_current: 'BOOLEAN',
+  _deleted_at: 'TIMESTAMP',
+  _row_hash: 'VARCHAR(40)',
+};
+
+// PostgreSQL binds at most 65535 parameters per statement
+const MAX_PARAMS = 65535;
+
+// Column types for bookkeeping tables (run history, checkpoints, ...)
+const SYSTEM_TYPES = {
+  key: 'VARCHAR(64)',
+  string: 'VARCHAR(255)',
+  text: 'TEXT',
+  integer: 'BIGINT',
+  date: 'DATE',
+  datetime: 'TIMESTAMP',
+};
 
 class PostgresAdapter {
   constructor(config) {
     this.config = config;
     this.pool = null;
+    this.inTransaction = false;
   }
 
   async connect() {
-    this.pool = new Pool(this.config);
+    this.pool = new Pool({
+      ...this.config,
+      // DATE values are read as YYYY-MM-DD, not as local midnight
+      types: {
+        getTypeParser: (oid, format) => (oid === types.builtins.DATE ? (value) => value : types.getTypeParser(oid, format)),
+      },
+    });
     logger.info('PostgreSQL connection pool created');
   }
 
@@ -49,7 +92,15 @@ class PostgresAdapter {
   async getColumns(tableName) {
     try {
       const result = await this.pool.query(
-        `SELECT column_name as name, data_type as type
+        `SELECT column_name as name,
+           CASE
+             WHEN data_type = 'character varying' AND character_maximum_length IS NOT NULL
+               THEN 'VARCHAR(' || character_maximum_length || ')'
+             WHEN data_type = 'numeric' AND numeric_precision IS NOT NULL
+               THEN 'NUMERIC(' || numeric_precision || ',' || numeric_scale || ')'
+             WHEN data_type = 'timestamp without time zone' THEN 'TIMESTAMP'
+             ELSE UPPER(data_type)
+           END as type
          FROM information_schema.columns
          WHERE table_name = $1`,
         [tableName]
@@ -69,65 +120,210 @@ class PostgresAdapter {
     return result.rows.length > 0;
   }
 
+  async listTables(prefix) {
+    const result = await this.pool.query(
+      `SELECT table_name AS name FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name LIKE $1`,
+      [`${prefix}%`]
+    );
+    return result.rows.map((r) => r.name).filter((name) => name.startsWith(prefix));
+  }
+
+  // SQL type for a column descriptor (see column-types.js). Numbers get at
+  // least NUMERIC(20,6) and grow beyond that.
+  formatColumnType(descriptor) {
+    if (!descriptor) return 'TEXT';
+    switch (descriptor.kind) {
+      case 'boolean':
+        return 'BOOLEAN';
+      case 'number': {
+        const scale = Math.max(6, descriptor.scale);
+        const precision = Math.max(14, descriptor.integerDigits) + scale;
+        if (precision <= 1000) return `NUMERIC(${precision},${scale})`;
+        break;
+      }
+      case 'date':
+        return 'DATE';
+      case 'datetime':
+        return 'TIMESTAMP';
+      case 'json':
+        return 'JSONB';
+    }
+    return descriptor.length > 255 ? 'TEXT' : 'VARCHAR(255)';
+  }
+
+  // Descriptor for an existing column type as reported by getColumns(), or
+  // null for types this adapter never creates (those are left alone)
+  parseColumnType(type) {
+    if (type === 'BOOLEAN') return { kind: 'boolean', length: 5 };
+    if (type === 'DATE') return { kind: 'date', length: 10 };
+    if (type === 'TIMESTAMP') return { kind: 'datetime', length: 24 };
+    if (type === 'TEXT') return { kind: 'string', length: Infinity };
+    if (type === 'JSONB') return { kind: 'json', length: Infinity };
+
+    const numeric = type.match(/^NUMERIC\((\d+),(\d+)\)$/);
+    if (numeric) {
+      const precision = parseInt(numeric[1], 10);
+      const scale = parseInt(numeric[2], 10);
+      return { kind: 'number', length: precision + 2, integerDigits: precision - scale, scale };
+    }
+    const varchar = type.match(/^VARCHAR\((\d+)\)$/);
+    if (varchar) return { kind: 'string', length: parseInt(varchar[1], 10) };
+    return null;
+  }
+
   inferColumnType(value) {
-    if (value === null || value === undefined) return 'TEXT';
-    if (typeof value === 'boolean') return 'BOOLEAN';
-    if (typeof value === 'number') {
-      // Always use NUMERIC to handle both integers and decimals safely
-      return 'NUMERIC(20,6)';
-    }
-    if (value instanceof Date) return 'TIMESTAMP';
-    if (typeof value === 'string') {
-      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'DATE';
-      if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value)) return 'TIMESTAMP';
-      if (value.length > 255) return 'TEXT';
+    return this.formatColumnType(describeValue(value));
+  }
+
+  // Lineage columns have fixed types; key columns must be indexable, so an
+  // unknown (null) or long text type becomes VARCHAR
+  columnType(key, descriptor, options = {}) {
+    if (LINEAGE_COLUMNS[key]) return LINEAGE_COLUMNS[key];
+    if (HISTORY_COLUMNS[key]) return HISTORY_COLUMNS[key];
+    const type = this.formatColumnType(descriptor);
+    const keyed = [...(options.uniqueKey || []), ...(options.naturalKey || [])];
+    if (type === 'TEXT' && keyed.includes(key)) {
       return 'VARCHAR(255)';
     }
-    if (typeof value === 'object') return 'JSONB';
-    return 'TEXT';
+    return type;
   }
 
-  async createTable(tableName, sampleRow) {
-    const columns = Object.entries(sampleRow)
-      .filter(([key, val]) => typeof val !== 'object' || val === null)
-      .map(([key, val]) => {
-        const type = this.inferColumnType(val);
-        return `"${key}" ${type}`;
-      });
+  // columns maps column name -> descriptor, as built by describeRows()
+  async createTable(tableName, columns, options = {}) {
+    const definitions = Object.entries(columns).map(([key, descriptor]) => {
+      const type = this.columnType(key, descriptor, options);
+      return `"${key}" ${type}`;
+    });
 
-    columns.unshift('"_id" BIGSERIAL PRIMARY KEY');
-    columns.push('"_fetched_at" TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    definitions.unshift('"_id" BIGSERIAL PRIMARY KEY');
+    for (const [name, type] of Object.entries(LINEAGE_COLUMNS)) {
+      if (!(name in columns)) definitions.push(`"${name}" ${type}`);
+    }
+    definitions.push('"_fetched_at" TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
 
-    const sql = `CREATE TABLE IF NOT EXISTS "${tableName}" (${columns.join(', ')})`;
+    const sql = `CREATE TABLE IF NOT EXISTS "${tableName}" (${definitions.join(', ')})`;
     logger.debug('Creating table', { sql });
     await this.pool.query(sql);
     logger.info(`Table ${tableName} created`);
+    metrics.schemaChanges.inc({ table: tableName, change: 'create_table' });
+
+    await this.ensureLineageIndexes(tableName);
+    if (options.uniqueKey) {
+      await this.ensureUniqueIndex(tableName, options.uniqueKey);
+    }
+    if (options.naturalKey) {
+      await this.ensureKeyIndex(tableName, options.naturalKey);
+    }
+  }
+
+  async ensureIndex(tableName, indexName, columns, unique = false) {
+    const sql = `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ON "${tableName}" (${columns.map((c) => `"${c}"`).join(', ')})`;
+    await this.pool.query(sql);
+    logger.debug(`Index ${indexName} ensured on ${tableName}`);
+  }
+
+  async ensureUniqueIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_uk`, columns, true);
+  }
+
+  // Lookups by natural key: _row_key is a hash, so its index cannot serve them
+  async ensureKeyIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_key_idx`, columns);
+  }
+
+  async ensureLineageIndexes(tableName) {
+    await this.ensureIndex(tableName, `${tableName}_lineage_idx`, ['_office_code', '_date_from', '_date_to']);
+    await this.ensureIndex(tableName, `${tableName}_run_idx`, ['_run_id']);
+  }
+
+  // Create a bookkeeping table from an explicit definition:
+  // columns maps name -> SYSTEM_TYPES key, indexes maps index suffix -> columns
+  async ensureSystemTable(tableName, { columns, primaryKey, indexes = {} }) {
+    const definitions = Object.entries(columns).map(([name, type]) => `"${name}" ${SYSTEM_TYPES[type]}`);
+    definitions.push(`PRIMARY KEY (${primaryKey.map((c) => `"${c}"`).join(', ')})`);
+
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS "${tableName}" (${definitions.join(', ')})`);
+    // Columns added to a definition since the table was created
+    const existing = new Set((await this.getColumns(tableName)).map((c) => c.name.toLowerCase()));
+    for (const [name, type] of Object.entries(columns)) {
+      if (existing.has(name.toLowerCase())) continue;
+      await this.pool.query(`ALTER TABLE "${tableName}" ADD COLUMN "${name}" ${SYSTEM_TYPES[type]}`);
+    }
+    for (const [suffix, indexColumns] of Object.entries(indexes)) {
+      await this.ensureIndex(tableName, `${tableName}_${suffix}`, indexColumns);
+    }
   }
 
-  async addMissingColumns(tableName, sampleRow) {
+  // Returns the columns added, as { column, oldType, newType }
+  async addMissingColumns(tableName, columns, options = {}) {
     const existingColumns = await this.getColumns(tableName);
     const existingNames = new Set(existingColumns.map((c) => c.name.toLowerCase()));
+    const added = [];
 
-    for (const [key, val] of Object.entries(sampleRow)) {
-      if (typeof val === 'object' && val !== null && !Array.isArray(val)) continue;
-      if (Array.isArray(val)) continue;
-
+    for (const [key, descriptor] of Object.entries(columns)) {
       if (!existingNames.has(key.toLowerCase())) {
-        const type = this.inferColumnType(val);
+        const type = this.columnType(key, descriptor, options);
         const sql = `ALTER TABLE "${tableName}" ADD COLUMN "${key}" ${type}`;
         logger.info(`Adding column ${key} to ${tableName}`);
         await this.pool.query(sql);
+        added.push({ column: key, oldType: null, newType: type });
       }
     }
+    if (added.length) metrics.schemaChanges.inc({ table: tableName, change: 'add_column' }, added.length);
+    return added;
   }
 
-  async insertBatch(tableName, rows) {
-    if (!rows.length) return;
+  // Alter existing columns whose type cannot hold the incoming values, e.g.
+  // VARCHAR(255) -> TEXT, DATE -> VARCHAR(255), NUMERIC(20,6) -> NUMERIC(24,6).
+  // Columns are only ever widened. Returns the changes as { column, oldType, newType }.
+  async widenColumns(tableName, columns, options = {}) {
+    const widened = [];
 
-    const columns = Object.keys(rows[0]).filter((key) => {
-      const val = rows[0][key];
-      return !(typeof val === 'object' && val !== null);
-    });
+    for (const { name, type } of await this.getColumns(tableName)) {
+      const incoming = columns[name];
+      if (!incoming || LINEAGE_COLUMNS[name] || HISTORY_COLUMNS[name]) continue;
+
+      const current = this.parseColumnType(type);
+      if (!current) continue;
+
+      const merged = mergeDescriptors(current, incoming);
+      if (sameDescriptor(merged, current)) continue;
+
+      const newType = this.columnType(name, merged, options);
+      if (newType === type) continue;
+
+      // Booleans have no text form numeric accepts, everything else converts via text
+      const using = current.kind === 'boolean' && merged.kind === 'number'
+        ? `"${name}"::int::${newType}`
+        : `"${name}"::text::${newType}`;
+
+      logger.info(`Widening column ${name} on ${tableName}: ${type} -> ${newType}`);
+      await this.pool.query(`ALTER TABLE "${tableName}" ALTER COLUMN "${name}" TYPE ${newType} USING ${using}`);
+      widened.push({ column: name, oldType: type, newType });
+    }
+    if (widened.length) metrics.schemaChanges.inc({ table: tableName, change: 'widen_column' }, widened.length);
+    return widened;
+  }
+
+  // Columns are taken from all rows, since later rows may carry fields the
+  // first one lacks. Rows are flat; the only objects are JSON values (_raw, scalar arrays).
+  insertColumns(rows) {
+    return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  }
+
+  // Split rows so no statement exceeds the bind parameter limit
+  paramChunks(rows) {
+    const size = Math.max(1, Math.floor(MAX_PARAMS / this.insertColumns(rows).length));
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += size) {
+      chunks.push(rows.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  buildInsert(tableName, rows) {
+    const columns = this.insertColumns(rows);
 
     let paramIndex = 1;
     const placeholders = rows
@@ -138,19 +334,242 @@ class PostgresAdapter {
       columns.map((col) => {
         const val = row[col];
         if (val === undefined) return null;
+        if (typeof val === 'object' && val !== null && !(val instanceof Date)) return JSON.stringify(val);
         return val;
       })
     );
 
     const sql = `INSERT INTO "${tableName}" (${columns.map((c) => `"${c}"`).join(', ')}) VALUES ${placeholders}`;
-    await this.pool.query(sql, values);
+    return { sql, values, columns };
+  }
+
+  async insertBatch(tableName, rows) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'insert' });
+    for (const chunk of this.paramChunks(rows)) {
+      const { sql, values } = this.buildInsert(tableName, chunk);
+      await this.pool.query(sql, values);
+    }
+    endTimer();
     logger.info(`Inserted ${rows.length} rows into ${tableName}`);
   }
 
+  buildUpsert(tableName, rows, keyColumns, extraUpdates = []) {
+    const { sql, values, columns } = this.buildInsert(tableName, rows);
+    const updates = columns
+      .filter((col) => !keyColumns.includes(col))
+      .map((col) => `"${col}" = EXCLUDED."${col}"`)
+      .concat(extraUpdates);
+
+    const conflict = keyColumns.map((c) => `"${c}"`).join(', ');
+    return { sql: `${sql} ON CONFLICT (${conflict}) DO UPDATE SET ${updates.join(', ')}`, values };
+  }
+
+  // Insert rows, updating existing ones that collide on the key columns.
+  // Rows must be unique on the key within a batch.
+  async upsertBatch(tableName, rows, keyColumns) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'upsert' });
+    for (const chunk of this.paramChunks(rows)) {
+      const { sql, values } = this.buildUpsert(tableName, chunk, keyColumns, ['"_fetched_at" = CURRENT_TIMESTAMP']);
+      await this.pool.query(sql, values);
+    }
+    endTimer();
+    logger.info(`Upserted ${rows.length} rows into ${tableName}`);
+  }
+
+  // One COPY text-format line: tab separated, \N for NULL, backslash escapes
+  copyLine(row, columns) {
+    return columns.map((col) => {
+      const val = row[col];
+      if (val === null || val === undefined) return '\\N';
+      let text = String(val);
+      if (val instanceof Date) text = localDateTime(val);
+      else if (typeof val === 'object') text = JSON.stringify(val);
+      return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    }).join('\t') + '\n';
+  }
+
+  // Bulk load rows with COPY ... FROM STDIN. COPY cannot update rows, so with
+  // keyColumns the rows are copied into a temporary table and merged into the
+  // target with INSERT ... ON CONFLICT, all in one transaction.
+  async bulkLoad(tableName, rows, keyColumns = null) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'bulk_load' });
+    const columns = this.insertColumns(rows);
+    const columnList = columns.map((c) => `"${c}"`).join(', ');
+    const target = keyColumns ? `${tableName}__load` : tableName;
+
+    await this.transaction(async (db) => {
+      if (keyColumns) {
+        await db.pool.query(
+          `CREATE TEMP TABLE "${target}" ON COMMIT DROP AS SELECT ${columnList} FROM "${tableName}" WITH NO DATA`
+        );
+      }
+
+      const lines = Readable.from(rows.map((row) => this.copyLine(row, columns)));
+      await pipeline(lines, db.pool.query(copyFrom(`COPY "${target}" (${columnList}) FROM STDIN`)));
+
+      if (keyColumns) {
+        const updates = columns
+          .filter((col) => !keyColumns.includes(col))
+          .map((col) => `"${col}" = EXCLUDED."${col}"`)
+          .concat('"_fetched_at" = CURRENT_TIMESTAMP');
+        await db.pool.query(
+          `INSERT INTO "${tableName}" (${columnList}) SELECT ${columnList} FROM "${target}"
+           ON CONFLICT (${keyColumns.map((c) => `"${c}"`).join(', ')}) DO UPDATE SET ${updates.join(', ')}`
+        );
+        // Dropped right away, the surrounding transaction may load more batches
+        await db.pool.query(`DROP TABLE "${target}"`);
+      }
+    });
+    endTimer();
+    logger.info(`Bulk loaded ${rows.length} rows into ${tableName}`);
+  }
+
+  // Run fn(db) in a transaction on a single client, db being this adapter
+  // bound to that client. Calls made through db while it runs join the
+  // transaction instead of starting their own.
+  async transaction(fn) {
+    if (this.inTransaction) return fn(this);
+
+    const client = await this.pool.connect();
+    const db = Object.create(this);
+    db.pool = client;
+    db.inTransaction = true;
+    try {
+      await client.query('BEGIN');
+      const result = await fn(db);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Take the named session-level advisory lock, without waiting. The lock
+  // belongs to one pooled client, held until the returned release() is
+  // called; null when another session holds it.
+  async tryLock(name) {
+    const client = await this.pool.connect();
+    let locked = false;
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [name]);
+      locked = result.rows[0].locked === true;
+    } finally {
+      if (!locked) client.release();
+    }
+    if (!locked) return null;
+
+    return async () => {
+      try {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+      } finally {
+        client.release();
+      }
+    };
+  }
+
+  // Insert or update a single bookkeeping record by its primary key
+  async saveRecord(tableName, record, keyColumns) {
+    const { sql, values } = this.buildUpsert(tableName, [record], keyColumns);
+    await this.pool.query(sql, values);
+  }
+
+  // offset is the number of parameters that come before the WHERE clause
+  // Equality on every column in where; null matches NULL
+  buildWhere(where, offset = 0) {
+    const entries = Object.entries(where);
+    if (!entries.length) return { clause: '', values: [] };
+    const values = [];
+    const conditions = entries.map(([col, val]) => {
+      if (val === null || val === undefined) return `"${col}" IS NULL`;
+      values.push(val);
+      return `"${col}" = $${offset + values.length}`;
+    });
+    return { clause: ` WHERE ${conditions.join(' AND ')}`, values };
+  }
+
+  // ORDER BY and LIMIT of selectRecords(): { orderBy, descending, limit }
+  buildOrder({ orderBy, descending = false, limit } = {}) {
+    let sql = orderBy ? ` ORDER BY "${orderBy}"${descending ? ' DESC' : ''}` : '';
+    if (limit) sql += ` LIMIT ${Number(limit)}`;
+    return sql;
+  }
+
+  // Read bookkeeping records matching all column = value pairs in where
+  async selectRecords(tableName, where = {}, options = {}) {
+    const { clause, values } = this.buildWhere(where);
+    const result = await this.pool.query(`SELECT * FROM "${tableName}"${clause}${this.buildOrder(options)}`, values);
+    return result.rows;
+  }
+
+  // Up to limit rows of a data table with _id above afterId, in _id order
+  async selectPage(tableName, afterId, limit) {
+    const result = await this.pool.query(
+      `SELECT * FROM "${tableName}" WHERE "_id" > $1 ORDER BY "_id" LIMIT $2`,
+      [afterId, limit]
+    );
+    return result.rows;
+  }
+
+  // Set the columns in values on every record matching where
+  async updateRecords(tableName, values, where = {}) {
+    const columns = Object.keys(values);
+    const { clause, values: whereValues } = this.buildWhere(where, columns.length);
+    const assignments = columns.map((col, i) => `"${col}" = $${i + 1}`).join(', ');
+    await this.pool.query(`UPDATE "${tableName}" SET ${assignments}${clause}`, [...Object.values(values), ...whereValues]);
+  }
+
+  async deleteRecords(tableName, where = {}) {
+    const { clause, values } = this.buildWhere(where);
+    await this.pool.query(`DELETE FROM "${tableName}"${clause}`, values);
+  }
+
   async truncateTable(tableName) {
     await this.pool.query(`TRUNCATE TABLE "${tableName}" RESTART IDENTITY`);
     logger.info(`Truncated table ${tableName}`);
   }
+
+  async dropTable(tableName) {
+    await this.pool.query(`DROP TABLE IF EXISTS "${tableName}" CASCADE`);
+    logger.info(`Dropped table ${tableName}`);
+  }
+
+  // Replace live tables with their loaded staging copies, pairs being
+  // [{ table, staging }], in one transaction: readers see either the old or
+  // the new tables. The live table is dropped without CASCADE, so a view on it
+  // makes the swap fail and roll back rather than silently disappear.
+  async swapTables(pairs) {
+    await this.transaction(async (db) => {
+      for (const { table, staging } of pairs) {
+        await db.pool.query(`DROP TABLE IF EXISTS "${table}"`);
+        await db.pool.query(`ALTER TABLE "${staging}" RENAME TO "${table}"`);
+
+        // Index and sequence names are per schema; take over the live names
+        // so the next staging table can reuse its own
+        const indexes = await db.pool.query(
+          `SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = $1`,
+          [table]
+        );
+        for (const { indexname } of indexes.rows) {
+          if (!indexname.startsWith(`${staging}_`)) continue;
+          await db.pool.query(`ALTER INDEX "${indexname}" RENAME TO "${table}${indexname.slice(staging.length)}"`);
+        }
+        const sequence = await db.pool.query(`SELECT pg_get_serial_sequence($1, '_id') AS name`, [`"${table}"`]);
+        if (sequence.rows[0] && sequence.rows[0].name) {
+          await db.pool.query(`ALTER SEQUENCE ${sequence.rows[0].name} RENAME TO "${table}__id_seq"`);
+        }
+      }
+    });
+    logger.info(`Swapped in ${pairs.map((p) => p.table).join(', ')}`);
+  }
 }
 
 module.exports = PostgresAdapter;
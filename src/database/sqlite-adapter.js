@@ -0,0 +1,463 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger').child({ module: 'sqlite-adapter' });
+const { metrics } = require('../utils/metrics');
+const { describeValue } = require('./column-types');
+
+// Lineage columns stamped on every fetched row, created up front with fixed types
+const LINEAGE_COLUMNS = {
+  _office_code: 'TEXT',
+  _date_from: 'DATE',
+  _date_to: 'DATE',
+  _run_id: 'TEXT',
+  _source_page: 'INTEGER',
+};
+
+// Version columns of endpoints with history (SCD type 2), see HistoryTracker
+const HISTORY_COLUMNS = {
+  _valid_from: 'DATETIME',
+  _valid_to: 'DATETIME',
+  _is_current: 'INTEGER',
+  _deleted_at: 'DATETIME',
+  _row_hash: 'TEXT',
+};
+
+// Column types for bookkeeping tables (run history, checkpoints, ...)
+const SYSTEM_TYPES = {
+  key: 'TEXT',
+  string: 'TEXT',
+  text: 'TEXT',
+  integer: 'INTEGER',
+  date: 'DATE',
+  datetime: 'DATETIME',
+};
+
+// Write lock of the adapter whose exclusive() the current code runs under
+const lockHolder = new AsyncLocalStorage();
+
+// Names locked with tryLock() by any adapter in this process
+const heldLocks = new Set();
+
+// SQLite database in a local file (or ':memory:') for development and tests.
+// better-sqlite3 is synchronous; methods stay async to match the other adapters.
+class SQLiteAdapter {
+  constructor(config) {
+    this.config = config;
+    this.db = null;
+    this.inTransaction = false;
+    this.transactionLock = { last: Promise.resolve() };
+  }
+
+  async connect() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('DB_PROVIDER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const { filename } = this.config;
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    logger.info(`SQLite database opened: ${filename}`);
+  }
+
+  async disconnect() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      logger.info('SQLite database closed');
+    }
+  }
+
+  async ping() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return true;
+    } catch (err) {
+      logger.warn('SQLite connection check failed', { error: err.message });
+      return false;
+    }
+  }
+
+  async ensureConnected() {
+    if (!this.db || !(await this.ping())) {
+      await this.connect();
+    }
+  }
+
+  async getColumns(tableName) {
+    try {
+      return this.db.prepare(`PRAGMA table_info("${tableName}")`).all()
+        .map((col) => ({ name: col.name, type: col.type }));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  async tableExists(tableName) {
+    const row = this.db.prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`
+    ).get(tableName);
+    return Boolean(row);
+  }
+
+  async listTables(prefix) {
+    return this.db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all()
+      .map((row) => row.name)
+      .filter((name) => name.startsWith(prefix));
+  }
+
+  // SQL type for a column descriptor (see column-types.js). SQLite has no
+  // lengths or precisions, the type only sets the column's affinity.
+  formatColumnType(descriptor) {
+    if (!descriptor) return 'TEXT';
+    switch (descriptor.kind) {
+      case 'boolean':
+        return 'INTEGER';
+      case 'number':
+        return 'NUMERIC';
+      case 'date':
+        return 'DATE';
+      case 'datetime':
+        return 'DATETIME';
+      default:
+        return 'TEXT';
+    }
+  }
+
+  inferColumnType(value) {
+    return this.formatColumnType(describeValue(value));
+  }
+
+  // Lineage columns have fixed types; any other column takes its inferred type
+  columnType(key, descriptor) {
+    if (LINEAGE_COLUMNS[key]) return LINEAGE_COLUMNS[key];
+    if (HISTORY_COLUMNS[key]) return HISTORY_COLUMNS[key];
+    return this.formatColumnType(descriptor);
+  }
+
+  // columns maps column name -> descriptor, as built by describeRows()
+  async createTable(tableName, columns, options = {}) {
+    const definitions = Object.entries(columns).map(([key, descriptor]) => {
+      const type = this.columnType(key, descriptor);
+      return `"${key}" ${type}`;
+    });
+
+    definitions.unshift('"_id" INTEGER PRIMARY KEY AUTOINCREMENT');
+    for (const [name, type] of Object.entries(LINEAGE_COLUMNS)) {
+      if (!(name in columns)) definitions.push(`"${name}" ${type}`);
+    }
+    definitions.push('"_fetched_at" DATETIME DEFAULT CURRENT_TIMESTAMP');
+
+    const sql = `CREATE TABLE IF NOT EXISTS "${tableName}" (${definitions.join(', ')})`;
+    logger.debug('Creating table', { sql });
+    this.db.exec(sql);
+    logger.info(`Table ${tableName} created`);
+    metrics.schemaChanges.inc({ table: tableName, change: 'create_table' });
+
+    await this.ensureLineageIndexes(tableName);
+    if (options.uniqueKey) {
+      await this.ensureUniqueIndex(tableName, options.uniqueKey);
+    }
+    if (options.naturalKey) {
+      await this.ensureKeyIndex(tableName, options.naturalKey);
+    }
+  }
+
+  async ensureIndex(tableName, indexName, columns, unique = false) {
+    const sql = `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ON "${tableName}" (${columns.map((c) => `"${c}"`).join(', ')})`;
+    this.db.exec(sql);
+    logger.debug(`Index ${indexName} ensured on ${tableName}`);
+  }
+
+  async ensureUniqueIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_uk`, columns, true);
+  }
+
+  // Lookups by natural key: _row_key is a hash, so its index cannot serve them
+  async ensureKeyIndex(tableName, columns) {
+    await this.ensureIndex(tableName, `${tableName}_key_idx`, columns);
+  }
+
+  async ensureLineageIndexes(tableName) {
+    await this.ensureIndex(tableName, `${tableName}_lineage_idx`, ['_office_code', '_date_from', '_date_to']);
+    await this.ensureIndex(tableName, `${tableName}_run_idx`, ['_run_id']);
+  }
+
+  // Create a bookkeeping table from an explicit definition:
+  // columns maps name -> SYSTEM_TYPES key, indexes maps index suffix -> columns
+  async ensureSystemTable(tableName, { columns, primaryKey, indexes = {} }) {
+    const definitions = Object.entries(columns).map(([name, type]) => `"${name}" ${SYSTEM_TYPES[type]}`);
+    definitions.push(`PRIMARY KEY (${primaryKey.map((c) => `"${c}"`).join(', ')})`);
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS "${tableName}" (${definitions.join(', ')})`);
+    // Columns added to a definition since the table was created
+    const existing = new Set((await this.getColumns(tableName)).map((c) => c.name.toLowerCase()));
+    for (const [name, type] of Object.entries(columns)) {
+      if (existing.has(name.toLowerCase())) continue;
+      this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${name}" ${SYSTEM_TYPES[type]}`);
+    }
+    for (const [suffix, indexColumns] of Object.entries(indexes)) {
+      await this.ensureIndex(tableName, `${tableName}_${suffix}`, indexColumns);
+    }
+  }
+
+  // Returns the columns added, as { column, oldType, newType }
+  async addMissingColumns(tableName, columns, options = {}) {
+    const existingColumns = await this.getColumns(tableName);
+    const existingNames = new Set(existingColumns.map((c) => c.name.toLowerCase()));
+    const added = [];
+
+    for (const [key, descriptor] of Object.entries(columns)) {
+      if (!existingNames.has(key.toLowerCase())) {
+        const type = this.columnType(key, descriptor);
+        logger.info(`Adding column ${key} to ${tableName}`);
+        this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${key}" ${type}`);
+        added.push({ column: key, oldType: null, newType: type });
+      }
+    }
+    if (added.length) metrics.schemaChanges.inc({ table: tableName, change: 'add_column' }, added.length);
+    return added;
+  }
+
+  // Any SQLite column stores any value (declared types are only affinities),
+  // so nothing ever needs widening
+  async widenColumns(tableName, columns, options = {}) {
+    return [];
+  }
+
+  // better-sqlite3 only binds numbers, strings, bigints, buffers and null
+  toSqlValue(val) {
+    if (val === undefined || val === null) return null;
+    if (typeof val === 'boolean') return val ? 1 : 0;
+    if (val instanceof Date) return val.toISOString();
+    if (typeof val === 'object') return JSON.stringify(val);
+    return val;
+  }
+
+  // Columns are taken from all rows, since later rows may carry fields the
+  // first one lacks. Rows are flat; the only objects are JSON values (_raw, scalar arrays).
+  insertColumns(rows) {
+    return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  }
+
+  buildInsert(tableName, rows) {
+    const columns = this.insertColumns(rows);
+
+    const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+    const values = rows.flatMap((row) => columns.map((col) => this.toSqlValue(row[col])));
+
+    const sql = `INSERT INTO "${tableName}" (${columns.map((c) => `"${c}"`).join(', ')}) VALUES ${placeholders}`;
+    return { sql, values, columns };
+  }
+
+  buildUpsert(tableName, rows, keyColumns, extraUpdates = []) {
+    const { sql, values, columns } = this.buildInsert(tableName, rows);
+    const updates = columns
+      .filter((col) => !keyColumns.includes(col))
+      .map((col) => `"${col}" = excluded."${col}"`)
+      .concat(extraUpdates);
+
+    const conflict = keyColumns.map((c) => `"${c}"`).join(', ');
+    const action = updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+    return { sql: `${sql} ON CONFLICT (${conflict}) ${action}`, values };
+  }
+
+  async insertBatch(tableName, rows) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'insert' });
+    const { sql, values } = this.buildInsert(tableName, rows);
+    this.db.prepare(sql).run(values);
+    endTimer();
+    logger.info(`Inserted ${rows.length} rows into ${tableName}`);
+  }
+
+  // Insert rows, updating existing ones that collide on the key columns.
+  // Rows must be unique on the key within a batch.
+  async upsertBatch(tableName, rows, keyColumns) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'upsert' });
+    const { sql, values } = this.buildUpsert(tableName, rows, keyColumns, ['"_fetched_at" = CURRENT_TIMESTAMP']);
+    this.db.prepare(sql).run(values);
+    endTimer();
+    logger.info(`Upserted ${rows.length} rows into ${tableName}`);
+  }
+
+  // Bulk load rows by running one prepared single-row statement per row inside
+  // a transaction, the fastest way to write many rows into SQLite
+  async bulkLoad(tableName, rows, keyColumns = null) {
+    if (!rows.length) return;
+
+    const endTimer = metrics.dbWriteSeconds.startTimer({ table: tableName, operation: 'bulk_load' });
+    const columns = this.insertColumns(rows);
+    const template = Object.fromEntries(columns.map((col) => [col, null]));
+    const { sql } = keyColumns
+      ? this.buildUpsert(tableName, [template], keyColumns, ['"_fetched_at" = CURRENT_TIMESTAMP'])
+      : this.buildInsert(tableName, [template]);
+    const statement = this.db.prepare(sql);
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        statement.run(columns.map((col) => this.toSqlValue(row[col])));
+      }
+    })();
+    endTimer();
+    logger.info(`Bulk loaded ${rows.length} rows into ${tableName}`);
+  }
+
+  // Run fn() under the write lock. There is only one connection: a write
+  // made while another unit's transaction is open would become part of that
+  // transaction and be rolled back with it, so every write and transaction
+  // takes the lock in turn (see WRITE_METHODS). Code already running under
+  // the lock, e.g. inside a transaction, goes straight through.
+  async exclusive(fn) {
+    if (lockHolder.getStore() === this.transactionLock) return fn();
+
+    const previous = this.transactionLock.last;
+    let release;
+    this.transactionLock.last = new Promise((resolve) => { release = resolve; });
+    await previous;
+    try {
+      return await lockHolder.run(this.transactionLock, fn);
+    } finally {
+      release();
+    }
+  }
+
+  // Run fn(db) in a transaction; db is this adapter marked as inside the
+  // transaction so nested calls join it
+  async transaction(fn) {
+    if (this.inTransaction) return fn(this);
+
+    return this.exclusive(async () => {
+      const db = Object.create(this);
+      db.inTransaction = true;
+      try {
+        this.db.exec('BEGIN');
+        const result = await fn(db);
+        this.db.exec('COMMIT');
+        return result;
+      } catch (err) {
+        if (this.db.inTransaction) this.db.exec('ROLLBACK');
+        throw err;
+      }
+    });
+  }
+
+  // Take the named lock, without waiting; returns release(), or null when it is
+  // held. A SQLite file is local to one host, so the lock only has to keep
+  // out the other adapters of this process.
+  async tryLock(name) {
+    if (heldLocks.has(name)) return null;
+    heldLocks.add(name);
+    return async () => {
+      heldLocks.delete(name);
+    };
+  }
+
+  // Insert or update a single bookkeeping record by its primary key
+  async saveRecord(tableName, record, keyColumns) {
+    const { sql, values } = this.buildUpsert(tableName, [record], keyColumns);
+    this.db.prepare(sql).run(values);
+  }
+
+  // Equality on every column in where; null matches NULL
+  buildWhere(where) {
+    const entries = Object.entries(where);
+    if (!entries.length) return { clause: '', values: [] };
+    const isNull = ([, val]) => val === null || val === undefined;
+    return {
+      clause: ` WHERE ${entries.map((entry) => `"${entry[0]}" ${isNull(entry) ? 'IS NULL' : '= ?'}`).join(' AND ')}`,
+      values: entries.filter((entry) => !isNull(entry)).map(([, val]) => this.toSqlValue(val)),
+    };
+  }
+
+  // ORDER BY and LIMIT of selectRecords(): { orderBy, descending, limit }
+  buildOrder({ orderBy, descending = false, limit } = {}) {
+    let sql = orderBy ? ` ORDER BY "${orderBy}"${descending ? ' DESC' : ''}` : '';
+    if (limit) sql += ` LIMIT ${Number(limit)}`;
+    return sql;
+  }
+
+  // Read bookkeeping records matching all column = value pairs in where
+  async selectRecords(tableName, where = {}, options = {}) {
+    const { clause, values } = this.buildWhere(where);
+    return this.db.prepare(`SELECT * FROM "${tableName}"${clause}${this.buildOrder(options)}`).all(values);
+  }
+
+  // Up to limit rows of a data table with _id above afterId, in _id order
+  async selectPage(tableName, afterId, limit) {
+    return this.db.prepare(`SELECT * FROM "${tableName}" WHERE "_id" > ? ORDER BY "_id" LIMIT ?`).all(afterId, limit);
+  }
+
+  // Set the columns in values on every record matching where
+  async updateRecords(tableName, values, where = {}) {
+    const { clause, values: whereValues } = this.buildWhere(where);
+    const assignments = Object.keys(values).map((col) => `"${col}" = ?`).join(', ');
+    this.db.prepare(`UPDATE "${tableName}" SET ${assignments}${clause}`)
+      .run([...Object.values(values).map((val) => this.toSqlValue(val)), ...whereValues]);
+  }
+
+  async deleteRecords(tableName, where = {}) {
+    const { clause, values } = this.buildWhere(where);
+    this.db.prepare(`DELETE FROM "${tableName}"${clause}`).run(values);
+  }
+
+  async truncateTable(tableName) {
+    this.db.prepare(`DELETE FROM "${tableName}"`).run();
+    if (await this.tableExists('sqlite_sequence')) {
+      this.db.prepare('DELETE FROM sqlite_sequence WHERE name = ?').run(tableName);
+    }
+    logger.info(`Truncated table ${tableName}`);
+  }
+
+  async dropTable(tableName) {
+    this.db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
+    logger.info(`Dropped table ${tableName}`);
+  }
+
+  // Replace live tables with their loaded staging copies, pairs being
+  // [{ table, staging }], in one transaction
+  async swapTables(pairs) {
+    const swap = this.db.transaction(() => {
+      for (const { table, staging } of pairs) {
+        this.db.exec(`DROP TABLE IF EXISTS "${table}"`);
+        this.db.exec(`ALTER TABLE "${staging}" RENAME TO "${table}"`);
+
+        // Index names are global and SQLite cannot rename them, so recreate
+        // the staging indexes under the live names
+        const indexes = this.db.prepare(
+          `SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`
+        ).all(table);
+        for (const { name, sql } of indexes) {
+          if (!name.startsWith(`${staging}_`)) continue;
+          this.db.exec(`DROP INDEX "${name}"`);
+          this.db.exec(sql.replace(`"${name}"`, `"${table}${name.slice(staging.length)}"`));
+        }
+      }
+    });
+    swap();
+    logger.info(`Swapped in ${pairs.map((p) => p.table).join(', ')}`);
+  }
+}
+
+// Writes wait for the transaction in progress instead of joining it
+const WRITE_METHODS = [
+  'createTable', 'ensureIndex', 'ensureSystemTable', 'addMissingColumns', 'insertBatch', 'upsertBatch',
+  'bulkLoad', 'saveRecord', 'updateRecords', 'deleteRecords', 'truncateTable', 'dropTable', 'swapTables',
+];
+for (const name of WRITE_METHODS) {
+  const write = SQLiteAdapter.prototype[name];
+  SQLiteAdapter.prototype[name] = function (...args) {
+    return this.exclusive(() => write.apply(this, args));
+  };
+}
+
+module.exports = SQLiteAdapter;
@@ -1,38 +1,66 @@
+// uniqueKey lists the natural key columns of each table. Rows are upserted on a
+// hash of these values, so re-running a fetch updates rows instead of
+// duplicating them. Key columns missing from the API payload are taken from the
+// request params (office_code, date_from, date_to for reports).
+// maxAttempts (optional) overrides API_MAX_ATTEMPTS for slow endpoints.
+// batchSize (optional, default 100) is the number of rows per INSERT; pages
+// large enough to be bulk loaded go in one bulk load each.
+// nestedTables entries may nest further nestedTables. autoNest (optional)
+// overrides AUTO_NEST_ARRAYS for arrays that nestedTables does not declare.
+// storeRaw (optional) keeps each record's original JSON in a _raw column, so
+// the tables can be rebuilt with jasper-fetcher reprocess after a mapping fix.
+// incremental (optional) fetches only records changed since the last run:
+// field is the (flattened) column holding the change time, param the request
+// parameter it is sent as. Requires uniqueKey, so changed rows are upserted.
+// history (optional, master data only) keeps every version of a record
+// instead of updating it in place, with _valid_from, _valid_to, _is_current
+// and _deleted_at (SCD type 2). Requires uniqueKey; see the README.
 module.exports = [
   // Master Data Endpoints
   {
     path: '/api/client/master/customer',
     tableName: 'jasper_customer',
+    uniqueKey: ['customer_code'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [],
   },
   {
     path: '/api/client/master/item',
     tableName: 'jasper_item',
+    uniqueKey: ['item_code'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [],
   },
   {
     path: '/api/client/master/item-group',
     tableName: 'jasper_item_group',
+    uniqueKey: ['item_group_code'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [],
   },
   {
     path: '/api/client/master/sales',
     tableName: 'jasper_sales',
+    uniqueKey: ['sales_code'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [],
   },
   {
     path: '/api/client/master/warehouse',
     tableName: 'jasper_warehouse',
+    uniqueKey: ['warehouse_code'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [
       {
         nestedKey: 'locations',
         childTable: 'jasper_warehouse_location',
         parentKey: 'warehouse_code',
+        uniqueKey: ['_parent_warehouse_code', 'location_code'],
       },
     ],
   },
@@ -41,6 +69,9 @@ module.exports = [
   {
     path: '/api/client/report/generate/stock-balance-location-report',
     tableName: 'jasper_stock_balance_location_report',
+    maxAttempts: 5,
+    batchSize: 5000,
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'warehouse_code', 'location_code', 'item_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -48,6 +79,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/stock-aging-location-report',
     tableName: 'jasper_stock_aging_location_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'warehouse_code', 'location_code', 'item_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -55,6 +87,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/ar-aging-report',
     tableName: 'jasper_ar_aging_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'customer_code', 'invoice_no'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -62,6 +95,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/sales-quote-report',
     tableName: 'jasper_sales_quote_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'sales_quote_no', 'item_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -69,6 +103,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/sales-order-report',
     tableName: 'jasper_sales_order_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'sales_order_no', 'item_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -76,6 +111,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/sales-target-report',
     tableName: 'jasper_sales_target_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'sales_code', 'item_group_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -83,6 +119,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/operational-expense-report',
     tableName: 'jasper_operational_expense_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'expense_no'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -90,6 +127,8 @@ module.exports = [
   {
     path: '/api/client/report/generate/margin-report',
     tableName: 'jasper_margin_report',
+    batchSize: 5000,
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'invoice_no', 'item_code'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -97,6 +136,7 @@ module.exports = [
   {
     path: '/api/client/report/generate/vehicle-service-report',
     tableName: 'jasper_vehicle_service_report',
+    uniqueKey: ['office_code', 'date_from', 'date_to', 'service_no'],
     params: {},
     nestedTables: [],
     requiresDate: true,
@@ -106,12 +146,15 @@ module.exports = [
   {
     path: '/api/client/transaction/purchase-receipt',
     tableName: 'jasper_purchase_receipt',
+    uniqueKey: ['purchase_receipt_no'],
+    incremental: { field: 'updated_at', param: 'updated_at_from' },
     params: {},
     nestedTables: [
       {
         nestedKey: 'items',
         childTable: 'jasper_purchase_receipt_item',
         parentKey: 'purchase_receipt_no',
+        uniqueKey: ['_parent_purchase_receipt_no', 'item_code'],
       },
     ],
   },
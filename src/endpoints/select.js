@@ -0,0 +1,31 @@
+const endpoints = require('./definitions');
+const { getConfig } = require('../config/config-file');
+
+// definitions.js with the config file's endpoint overrides applied. Endpoints
+// without overrides are returned as they are.
+function configuredEndpoints() {
+  const { overrides } = getConfig().endpoints;
+  return endpoints.map((endpoint) => {
+    const override = overrides[endpoint.tableName];
+    if (!override) return endpoint;
+    return { ...endpoint, ...override, params: { ...endpoint.params, ...override.params } };
+  });
+}
+
+// Resolve endpoint names given on the command line: a table name
+// (jasper_customer), the same without the jasper_ prefix (customer) or an API
+// path. No names selects every endpoint the config file does not disable.
+function selectEndpoints(names = []) {
+  const configured = configuredEndpoints();
+  if (!names || !names.length) return configured.filter((e) => e.enabled !== false);
+
+  return names.map((name) => {
+    const endpoint = configured.find((e) => e.tableName === name || e.tableName === `jasper_${name}` || e.path === name);
+    if (!endpoint) {
+      throw new Error(`Unknown endpoint: ${name} (see jasper-fetcher list-endpoints)`);
+    }
+    return endpoint;
+  }).filter((endpoint, index, selected) => selected.indexOf(endpoint) === index);
+}
+
+module.exports = { selectEndpoints, configuredEndpoints };
@@ -1,81 +1,38 @@
-require('dotenv').config();
-
-const logger = require('./utils/logger');
+const crypto = require('crypto');
+const logger = require('./utils/logger').child({ module: 'fetch-all-offices' });
 const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
-const ApiClient = require('./services/api-client');
+const apiConfig = require('./config/api');
+const { getConfig, apiCredentials } = require('./config/config-file');
+const { createApiClient } = require('./services/api-client-factory');
 const Fetcher = require('./services/fetcher');
-const endpoints = require('./endpoints/definitions');
-
-// Office codes configuration
-const OFFICE_CODES = [
-  { code: 'BCTN', name: 'BCTN PEKANBARU' },
-  { code: 'BCTN/JKT', name: 'BCTN JAKARTA' },
-  { code: 'BCTN/JMB', name: 'BCTN JAMBI' },
-  { code: 'BCTN MDN', name: 'BCTN MEDAN' },
-  { code: 'BCTN/KMP', name: 'BCTN KAMPAR' },
-  { code: 'BCTN/SBY', name: 'BCTN SURABAYA' },
-];
-
-// Tables to skip (shared across all offices, not office-specific)
-const SKIP_TABLES = ['jasper_item', 'jasper_item_group'];
-
-// Format date as YYYY-MM-DD in local timezone
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-// Fixed date range configuration (not from .env)
-const DATE_RANGE_START = { year: 2024, month: 1 };  // January 2024
-const DATE_RANGE_END = { year: 2026, month: 1 };    // January 2026
-
-// Generate month ranges from start to end (inclusive)
-function calculateDateRanges() {
-  const ranges = [];
-  let year = DATE_RANGE_START.year;
-  let month = DATE_RANGE_START.month - 1; // 0-indexed
-
-  while (year < DATE_RANGE_END.year || (year === DATE_RANGE_END.year && month < DATE_RANGE_END.month)) {
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    ranges.push({
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(lastDay),
-      label: `${year}-${String(month + 1).padStart(2, '0')}`,
-    });
-
-    month++;
-    if (month > 11) {
-      month = 0;
-      year++;
-    }
-  }
-
-  return ranges;
+const RunRecorder = require('./services/run-recorder');
+const CheckpointStore = require('./services/checkpoint-store');
+const TableRefresh = require('./services/table-refresh');
+const WatermarkStore = require('./services/watermark-store');
+const Notifier = require('./services/notifier');
+const { selectEndpoints, configuredEndpoints } = require('./endpoints/select');
+const { runPool } = require('./utils/worker-pool');
+const { buildPlan, describePlan } = require('./utils/run-plan');
+const { monthRanges } = require('./utils/date-ranges');
+
+// Whole months from options.from to options.to (YYYY-MM; a YYYY-MM-DD value
+// counts as its month), else dateRanges.backfill in the config file
+function calculateDateRanges(options = {}) {
+  const { backfill } = getConfig().dateRanges;
+  const month = (value) => value.slice(0, 7);
+  return monthRanges(month(options.from || backfill.from), month(options.to || backfill.to));
 }
 
 // Truncate all jasper_* tables
 async function truncateAllTables(db) {
   logger.info('Truncating all jasper_* tables before fetch...');
 
-  let tables = [];
+  let tables = await db.listTables('jasper_');
 
-  if (process.env.DB_PROVIDER === 'postgres') {
-    const result = await db.pool.query(
-      `SELECT table_name FROM information_schema.tables
-       WHERE table_schema = 'public' AND table_name LIKE 'jasper_%'`
-    );
-    tables = result.rows.map(r => r.table_name);
-  } else {
-    const [rows] = await db.pool.query(
-      `SELECT table_name FROM information_schema.tables
-       WHERE table_schema = ? AND table_name LIKE 'jasper_%'`,
-      [process.env.DB_NAME]
-    );
-    tables = rows.map(r => r.TABLE_NAME || r.table_name);
-  }
+  // Keep run history and other bookkeeping tables, and tables keeping history
+  // (turned on per endpoint in the config file)
+  const historyTables = configuredEndpoints().filter((e) => e.history).map((e) => e.tableName);
+  tables = tables.filter((t) => !t.startsWith(RunRecorder.SYSTEM_TABLE_PREFIX) && !historyTables.includes(t));
 
   if (tables.length === 0) {
     logger.info('No jasper_* tables found to truncate');
@@ -85,40 +42,100 @@ async function truncateAllTables(db) {
   logger.info(`Found ${tables.length} tables to truncate: ${tables.join(', ')}`);
 
   for (const table of tables) {
-    if (process.env.DB_PROVIDER === 'postgres') {
-      await db.pool.query(`TRUNCATE TABLE "${table}" RESTART IDENTITY`);
-    } else {
-      await db.pool.query(`TRUNCATE TABLE \`${table}\``);
-    }
-    logger.info(`Truncated: ${table}`);
+    await db.truncateTable(table);
   }
 
   logger.info('All tables truncated successfully');
 }
 
-async function main() {
-  const apiUrl = process.env.JASPER_API_URL;
-  const apiKey = process.env.JASPER_API_KEY;
-  const skipCleanup = process.argv.includes('--no-cleanup');
+// The `backfill` command (see cli.js): every endpoint for every office in the
+// config file, month by month. Shared endpoints are not office-specific and
+// left out. options.endpoints and options.offices narrow it down,
+// options.from and options.to (YYYY-MM) set the months. Rows are upserted on
+// their natural keys, so options.cleanup (truncating first) is opt-in.
+// options.resume skips units completed by an interrupted run and never
+// truncates. options.refresh loads each endpoint into staging tables and swaps
+// them in once complete; it cannot resume, since staging tables start empty.
+// options.full fetches incremental endpoints in full, implied by cleanup.
+// options.dryRun only returns the planned units. Lines logged during the run
+// carry its run_id, as in runFetchJob().
+async function main(options = {}) {
+  const runId = options.runId || crypto.randomUUID();
+  return logger.withContext({ run_id: runId }, () => runBackfill({ ...options, runId }));
+}
 
-  if (!apiUrl || !apiKey) {
+async function runBackfill(options) {
+  const { url: apiUrl, key: apiKey } = apiCredentials();
+  const config = getConfig();
+  const resume = Boolean(options.resume);
+  const refresh = Boolean(options.refresh) && !resume;
+  const runCleanup = Boolean(options.cleanup) && !resume && !refresh;
+  const full = Boolean(options.full) || runCleanup;
+  const concurrency = options.concurrency || parseInt(process.env.FETCH_CONCURRENCY || '1', 10);
+  const offices = options.offices && options.offices.length ? options.offices : config.offices.map((o) => o.code);
+  if (!offices.length) {
+    throw new Error(`No offices to backfill: list them under offices in ${config.path || 'jasper-fetcher.yml'} or pass --office`);
+  }
+
+  const dateRanges = calculateDateRanges(options);
+  const { shared } = config.endpoints;
+  const selected = selectEndpoints(options.endpoints);
+  for (const endpoint of selected.filter((e) => shared.includes(e.tableName))) {
+    logger.info(`Skipping ${endpoint.tableName} (shared data)`);
+  }
+  const plan = buildPlan({
+    endpoints: selected.filter((e) => !shared.includes(e.tableName)),
+    offices,
+    dateRanges,
+  });
+  if (options.dryRun) return { plan: describePlan(plan) };
+
+  if ((!apiUrl || !apiKey) && !apiConfig.replay) {
     logger.error('Missing JASPER_API_URL or JASPER_API_KEY in environment');
     process.exit(1);
   }
 
-  const dateRanges = calculateDateRanges();
-
   logger.info('='.repeat(70));
   logger.info('Starting Jasper API Fetcher - ALL OFFICES');
   logger.info('='.repeat(70));
   logger.info(`API URL: ${apiUrl}`);
   logger.info(`Database provider: ${process.env.DB_PROVIDER || 'mysql'}`);
-  logger.info(`Date range: ${DATE_RANGE_START.year}-${String(DATE_RANGE_START.month).padStart(2, '0')} to ${DATE_RANGE_END.year}-${String(DATE_RANGE_END.month).padStart(2, '0')} (${dateRanges.length} months)`);
-  logger.info(`Office codes: ${OFFICE_CODES.map(o => o.code).join(', ')}`);
+  logger.info(`Date range: ${dateRanges.length ? `${dateRanges[0].label} to ${dateRanges[dateRanges.length - 1].label}` : 'none'} (${dateRanges.length} months)`);
+  logger.info(`Office codes: ${offices.join(', ')}`);
+  logger.info(`Concurrency: ${concurrency}`);
+
+  const db = options.db || await createAdapterWithTunnel();
+  const api = options.api || createApiClient(apiUrl, apiKey);
+  const fetcher = new Fetcher(api, db, { runId: options.runId });
+  logger.info(`Run ID: ${fetcher.runId}`);
+  const recorder = new RunRecorder(db, fetcher.runId, 'all-offices');
+  const notifier = new Notifier();
+  const checkpoints = new CheckpointStore(db, 'all-offices', fetcher.runId);
+  const tableRefresh = refresh ? new TableRefresh(db) : null;
+  // A replay has to request exactly what was archived, so never from a watermark
+  const watermarks = new WatermarkStore(db, fetcher.runId, { full: full || Boolean(apiConfig.replay) });
+
+  // Fetch one endpoint x office x range unit and checkpoint it. Returns false
+  // when the unit was already completed by the run being resumed. Incremental
+  // endpoints fetch what changed since their watermark, except on refresh.
+  const fetchUnit = async (endpoint, params, rangeLabel) => {
+    // Staging tables are discarded on failure, so refresh units are not checkpointed
+    if (tableRefresh) {
+      await recorder.track(endpoint, params, rangeLabel, () =>
+        tableRefresh.run(endpoint, (staging) => fetcher.fetchAndStore({ ...staging, params }))
+      );
+      return true;
+    }
 
-  const db = await createAdapterWithTunnel();
-  const api = new ApiClient(apiUrl, apiKey);
-  const fetcher = new Fetcher(api, db);
+    if (checkpoints.isCompleted(endpoint, params)) return false;
+
+    const stats = await recorder.track(endpoint, params, rangeLabel, () =>
+      fetcher.fetchAndStore({ ...endpoint, params: watermarks.fetchParams(endpoint, params) }, checkpoints.fetchOptions(endpoint, params))
+    );
+    await watermarks.save(endpoint, params, stats);
+    await checkpoints.markCompleted(endpoint, params);
+    return true;
+  };
 
   const results = {
     success: [],
@@ -130,68 +147,73 @@ async function main() {
 
   try {
     await db.connect();
+    await recorder.start({
+      offices,
+      endpoints: options.endpoints || null,
+      skipTables: shared,
+      dateRanges,
+      cleanup: runCleanup,
+      resume,
+      refresh,
+      full,
+    });
+    await checkpoints.init(resume);
+    if (!refresh) await watermarks.init();
 
-    // Truncate all tables before starting (unless --no-cleanup flag)
-    if (!skipCleanup) {
+    if (resume && options.cleanup) {
+      logger.warn('Ignoring --cleanup because --resume was given');
+    }
+    if (resume && options.refresh) {
+      logger.warn('Ignoring --refresh because --resume was given');
+    }
+    if (refresh && options.cleanup) {
+      logger.warn('Ignoring --cleanup because --refresh replaces tables without truncating them');
+    }
+
+    // Truncate all tables before starting (only with --cleanup flag)
+    if (refresh) {
+      logger.info('Refresh mode: loading into staging tables, swapping each endpoint in once complete');
+    } else if (runCleanup) {
       await truncateAllTables(db);
     } else {
-      logger.info('Skipping cleanup (--no-cleanup flag)');
+      logger.info('Skipping cleanup, existing rows will be updated in place');
     }
 
-    // Process each office code
-    for (const office of OFFICE_CODES) {
-      logger.info('');
-      logger.info('='.repeat(70));
-      logger.info(`Processing office: ${office.code} (${office.name})`);
-      logger.info('='.repeat(70));
-
-      for (const endpoint of endpoints) {
-        // Skip shared tables (item, item_group - not office-specific)
-        if (SKIP_TABLES.includes(endpoint.tableName)) {
-          logger.info(`[${office.code}] Skipping ${endpoint.tableName} (shared data)`);
-          continue;
-        }
-
-        // For non-date endpoints, fetch once
-        if (!endpoint.requiresDate) {
-          const params = { ...endpoint.params, office_code: office.code };
-
-          try {
-            logger.info(`[${office.code}] Processing: ${endpoint.path} -> ${endpoint.tableName}`);
-            await fetcher.fetchAndStore({ ...endpoint, params });
-            results.success.push(`${office.code}:${endpoint.tableName}`);
-          } catch (error) {
-            logger.error(`[${office.code}] Failed: ${endpoint.tableName}`, { error: error.message });
-            results.failed.push({ office: office.code, table: endpoint.tableName, error: error.message });
-          }
-          continue;
-        }
+    for (const { endpoint, params, range, reason } of plan.skipped) {
+      logger.warn(`[${params.office_code}] Skipping ${endpoint.tableName}: ${reason}`);
+      results.skipped.push(`${params.office_code}:${endpoint.tableName}`);
+      await recorder.skip(endpoint, params, range.label, reason);
+    }
 
-        // For date-required endpoints, fetch each date range separately
-        for (const range of dateRanges) {
-          if (!range.dateFrom || !range.dateTo) {
-            logger.warn(`[${office.code}] Skipping ${endpoint.tableName}: DATE_FROM and DATE_TO required`);
-            results.skipped.push(`${office.code}:${endpoint.tableName}`);
-            continue;
-          }
-
-          const params = {
-            ...endpoint.params,
-            office_code: office.code,
-            date_from: range.dateFrom,
-            date_to: range.dateTo,
-          };
-
-          try {
-            logger.info(`[${office.code}] Processing: ${endpoint.path} -> ${endpoint.tableName} [${range.label}]`);
-            await fetcher.fetchAndStore({ ...endpoint, params });
-            results.success.push(`${office.code}:${endpoint.tableName}[${range.label}]`);
-          } catch (error) {
-            logger.error(`[${office.code}] Failed: ${endpoint.tableName} [${range.label}]`, { error: error.message });
-            results.failed.push({ office: office.code, table: endpoint.tableName, range: range.label, error: error.message });
-          }
+    // One unit per office x endpoint (x date range), run in parallel
+    const units = plan.units.map(({ endpoint, params, range }) => async () => {
+      const office = params.office_code;
+      const label = range ? `${endpoint.tableName}[${range.label}]` : endpoint.tableName;
+      try {
+        logger.info(`[${office}] Processing: ${endpoint.path} -> ${endpoint.tableName}${range ? ` [${range.label}]` : ''}`);
+        if (await fetchUnit(endpoint, params, range ? range.label : null)) {
+          results.success.push(`${office}:${label}`);
+        } else {
+          logger.info(`[${office}] Already completed: ${endpoint.tableName}${range ? ` [${range.label}]` : ''}`);
+          results.skipped.push(`${office}:${label}`);
         }
+      } catch (error) {
+        logger.error(`[${office}] Failed: ${endpoint.tableName}${range ? ` [${range.label}]` : ''}`, { error: error.message });
+        const failure = { office, table: endpoint.tableName, error: error.message };
+        if (range) failure.range = range.label;
+        results.failed.push(failure);
       }
+    });
+
+    logger.info(`Queued ${units.length} units across ${offices.length} offices`);
+    if (tableRefresh) {
+      for (const { endpoint } of plan.units) tableRefresh.add(endpoint);
+      await tableRefresh.prepare();
+    }
+    try {
+      await runPool(units, concurrency, (unit) => unit());
+    } finally {
+      if (tableRefresh) await tableRefresh.discardPending();
     }
 
     const endTime = new Date();
@@ -205,17 +227,26 @@ async function main() {
     logger.info(`Success: ${results.success.length} operations`);
     logger.info(`Failed: ${results.failed.length} operations`);
     logger.info(`Skipped: ${results.skipped.length} operations`);
+    recorder.noteUndeclaredArrays(fetcher.reportUndeclaredArrays());
+    if (api.isCircuitOpen()) {
+      logger.error(`Circuit breaker open, remaining operations failed fast: ${api.lastFailure}`);
+    }
 
     if (results.failed.length > 0) {
       logger.error('Failed operations:', results.failed);
     }
+    await recorder.finish();
   } catch (error) {
     logger.error('Fatal error', { error: error.message, stack: error.stack });
-    process.exit(1);
+    await recorder.finish(error);
+    process.exitCode = 1;
   } finally {
+    await notifier.notify(db, recorder);
     await db.disconnect();
     await closeTunnel();
   }
+
+  return { runId: fetcher.runId, summary: recorder.summary(), results };
 }
 
-main();
+module.exports = { main, calculateDateRanges };
@@ -1,174 +1,185 @@
-require('dotenv').config();
-
-const logger = require('./utils/logger');
+const crypto = require('crypto');
+const logger = require('./utils/logger').child({ module: 'index' });
 const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
-const ApiClient = require('./services/api-client');
+const apiConfig = require('./config/api');
+const { getConfig, apiCredentials } = require('./config/config-file');
+const { createApiClient } = require('./services/api-client-factory');
 const Fetcher = require('./services/fetcher');
-const endpoints = require('./endpoints/definitions');
-
-// Format date as YYYY-MM-DD in local timezone
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+const RunRecorder = require('./services/run-recorder');
+const TableRefresh = require('./services/table-refresh');
+const WatermarkStore = require('./services/watermark-store');
+const { selectEndpoints } = require('./endpoints/select');
+const { runPool } = require('./utils/worker-pool');
+const { buildPlan, describePlan } = require('./utils/run-plan');
+const { dateRanges } = require('./utils/date-ranges');
+
+// options.from and options.to (--from/--to) give a single static range;
+// otherwise options.mode (--mode), then dateRanges.mode from the config file,
+// then DATE_RANGE_MODE
+function dateRangeMode(options = {}) {
+  if (options.from || options.to) return 'static';
+  return options.mode || getConfig().dateRanges.mode || process.env.DATE_RANGE_MODE || 'static';
 }
 
-// Generate month ranges for a given year
-function getMonthRanges(year) {
-  const ranges = [];
-  for (let month = 0; month < 12; month++) {
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    ranges.push({
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(lastDay),
-      label: `${year}-${String(month + 1).padStart(2, '0')}`,
-    });
-  }
-  return ranges;
+// Offices of fetch and schedule: options.offices (--office), else
+// OFFICE_CODE, else every office in the config file, else none
+function defaultOffices(options = {}) {
+  if (options.offices && options.offices.length) return options.offices;
+  if (process.env.OFFICE_CODE) return [process.env.OFFICE_CODE];
+  const configured = getConfig().offices.map((office) => office.code);
+  return configured.length ? configured : [null];
 }
 
-// Calculate date ranges based on DATE_RANGE_MODE
-function calculateDateRanges() {
-  const mode = process.env.DATE_RANGE_MODE || 'static';
-  const now = new Date();
-
-  if (mode === 'yearly_by_month') {
-    const year = parseInt(process.env.DATE_RANGE_YEAR || now.getFullYear(), 10);
-    return getMonthRanges(year);
-  }
-
-  if (mode === 'previous_year_by_month') {
-    return getMonthRanges(now.getFullYear() - 1);
-  }
-
-  if (mode === 'previous_month') {
-    const firstDay = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const lastDay = new Date(now.getFullYear(), now.getMonth(), 0);
-    return [{
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(lastDay),
-      label: 'previous_month',
-    }];
-  }
-
-  if (mode === 'current_month') {
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    return [{
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(now),
-      label: 'current_month',
-    }];
-  }
-
-  if (mode === 'ytd_by_month') {
-    const ranges = [];
-    for (let month = 0; month <= now.getMonth(); month++) {
-      const firstDay = new Date(now.getFullYear(), month, 1);
-      const lastDay = month === now.getMonth() ? now : new Date(now.getFullYear(), month + 1, 0);
-      ranges.push({
-        dateFrom: formatDate(firstDay),
-        dateTo: formatDate(lastDay),
-        label: `${now.getFullYear()}-${String(month + 1).padStart(2, '0')}`,
-      });
-    }
-    return ranges;
-  }
-
-  if (mode === 'last_n_days') {
-    const days = parseInt(process.env.DATE_RANGE_DAYS || '30', 10);
-    const startDate = new Date(now);
-    startDate.setDate(startDate.getDate() - days);
-    return [{
-      dateFrom: formatDate(startDate),
-      dateTo: formatDate(now),
-      label: `last_${days}_days`,
-    }];
-  }
+// Number from a DATE_RANGE_* style variable, or undefined when unset
+function envNumber(name) {
+  return process.env[name] ? parseInt(process.env[name], 10) : undefined;
+}
 
-  // Static mode
-  return [{
-    dateFrom: process.env.DATE_FROM,
-    dateTo: process.env.DATE_TO,
-    label: 'static',
-  }];
+// Date ranges of dateRangeMode(options); see utils/date-ranges.js. The config
+// file's dateRanges settings take precedence over the DATE_RANGE_* variables,
+// options.split (--split) over both.
+function calculateDateRanges(options = {}) {
+  const ranges = getConfig().dateRanges;
+  return dateRanges(dateRangeMode(options), {
+    from: options.from || ranges.from || process.env.DATE_FROM,
+    to: options.to || ranges.to || process.env.DATE_TO,
+    year: ranges.year || envNumber('DATE_RANGE_YEAR'),
+    days: ranges.days || envNumber('DATE_RANGE_DAYS'),
+    months: ranges.months || envNumber('DATE_RANGE_MONTHS'),
+    fiscalYearStart: ranges.fiscalYearStart || envNumber('FISCAL_YEAR_START_MONTH'),
+    split: options.split || ranges.split || process.env.DATE_RANGE_SPLIT,
+    timeZone: ranges.timezone || process.env.DATE_RANGE_TIMEZONE,
+  });
 }
 
-async function main() {
-  const apiUrl = process.env.JASPER_API_URL;
-  const apiKey = process.env.JASPER_API_KEY;
-  const officeCode = process.env.OFFICE_CODE;
-  const dateRangeMode = process.env.DATE_RANGE_MODE || 'static';
+// The `fetch` command (see cli.js). options.endpoints and options.offices
+// select endpoints and office codes (default: all endpoints, see
+// defaultOffices; shared endpoints are fetched for the first office only);
+// options.mode, options.from, options.to and options.split pick the date
+// ranges.
+// options.refresh loads into staging tables and swaps them in;
+// options.full fetches incremental endpoints in full; options.dryRun only
+// returns the planned units. options.db and options.api replace the database
+// and API client, e.g. in tests or with an ArchiveClient. options.runId
+// (default: a new UUID) is added to every line the run logs.
+async function main(options = {}) {
+  const runId = options.runId || crypto.randomUUID();
+  return logger.withContext({ run_id: runId }, () => runFetch({ ...options, runId }));
+}
 
-  if (!apiUrl || !apiKey) {
+async function runFetch(options) {
+  const { url: apiUrl, key: apiKey } = apiCredentials();
+  const offices = defaultOffices(options);
+  const mode = dateRangeMode(options);
+  const concurrency = options.concurrency || parseInt(process.env.FETCH_CONCURRENCY || '1', 10);
+  const { refresh = false, full = false } = options;
+
+  const dateRanges = calculateDateRanges(options);
+  const plan = buildPlan({
+    endpoints: selectEndpoints(options.endpoints),
+    offices,
+    dateRanges,
+    shared: getConfig().endpoints.shared,
+  });
+  if (options.dryRun) return { plan: describePlan(plan) };
+
+  if ((!apiUrl || !apiKey) && !apiConfig.replay) {
     logger.error('Missing JASPER_API_URL or JASPER_API_KEY in environment');
     process.exit(1);
   }
 
-  const dateRanges = calculateDateRanges();
-
   logger.info('Starting Jasper API Fetcher');
   logger.info(`API URL: ${apiUrl}`);
   logger.info(`Database provider: ${process.env.DB_PROVIDER || 'mysql'}`);
-  if (officeCode) logger.info(`Office Code: ${officeCode}`);
-  logger.info(`Date Range Mode: ${dateRangeMode}`);
+  if (offices[0]) logger.info(`Office Code: ${offices.join(', ')}`);
+  logger.info(`Date Range Mode: ${mode}`);
   logger.info(`Total date ranges to process: ${dateRanges.length}`);
-
-  const db = await createAdapterWithTunnel();
-  const api = new ApiClient(apiUrl, apiKey);
-  const fetcher = new Fetcher(api, db);
+  logger.info(`Concurrency: ${concurrency}`);
+  if (refresh) logger.info('Refresh mode: loading into staging tables');
+  if (full && !refresh) logger.info('Full mode: ignoring incremental watermarks');
+
+  const db = options.db || await createAdapterWithTunnel();
+  const api = options.api || createApiClient(apiUrl, apiKey);
+  const fetcher = new Fetcher(api, db, { runId: options.runId });
+  logger.info(`Run ID: ${fetcher.runId}`);
+  const recorder = new RunRecorder(db, fetcher.runId, 'fetch');
+  const tableRefresh = refresh ? new TableRefresh(db) : null;
+  // Replays fetch in full: the archive holds no requests with a watermark
+  const watermarks = new WatermarkStore(db, fetcher.runId, { full: full || Boolean(apiConfig.replay) });
+
+  // In refresh mode every unit of an endpoint loads into its staging tables,
+  // always in full; otherwise incremental endpoints fetch what changed since
+  // their watermark
+  const fetchUnit = async (endpoint, params) => {
+    if (tableRefresh) {
+      return tableRefresh.run(endpoint, (staging) => fetcher.fetchAndStore({ ...staging, params }));
+    }
+    const stats = await fetcher.fetchAndStore({ ...endpoint, params: watermarks.fetchParams(endpoint, params) });
+    await watermarks.save(endpoint, params, stats);
+    return stats;
+  };
 
   try {
     await db.connect();
+    await recorder.start({
+      endpoints: options.endpoints || null,
+      offices,
+      dateRangeMode: mode,
+      dateRanges,
+      refresh,
+      full,
+    });
+    if (!refresh) await watermarks.init();
 
-    const endpointsToFetch = process.argv[2]
-      ? endpoints.filter((e) => e.tableName.includes(process.argv[2]))
-      : endpoints;
-
-    logger.info(`Fetching ${endpointsToFetch.length} endpoints`);
+    for (const { endpoint, params, range, reason } of plan.skipped) {
+      logger.warn(`Skipping ${endpoint.tableName}: ${reason}`);
+      await recorder.skip(endpoint, params, range.label, reason);
+    }
 
-    for (const endpoint of endpointsToFetch) {
-      // For non-date endpoints, fetch once
-      if (!endpoint.requiresDate) {
-        const params = { ...endpoint.params };
-        if (officeCode) params.office_code = officeCode;
+    logger.info(`Fetching ${plan.units.length} units`);
 
+    // One unit per endpoint (x office x date range), run in parallel. Failed
+    // non-date endpoints abort the run; failed date ranges are only logged.
+    const units = plan.units.map(({ endpoint, params, range }) => async () => {
+      if (!range) {
         logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName}`);
-        await fetcher.fetchAndStore({ ...endpoint, params });
-        continue;
+        await recorder.track(endpoint, params, null, () => fetchUnit(endpoint, params));
+        return;
       }
 
-      // For date-required endpoints, fetch each date range separately
-      for (const range of dateRanges) {
-        if (!range.dateFrom || !range.dateTo) {
-          logger.warn(`Skipping ${endpoint.tableName}: DATE_FROM and DATE_TO required`);
-          continue;
-        }
-
-        const params = { ...endpoint.params };
-        if (officeCode) params.office_code = officeCode;
-        params.date_from = range.dateFrom;
-        params.date_to = range.dateTo;
-
-        logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName} [${range.label}] (${range.dateFrom} to ${range.dateTo})`);
-
-        try {
-          await fetcher.fetchAndStore({ ...endpoint, params });
-        } catch (error) {
-          logger.error(`Failed for ${endpoint.tableName} [${range.label}]`, { error: error.message });
-        }
+      logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName} [${range.label}] (${range.dateFrom} to ${range.dateTo})`);
+      try {
+        await recorder.track(endpoint, params, range.label, () => fetchUnit(endpoint, params));
+      } catch (error) {
+        logger.error(`Failed for ${endpoint.tableName} [${range.label}]`, { error: error.message });
       }
+    });
+    if (tableRefresh) {
+      for (const { endpoint } of plan.units) tableRefresh.add(endpoint);
+      await tableRefresh.prepare();
+    }
+    try {
+      await runPool(units, concurrency, (unit) => unit());
+    } finally {
+      if (tableRefresh) await tableRefresh.discardPending();
     }
 
+    recorder.noteUndeclaredArrays(fetcher.reportUndeclaredArrays());
+    await recorder.finish();
+    if (api.isCircuitOpen()) {
+      logger.error(`Circuit breaker open, remaining endpoints failed fast: ${api.lastFailure}`);
+    }
     logger.info('All endpoints processed successfully');
   } catch (error) {
     logger.error('Fatal error', { error: error.message, stack: error.stack });
-    process.exit(1);
+    await recorder.finish(error);
+    process.exitCode = 1;
   } finally {
     await db.disconnect();
     await closeTunnel();
   }
+
+  return { runId: fetcher.runId, summary: recorder.summary() };
 }
 
-main();
+module.exports = { main, calculateDateRanges, dateRangeMode, defaultOffices };
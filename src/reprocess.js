@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger').child({ module: 'reprocess' });
+const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
+const Fetcher = require('./services/fetcher');
+const RunRecorder = require('./services/run-recorder');
+const TableRefresh = require('./services/table-refresh');
+const { selectEndpoints } = require('./endpoints/select');
+
+// Rebuild the flattened and child tables of storeRaw endpoints from their _raw
+// column, e.g. after fixing a mapping bug, without calling the API:
+//   jasper-fetcher reprocess --endpoint purchase_receipt
+// Each endpoint is rebuilt into staging tables and swapped in like --refresh,
+// so the current tables stay readable and untouched if reprocessing fails.
+// options.endpoints limits the storeRaw endpoints rebuilt. Every line the
+// rebuild logs carries its run_id.
+async function main(options = {}) {
+  const runId = options.runId || crypto.randomUUID();
+  return logger.withContext({ run_id: runId }, () => runReprocess({ ...options, runId }));
+}
+
+async function runReprocess(options) {
+  const endpointsToProcess = selectEndpoints(options.endpoints).filter((e) => e.storeRaw);
+
+  if (!endpointsToProcess.length) {
+    logger.error(`No endpoints with storeRaw${options.endpoints ? ` among ${options.endpoints.join(', ')}` : ''}`);
+    process.exitCode = 1;
+    return {};
+  }
+  if (options.dryRun) {
+    return { plan: endpointsToProcess.map((e) => ({ table: e.tableName, status: 'planned' })) };
+  }
+
+  const db = options.db || await createAdapterWithTunnel();
+  const fetcher = new Fetcher(null, db, { runId: options.runId });
+  const recorder = new RunRecorder(db, fetcher.runId, 'reprocess');
+  const tableRefresh = new TableRefresh(db);
+  logger.info(`Run ID: ${fetcher.runId}`);
+
+  try {
+    await db.connect();
+    await recorder.start({ endpoints: options.endpoints || null });
+
+    const sources = [];
+    for (const endpoint of endpointsToProcess) {
+      // Versions of a history table can only come from snapshots taken at the time
+      if (endpoint.history) {
+        logger.warn(`Skipping ${endpoint.tableName}: endpoints with history cannot be reprocessed`);
+        await recorder.skip(endpoint, {}, null, 'history cannot be reprocessed');
+        continue;
+      }
+      if (!(await db.tableExists(endpoint.tableName))) {
+        logger.warn(`Skipping ${endpoint.tableName}: table does not exist`);
+        await recorder.skip(endpoint, {}, null, 'table does not exist');
+        continue;
+      }
+      tableRefresh.add(endpoint);
+      sources.push(endpoint);
+    }
+    await tableRefresh.prepare();
+
+    for (const endpoint of sources) {
+      logger.info(`Reprocessing ${endpoint.tableName} from ${Fetcher.RAW_COLUMN}`);
+      try {
+        await recorder.track(endpoint, {}, null, () =>
+          tableRefresh.run(endpoint, (staging) => fetcher.reprocess(staging, endpoint.tableName)));
+      } catch (error) {
+        logger.error(`Failed to reprocess ${endpoint.tableName}`, { error: error.message });
+      }
+    }
+
+    recorder.noteUndeclaredArrays(fetcher.reportUndeclaredArrays());
+    await recorder.finish();
+    logger.info('Reprocessing finished');
+  } catch (error) {
+    logger.error('Fatal error', { error: error.message, stack: error.stack });
+    await recorder.finish(error);
+    process.exitCode = 1;
+  } finally {
+    await db.disconnect();
+    await closeTunnel();
+  }
+
+  return { runId: fetcher.runId, summary: recorder.summary() };
+}
+
+module.exports = { main };
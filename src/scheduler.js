@@ -1,196 +1,214 @@
-require('dotenv').config();
-
+const crypto = require('crypto');
 const cron = require('node-cron');
-const logger = require('./utils/logger');
+const logger = require('./utils/logger').child({ module: 'scheduler' });
 const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
-const ApiClient = require('./services/api-client');
+const apiConfig = require('./config/api');
+const { getConfig, apiCredentials } = require('./config/config-file');
+const { createApiClient } = require('./services/api-client-factory');
 const Fetcher = require('./services/fetcher');
-const endpoints = require('./endpoints/definitions');
-
-// Format date as YYYY-MM-DD in local timezone
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+const RunRecorder = require('./services/run-recorder');
+const WatermarkStore = require('./services/watermark-store');
+const AdminServer = require('./services/admin-server');
+const Notifier = require('./services/notifier');
+const { calculateDateRanges, dateRangeMode: resolveMode, defaultOffices } = require('./index');
+const { selectEndpoints } = require('./endpoints/select');
+const { runPool } = require('./utils/worker-pool');
+const { buildPlan, describePlan } = require('./utils/run-plan');
+const { DEFAULT_TIMEZONE } = require('./utils/date-ranges');
+const { serve: serveMetrics } = require('./utils/metrics');
+
+const { RunInterruptedError } = RunRecorder;
+
+// Default: 1st of every month at midnight
+const DEFAULT_SCHEDULE = '0 0 1 * *';
+// Job name of runs started through the admin API
+const MANUAL_JOB = 'manual';
+
+// Cron expressions are read in the timezone date ranges use
+function scheduleTimezone() {
+  return getConfig().dateRanges.timezone || process.env.DATE_RANGE_TIMEZONE || DEFAULT_TIMEZONE;
 }
 
-// Generate month ranges for a given year
-function getMonthRanges(year) {
-  const ranges = [];
-  for (let month = 0; month < 12; month++) {
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    ranges.push({
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(lastDay),
-      label: `${year}-${String(month + 1).padStart(2, '0')}`,
-    });
-  }
-  return ranges;
+// jasper_fetch_runs.job of a scheduled job's runs
+function runJobName(name) {
+  return `scheduler:${name}`;
 }
 
-// Calculate date ranges based on DATE_RANGE_MODE
-// Returns array of date ranges (for month-by-month processing)
-function calculateDateRanges() {
-  const mode = process.env.DATE_RANGE_MODE || 'static';
-  const now = new Date();
-
-  if (mode === 'yearly_by_month') {
-    // Fetch entire year, split by month
-    const year = parseInt(process.env.DATE_RANGE_YEAR || now.getFullYear(), 10);
-    return getMonthRanges(year);
-  }
-
-  if (mode === 'previous_year_by_month') {
-    // Fetch previous year, split by month
-    return getMonthRanges(now.getFullYear() - 1);
-  }
-
-  if (mode === 'previous_month') {
-    const firstDay = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const lastDay = new Date(now.getFullYear(), now.getMonth(), 0);
-    return [{
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(lastDay),
-      label: 'previous_month',
-    }];
-  }
-
-  if (mode === 'current_month') {
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    return [{
-      dateFrom: formatDate(firstDay),
-      dateTo: formatDate(now),
-      label: 'current_month',
-    }];
+// The jobs to schedule: schedules from the config file, else one job on
+// CRON_SCHEDULE. options.jobs picks jobs by name; the other options given on
+// the command line override a job's settings.
+function scheduledJobs(options = {}) {
+  const configured = getConfig().schedules || [{ name: 'fetch', cron: process.env.CRON_SCHEDULE || DEFAULT_SCHEDULE }];
+  const unknown = (options.jobs || []).filter((name) => !configured.some((job) => job.name === name));
+  if (unknown.length) {
+    throw new Error(`Unknown job: ${unknown.join(', ')} (scheduled jobs: ${configured.map((job) => job.name).join(', ')})`);
   }
 
-  if (mode === 'ytd_by_month') {
-    // Year to date, split by month
-    const ranges = [];
-    for (let month = 0; month <= now.getMonth(); month++) {
-      const firstDay = new Date(now.getFullYear(), month, 1);
-      const lastDay = month === now.getMonth() ? now : new Date(now.getFullYear(), month + 1, 0);
-      ranges.push({
-        dateFrom: formatDate(firstDay),
-        dateTo: formatDate(lastDay),
-        label: `${now.getFullYear()}-${String(month + 1).padStart(2, '0')}`,
-      });
-    }
-    return ranges;
-  }
+  const selected = options.jobs && options.jobs.length
+    ? configured.filter((job) => options.jobs.includes(job.name))
+    : configured;
+  return selected.map((job) => ({
+    name: job.name,
+    cron: job.cron,
+    catchUp: job.catchUp !== false,
+    options: {
+      endpoints: options.endpoints && options.endpoints.length ? options.endpoints : job.endpoints || undefined,
+      offices: options.offices && options.offices.length ? options.offices : job.offices || undefined,
+      mode: options.mode || job.mode || undefined,
+      split: options.split || job.split || undefined,
+      full: Boolean(options.full || job.full),
+      concurrency: options.concurrency,
+    },
+  }));
+}
 
-  if (mode === 'last_n_days') {
-    const days = parseInt(process.env.DATE_RANGE_DAYS || '30', 10);
-    const startDate = new Date(now);
-    startDate.setDate(startDate.getDate() - days);
-    return [{
-      dateFrom: formatDate(startDate),
-      dateTo: formatDate(now),
-      label: `last_${days}_days`,
-    }];
-  }
+// Units of one scheduled job; see main() for the options
+function planJob(options = {}) {
+  const dateRanges = calculateDateRanges({ mode: options.mode, split: options.split, from: options.from, to: options.to });
+  const plan = buildPlan({
+    endpoints: selectEndpoints(options.endpoints),
+    offices: defaultOffices(options),
+    dateRanges,
+    shared: getConfig().endpoints.shared,
+  });
+  return { dateRanges, ...plan };
+}
 
-  // Static mode: use .env values
-  return [{
-    dateFrom: process.env.DATE_FROM,
-    dateTo: process.env.DATE_TO,
-    label: 'static',
-  }];
+// One run of a scheduled job. Only one host runs a job at a time: the job
+// holds a database lock while it runs, and a job whose lock is taken is
+// skipped (returns { locked: true }). Once options.signal is aborted no new
+// units start, units stop after the page they are storing, and the run is
+// recorded as interrupted. options.runId sets the run's ID; options.progress,
+// when given, gets the run's units (see describePlan) with their status kept
+// up to date as they run. Every line the run logs carries its run_id.
+async function runFetchJob(options = {}, name = 'fetch') {
+  const runId = options.runId || crypto.randomUUID();
+  return logger.withContext({ run_id: runId }, () => runJob({ ...options, runId }, name));
 }
 
-async function runFetchJob() {
-  const apiUrl = process.env.JASPER_API_URL;
-  const apiKey = process.env.JASPER_API_KEY;
-  const officeCode = process.env.OFFICE_CODE;
+async function runJob(options, name) {
+  const { signal = null, progress = null } = options;
+  const { url: apiUrl, key: apiKey } = apiCredentials();
+  const offices = defaultOffices(options);
 
-  const dateRangeMode = process.env.DATE_RANGE_MODE || 'static';
-  const dateRanges = calculateDateRanges();
+  const dateRangeMode = resolveMode({ mode: options.mode });
+  const plan = planJob(options);
+  const { dateRanges } = plan;
+  const concurrency = options.concurrency || parseInt(process.env.FETCH_CONCURRENCY || '1', 10);
 
-  if (!apiUrl || !apiKey) {
+  if ((!apiUrl || !apiKey) && !apiConfig.replay) {
     logger.error('Missing JASPER_API_URL or JASPER_API_KEY in environment');
     return;
   }
 
   const startTime = new Date();
   logger.info('='.repeat(60));
-  logger.info(`Starting scheduled fetch job at ${startTime.toISOString()}`);
+  logger.info(`Starting scheduled job ${name} at ${startTime.toISOString()}`);
   logger.info(`API URL: ${apiUrl}`);
   logger.info(`Database provider: ${process.env.DB_PROVIDER || 'mysql'}`);
-  if (officeCode) logger.info(`Office Code: ${officeCode}`);
+  if (offices[0]) logger.info(`Office Code: ${offices.join(', ')}`);
   logger.info(`Date Range Mode: ${dateRangeMode}`);
   logger.info(`Total date ranges to process: ${dateRanges.length}`);
+  logger.info(`Concurrency: ${concurrency}`);
 
   const db = await createAdapterWithTunnel();
-  const api = new ApiClient(apiUrl, apiKey);
-  const fetcher = new Fetcher(api, db);
+  const api = createApiClient(apiUrl, apiKey);
+  const fetcher = new Fetcher(api, db, { signal, runId: options.runId });
+  const recorder = new RunRecorder(db, fetcher.runId, runJobName(name));
+  const notifier = new Notifier();
+  // options.full fetches incremental endpoints in full on every scheduled run,
+  // as do replays, whose archived requests carry no watermark
+  const watermarks = new WatermarkStore(db, fetcher.runId, { full: Boolean(options.full || apiConfig.replay) });
+
+  // Incremental endpoints fetch what changed since their watermark
+  const fetchUnit = async (endpoint, params) => {
+    const stats = await fetcher.fetchAndStore({ ...endpoint, params: watermarks.fetchParams(endpoint, params) });
+    await watermarks.save(endpoint, params, stats);
+    return stats;
+  };
 
   const results = {
+    runId: fetcher.runId,
     success: [],
     failed: [],
     skipped: [],
   };
+  let releaseLock = null;
 
   try {
     await db.connect();
+    releaseLock = await db.tryLock(`jasper-fetcher:${name}`);
+    if (!releaseLock) {
+      logger.warn(`Job ${name} is already running on another host, skipping this run`);
+      results.locked = true;
+      return results;
+    }
+    if (progress) progress.units = describePlan(plan);
+    logger.info(`Run ID: ${fetcher.runId}`);
+    await recorder.start({ schedule: name, endpoints: options.endpoints || null, offices, dateRangeMode, dateRanges });
+    await watermarks.init();
+
+    for (const { endpoint, params, range, reason } of plan.skipped) {
+      logger.warn(`Skipping ${endpoint.tableName}: ${reason}`);
+      results.skipped.push(endpoint.tableName);
+      await recorder.skip(endpoint, params, range.label, reason);
+    }
 
-    for (const endpoint of endpoints) {
-      // For non-date endpoints, fetch once
-      if (!endpoint.requiresDate) {
-        const params = { ...endpoint.params };
-        if (officeCode) params.office_code = officeCode;
-
-        try {
-          logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName}`);
-          await fetcher.fetchAndStore({ ...endpoint, params });
-          results.success.push(endpoint.tableName);
-        } catch (error) {
-          logger.error(`Failed: ${endpoint.tableName}`, { error: error.message });
-          results.failed.push({ table: endpoint.tableName, error: error.message });
-        }
-        continue;
+    // One unit per endpoint (x office x date range), run in parallel
+    // (progress.units lists plan.units first, in the same order)
+    const units = plan.units.map(({ endpoint, params, range }, index) => async () => {
+      const label = range ? `${endpoint.tableName}[${range.label}]` : endpoint.tableName;
+      const unitProgress = progress ? progress.units[index] : {};
+      try {
+        logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName}${range ? ` [${range.label}] (${range.dateFrom} to ${range.dateTo})` : ''}`);
+        unitProgress.status = 'running';
+        const stats = await recorder.track(endpoint, params, range ? range.label : null, () => fetchUnit(endpoint, params));
+        unitProgress.status = 'success';
+        unitProgress.rows_stored = stats.rowsStored;
+        results.success.push(label);
+      } catch (error) {
+        unitProgress.status = error instanceof RunInterruptedError ? 'interrupted' : 'failed';
+        unitProgress.error = error.message;
+        if (error instanceof RunInterruptedError) return;
+        logger.error(`Failed: ${endpoint.tableName}${range ? ` [${range.label}]` : ''}`, { error: error.message });
+        const failure = { table: endpoint.tableName, error: error.message };
+        if (range) failure.range = range.label;
+        results.failed.push(failure);
       }
+    });
 
-      // For date-required endpoints, fetch each date range separately
-      for (const range of dateRanges) {
-        if (!range.dateFrom || !range.dateTo) {
-          logger.warn(`Skipping ${endpoint.tableName}: DATE_FROM and DATE_TO required`);
-          results.skipped.push(endpoint.tableName);
-          continue;
-        }
-
-        const params = { ...endpoint.params };
-        if (officeCode) params.office_code = officeCode;
-        params.date_from = range.dateFrom;
-        params.date_to = range.dateTo;
-
-        try {
-          logger.info(`Processing: ${endpoint.path} -> ${endpoint.tableName} [${range.label}] (${range.dateFrom} to ${range.dateTo})`);
-          await fetcher.fetchAndStore({ ...endpoint, params });
-          results.success.push(`${endpoint.tableName}[${range.label}]`);
-        } catch (error) {
-          logger.error(`Failed: ${endpoint.tableName} [${range.label}]`, { error: error.message });
-          results.failed.push({ table: endpoint.tableName, range: range.label, error: error.message });
-        }
-      }
+    await runPool(units, concurrency, (unit) => unit(), signal);
+    recorder.noteUndeclaredArrays(fetcher.reportUndeclaredArrays());
+    if (signal && signal.aborted) {
+      logger.warn(`Job ${name} interrupted: ${signal.reason.message}`);
+      await recorder.finish(signal.reason);
+      results.interrupted = true;
+      return results;
     }
 
     const endTime = new Date();
     const duration = ((endTime - startTime) / 1000 / 60).toFixed(2);
 
     logger.info('='.repeat(60));
-    logger.info(`Scheduled job completed in ${duration} minutes`);
+    logger.info(`Scheduled job ${name} completed in ${duration} minutes`);
     logger.info(`Success: ${results.success.length} endpoints`);
     logger.info(`Failed: ${results.failed.length} endpoints`);
     logger.info(`Skipped: ${results.skipped.length} endpoints`);
+    if (api.isCircuitOpen()) {
+      logger.error(`Circuit breaker open, remaining endpoints failed fast: ${api.lastFailure}`);
+    }
 
     if (results.failed.length > 0) {
       logger.error('Failed endpoints:', results.failed);
     }
+    await recorder.finish();
   } catch (error) {
     logger.error('Fatal error in scheduled job', { error: error.message });
+    await recorder.finish(error);
   } finally {
+    results.summary = recorder.summary();
+    await notifier.notify(db, recorder);
+    if (releaseLock) await releaseLock();
     await db.disconnect();
     await closeTunnel();
   }
@@ -198,36 +216,218 @@ async function runFetchJob() {
   return results;
 }
 
-// Schedule configuration
-const SCHEDULE = process.env.CRON_SCHEDULE || '0 0 1 * *'; // Default: 1st of every month at midnight
+// Jobs that missed a scheduled run, e.g. while the host was down: the time
+// their cron expression next matched after their last run has passed.
+// Interrupted runs do not count, jobs that never ran are not caught up.
+async function missedJobs(jobs, db, now = new Date()) {
+  if (!await db.tableExists(RunRecorder.RUNS_TABLE)) return [];
+
+  const missed = [];
+  for (const job of jobs.filter((j) => j.catchUp)) {
+    const runs = (await db.selectRecords(RunRecorder.RUNS_TABLE, { job: runJobName(job.name) }))
+      .filter((run) => run.status !== 'interrupted');
+    if (!runs.length) continue;
+
+    const lastRun = new Date(Math.max(...runs.map((run) => new Date(run.started_at).getTime())));
+    // An unstarted task only to find the next match; node-cron does not
+    // export its time matcher, so package.json pins the version this is
+    // tested against (see the scheduler tests)
+    const task = cron.createTask(job.cron, () => {}, { timezone: scheduleTimezone() });
+    const due = task.timeMatcher.getNextMatch(lastRun);
+    task.destroy();
+    if (due <= now) {
+      logger.info(`Job ${job.name} missed its run at ${due.toISOString()} (last run ${lastRun.toISOString()})`);
+      missed.push(job);
+    }
+  }
+  return missed;
+}
+
+// missedJobs() with a connection of its own; a failure only costs the catch-up
+async function findMissedJobs(jobs) {
+  const db = await createAdapterWithTunnel();
+  try {
+    await db.connect();
+    return await missedJobs(jobs, db);
+  } catch (error) {
+    logger.warn('Could not check for missed runs', { error: error.message });
+    return [];
+  } finally {
+    await db.disconnect();
+    await closeTunnel();
+  }
+}
+
+// Runs scheduled jobs and manual runs, at most one run per job name at a
+// time. Used by main() and the admin API (see services/admin-server.js).
+function createScheduler(jobs) {
+  const timezone = scheduleTimezone();
+  // job name -> { runId, job, startedAt, controller, promise, progress } of its run in progress
+  const running = new Map();
+  // job name -> the summary of its last finished run
+  const lastRuns = new Map();
+  let tasks = [];
+  let stopping = false;
+
+  // Start a run of job unless one is in progress; returns its entry in running
+  const launch = (job) => {
+    if (stopping) return null;
+    if (running.has(job.name)) {
+      logger.warn(`Job ${job.name} is still running, skipping this run`);
+      return null;
+    }
+    const controller = new AbortController();
+    const entry = { runId: crypto.randomUUID(), job: job.name, startedAt: new Date(), controller, progress: { units: [] } };
+    entry.promise = runFetchJob({ ...job.options, signal: controller.signal, runId: entry.runId, progress: entry.progress }, job.name)
+      .then((results) => {
+        if (results && results.summary && results.summary.status) lastRuns.set(job.name, results.summary);
+        return results;
+      })
+      .catch((error) => logger.error(`Job ${job.name} failed`, { error: error.message }))
+      .finally(() => running.delete(job.name));
+    running.set(job.name, entry);
+    return entry;
+  };
 
-logger.info('Jasper API Fetcher Scheduler');
-logger.info(`Schedule: ${SCHEDULE}`);
-logger.info('Press Ctrl+C to stop');
-logger.info('='.repeat(60));
+  return {
+    start() {
+      tasks = jobs.map((job) => cron.schedule(job.cron, () => {
+        logger.info(`Cron job ${job.name} triggered`);
+        const entry = launch(job);
+        return entry && entry.promise;
+      }, { name: job.name, timezone }));
+    },
+
+    // Run job now and wait for it; resolves with null when it was not started
+    async run(job) {
+      const entry = launch(job);
+      return entry && entry.promise;
+    },
+
+    // Start a one-off run of options (endpoints, offices, from/to, mode, ...)
+    // as job `manual`; returns its run ID, or null while one is in progress
+    trigger(options) {
+      const entry = launch({ name: MANUAL_JOB, options });
+      return entry && entry.runId;
+    },
+
+    // Interrupt the run in progress with ID runId; false when there is none
+    cancel(runId, reason = 'Cancelled') {
+      const entry = [...running.values()].find((e) => e.runId === runId);
+      if (!entry) return false;
+      entry.controller.abort(new RunInterruptedError(reason));
+      return true;
+    },
+
+    status() {
+      const describeRun = (entry) => entry && {
+        run_id: entry.runId,
+        started_at: entry.startedAt,
+        cancelling: entry.controller.signal.aborted,
+        units: entry.progress.units,
+      };
+      return {
+        timezone,
+        stopping,
+        jobs: [...jobs, { name: MANUAL_JOB, cron: null }].map((job, index) => ({
+          name: job.name,
+          cron: job.cron,
+          next_run: tasks[index] ? tasks[index].getNextRun() : null,
+          running: describeRun(running.get(job.name)) || null,
+          last_run: lastRuns.get(job.name) || null,
+        })),
+      };
+    },
+
+    // Stop scheduling and interrupt running jobs with reason; resolves once
+    // they have recorded their runs and closed their connections
+    async stop(reason) {
+      stopping = true;
+      for (const task of tasks) task.stop();
+      const inFlight = [...running.values()];
+      for (const { controller } of inFlight) {
+        controller.abort(new RunInterruptedError(reason));
+      }
+      await Promise.all(inFlight.map(({ promise }) => promise));
+    },
 
-// Validate cron expression
-if (!cron.validate(SCHEDULE)) {
-  logger.error(`Invalid cron schedule: ${SCHEDULE}`);
-  process.exit(1);
+    isStopping: () => stopping,
+  };
 }
 
-// Schedule the job
-cron.schedule(SCHEDULE, async () => {
-  logger.info('Cron job triggered');
-  await runFetchJob();
-});
-
-// Run immediately if --now flag is passed
-if (process.argv.includes('--now')) {
-  logger.info('Running job immediately (--now flag detected)');
-  runFetchJob().then(() => {
-    logger.info('Immediate job completed');
-  });
+// The `schedule` command (see cli.js): run every scheduled job (see
+// scheduledJobs) until SIGINT or SIGTERM. A job is not started again while
+// it is still running. On startup jobs that missed a run are run once;
+// options.now runs every job once instead. options.endpoints,
+// options.offices, options.mode, options.split, options.full and
+// options.concurrency apply to every job; options.dryRun only returns the
+// schedules and each job's units. options.adminPort (or ADMIN_PORT) also
+// serves the admin API, options.metricsPort (or METRICS_PORT) Prometheus
+// metrics.
+async function main(options = {}) {
+  const jobs = scheduledJobs(options);
+
+  // Validate cron expressions (the config file's are checked when it loads)
+  for (const job of jobs) {
+    if (!cron.validate(job.cron)) {
+      throw new Error(`Invalid cron schedule for ${job.name}: ${job.cron}`);
+    }
+  }
+  if (options.dryRun) {
+    return {
+      schedules: jobs.map((job) => ({ name: job.name, cron: job.cron, plan: describePlan(planJob(job.options)) })),
+    };
+  }
+
+  const scheduler = createScheduler(jobs);
+  const adminPort = options.adminPort || (process.env.ADMIN_PORT ? parseInt(process.env.ADMIN_PORT, 10) : null);
+  const admin = adminPort ? new AdminServer(scheduler, { port: adminPort }) : null;
+  if (admin) await admin.start();
+  const metricsPort = options.metricsPort || (process.env.METRICS_PORT ? parseInt(process.env.METRICS_PORT, 10) : null);
+  const metricsServer = metricsPort ? await serveMetrics(metricsPort) : null;
+
+  logger.info('Jasper API Fetcher Scheduler');
+  for (const job of jobs) {
+    logger.info(`Schedule ${job.name}: ${job.cron} (${scheduleTimezone()})`);
+  }
+  logger.info('Press Ctrl+C to stop');
+  logger.info('='.repeat(60));
+  scheduler.start();
+
+  // Running jobs finish the page they are storing, record the run as
+  // interrupted and close their connections; a second signal exits at once
+  const shutdown = async (signal) => {
+    if (scheduler.isStopping()) {
+      logger.warn(`${signal} received again, exiting without waiting for running jobs`);
+      process.exit(1);
+    }
+    logger.info(`${signal} received, stopping scheduler`);
+    await scheduler.stop(`Interrupted by ${signal}`);
+    if (admin) await admin.stop();
+    if (metricsServer) await metricsServer.stop();
+    logger.info('Scheduler stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  // Run immediately with --now, else catch up on missed runs
+  (async () => {
+    if (options.now) logger.info('Running jobs immediately (--now flag detected)');
+    const pending = options.now ? jobs : await findMissedJobs(jobs);
+    for (const job of pending) {
+      await scheduler.run(job);
+    }
+    if (pending.length && !scheduler.isStopping()) {
+      logger.info(`${options.now ? 'Immediate' : 'Catch-up'} jobs completed`);
+    }
+  })();
+
+  return {
+    schedules: jobs.map((job) => ({ name: job.name, cron: job.cron })),
+    admin: admin ? admin.url : null,
+    metrics: metricsServer ? metricsServer.url : null,
+  };
 }
 
-// Keep the process running
-process.on('SIGINT', () => {
-  logger.info('Scheduler stopped');
-  process.exit(0);
-});
+module.exports = { main, runFetchJob, scheduledJobs, missedJobs, createScheduler };
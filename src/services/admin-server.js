@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('../utils/logger').child({ module: 'admin-server' });
+const { createAdapterWithTunnel, closeTunnel, tunnelState } = require('../database/adapter-factory');
+const { selectEndpoints } = require('../endpoints/select');
+const { DATE_RANGE_MODES, SPLITS, parseDate } = require('../utils/date-ranges');
+
+// Larger request bodies are refused
+const MAX_BODY_BYTES = 64 * 1024;
+// Settings a POST /runs body may contain
+const RUN_SETTINGS = ['endpoints', 'offices', 'from', 'to', 'mode', 'split', 'full'];
+
+// An error answered with its HTTP status and message
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sameToken(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body over ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// A POST /runs body -> runFetchJob options; throws HttpError 400 on bad input
+function runOptions(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Expected a JSON object');
+  }
+  const unknown = Object.keys(body).filter((key) => !RUN_SETTINGS.includes(key));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown settings: ${unknown.join(', ')} (expected ${RUN_SETTINGS.join(', ')})`);
+  }
+
+  const list = (key) => {
+    const value = body[key];
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && item)) {
+      throw new HttpError(400, `${key} must be a list of names`);
+    }
+    return value;
+  };
+  const options = { endpoints: list('endpoints'), offices: list('offices') };
+  try {
+    selectEndpoints(options.endpoints);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  if (Boolean(body.from) !== Boolean(body.to)) throw new HttpError(400, 'from and to go together');
+  if (body.from) {
+    try {
+      parseDate(body.from);
+      parseDate(body.to);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (body.from > body.to) throw new HttpError(400, `${body.from} to ${body.to} ends before it starts`);
+    if (body.mode !== undefined) throw new HttpError(400, 'mode cannot be combined with from/to');
+    Object.assign(options, { from: body.from, to: body.to });
+  }
+  if (body.mode !== undefined) {
+    if (!DATE_RANGE_MODES.includes(body.mode)) throw new HttpError(400, `mode must be one of ${DATE_RANGE_MODES.join(', ')}`);
+    options.mode = body.mode;
+  }
+  if (body.split !== undefined) {
+    if (!SPLITS.includes(body.split)) throw new HttpError(400, `split must be one of ${SPLITS.join(', ')}`);
+    options.split = body.split;
+  }
+  if (body.full !== undefined) {
+    if (typeof body.full !== 'boolean') throw new HttpError(400, 'full must be true or false');
+    options.full = body.full;
+  }
+  return options;
+}
+
+// Small HTTP API on the scheduler (see createScheduler in scheduler.js) for
+// monitoring and manual runs. Every request needs the shared token as
+// "Authorization: Bearer <token>".
+//   GET  /healthz              database ping and SSH tunnel state (503 when down)
+//   GET  /status               jobs, their next run, running units and last results
+//   POST /runs                 start a fetch: { endpoints, offices, from, to, mode, split, full }
+//   POST /runs/:id/cancel      interrupt a running run
+class AdminServer {
+  // options.port (0 picks a free one), options.host (default ADMIN_HOST or
+  // 127.0.0.1) and options.token (default ADMIN_TOKEN, required)
+  constructor(scheduler, options = {}) {
+    this.scheduler = scheduler;
+    this.port = options.port || 0;
+    this.host = options.host || process.env.ADMIN_HOST || '127.0.0.1';
+    this.token = options.token || process.env.ADMIN_TOKEN;
+    this.server = null;
+    this.db = null;
+    this.url = null;
+  }
+
+  async start() {
+    if (!this.token) {
+      throw new Error('ADMIN_TOKEN is required to serve the admin API');
+    }
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.url = `http://${this.host}:${this.server.address().port}`;
+    logger.info(`Admin API listening on ${this.url}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+    if (this.db) {
+      await this.db.disconnect();
+      await closeTunnel();
+      this.db = null;
+    }
+  }
+
+  async handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      if (scheme !== 'Bearer' || !token || !sameToken(token, this.token)) {
+        throw new HttpError(401, 'Missing or invalid token');
+      }
+
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const cancel = /^\/runs\/([^/]+)\/cancel$/.exec(pathname);
+      const route = `${req.method} ${cancel ? '/runs/:id/cancel' : pathname}`;
+
+      switch (route) {
+        case 'GET /healthz': {
+          const health = await this.health();
+          return send(health.status === 'ok' ? 200 : 503, health);
+        }
+        case 'GET /status':
+          return send(200, this.scheduler.status());
+        case 'POST /runs': {
+          let body;
+          try {
+            body = JSON.parse((await readBody(req)) || '{}');
+          } catch (error) {
+            if (error instanceof HttpError) throw error;
+            throw new HttpError(400, `Invalid JSON: ${error.message}`);
+          }
+          const runId = this.scheduler.trigger(runOptions(body));
+          if (!runId) throw new HttpError(409, 'A manual run is already in progress, or the scheduler is stopping');
+          logger.info(`Manual run ${runId} started through the admin API`);
+          return send(202, { run_id: runId });
+        }
+        case 'POST /runs/:id/cancel': {
+          const runId = decodeURIComponent(cancel[1]);
+          if (!this.scheduler.cancel(runId, 'Cancelled through the admin API')) {
+            throw new HttpError(404, `No run in progress with ID ${runId}`);
+          }
+          logger.info(`Run ${runId} cancelled through the admin API`);
+          return send(202, { run_id: runId, status: 'cancelling' });
+        }
+        default:
+          throw new HttpError(404, `Not found: ${req.method} ${pathname}`);
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) logger.error('Admin API request failed', { error: error.message });
+      return send(error.status || 500, { error: error.message });
+    }
+  }
+
+  // The database is pinged on a connection of the admin API's own
+  async health() {
+    let database = 'ok';
+    try {
+      if (!this.db) this.db = await createAdapterWithTunnel();
+      await this.db.ensureConnected();
+      if (!(await this.db.ping())) database = 'unreachable';
+    } catch (error) {
+      database = `error: ${error.message}`;
+    }
+    return {
+      status: database === 'ok' ? 'ok' : 'down',
+      database,
+      tunnel: tunnelState(),
+      stopping: this.scheduler.isStopping(),
+    };
+  }
+}
+
+module.exports = AdminServer;
@@ -0,0 +1,25 @@
+const path = require('path');
+const logger = require('../utils/logger').child({ module: 'api-client-factory' });
+const apiConfig = require('../config/api');
+const ApiClient = require('./api-client');
+const ArchiveClient = require('./archive-client');
+const ResponseArchive = require('./response-archive');
+
+// The API client for a run: an ArchiveClient when API_REPLAY is set,
+// otherwise an ApiClient that archives its responses when API_ARCHIVE=true
+function createApiClient(apiUrl, apiKey, config = apiConfig) {
+  if (config.replay) {
+    const directory = path.resolve(config.archiveDir, config.replay);
+    logger.info(`Replay mode: answering API requests from ${directory}`);
+    return new ArchiveClient(directory);
+  }
+
+  const options = { ...config };
+  if (config.archive) {
+    options.archive = new ResponseArchive(config.archiveDir);
+    logger.info(`Archiving API responses to ${options.archive.directory}`);
+  }
+  return new ApiClient(apiUrl, apiKey, options);
+}
+
+module.exports = { createApiClient };
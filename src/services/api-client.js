@@ -1,15 +1,68 @@
 const axios = require('axios');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'api-client' });
+const { getHostLimiter } = require('../utils/rate-limiter');
+const { metrics } = require('../utils/metrics');
+
+// Thrown without calling the API once too many requests failed in a row
+class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// Network errors (no response), 5xx and 429 may succeed on retry; any other
+// status (400, 401, 404, ...) never will
+function isRetryable(error) {
+  if (error instanceof CircuitOpenError) return false;
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
 
 class ApiClient {
-  constructor(baseURL, apiKey) {
+  // options.timeout: request timeout in ms
+  // options.rateLimit: max requests per second to this host (0 disables)
+  // options.maxAttempts: default attempts per request, including the first
+  // options.baseDelay / options.maxDelay: exponential backoff bounds in ms
+  // options.breakerThreshold: consecutive failed requests that open the circuit
+  // options.breakerCooldown: ms before a single trial request is let through
+  // options.archive: ResponseArchive that every successful response is written to
+  constructor(baseURL, apiKey, options = {}) {
+    this.limiter = getHostLimiter(baseURL, options.rateLimit);
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 30000;
+    this.breakerThreshold = options.breakerThreshold || 5;
+    this.breakerCooldown = options.breakerCooldown || 300000;
+    this.archive = options.archive || null;
+
+    this.consecutiveFailures = 0;
+    this.circuitOpenedAt = null;
+    this.lastFailure = null;
+    // Set while the one request let through a half-open circuit is running
+    this.trialInFlight = false;
+
     this.client = axios.create({
       baseURL,
       headers: {
         'X-API-KEY': apiKey,
         'Accept': 'application/json',
       },
-      timeout: 30000,
+      timeout: options.timeout || 30000,
     });
 
     this.client.interceptors.response.use(
@@ -25,9 +78,68 @@ class ApiClient {
     );
   }
 
+  isCircuitOpen() {
+    return this.circuitOpenedAt !== null;
+  }
+
+  // Fail fast while the circuit is open; after the cooldown one request is
+  // allowed through and its outcome closes or re-opens the circuit. Returns
+  // true for the caller that got the trial; everyone else keeps failing fast
+  // until it is done.
+  checkCircuit(endpoint) {
+    if (!this.isCircuitOpen()) return false;
+    if (!this.trialInFlight && Date.now() - this.circuitOpenedAt >= this.breakerCooldown) {
+      logger.info(`Circuit breaker half-open, trying ${endpoint}`);
+      this.trialInFlight = true;
+      return true;
+    }
+    throw new CircuitOpenError(
+      `Circuit breaker open after ${this.consecutiveFailures} consecutive API failures (last: ${this.lastFailure})`
+    );
+  }
+
+  recordSuccess() {
+    if (this.isCircuitOpen()) logger.info('Circuit breaker closed');
+    this.consecutiveFailures = 0;
+    this.circuitOpenedAt = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailure = error.message;
+    if (this.consecutiveFailures >= this.breakerThreshold) {
+      if (!this.isCircuitOpen()) {
+        logger.error(`Circuit breaker opened after ${this.consecutiveFailures} consecutive API failures`);
+      }
+      this.circuitOpenedAt = Date.now();
+    }
+  }
+
+  // Exponential backoff with jitter, or the server's Retry-After when given;
+  // either way at most maxDelay, so a server asking for an hour cannot stall
+  // the unit that long
+  retryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error);
+    if (retryAfter !== null) return Math.min(retryAfter, this.maxDelay);
+
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
   async get(endpoint, params = {}) {
+    if (this.limiter) await this.limiter.acquire();
+
     logger.debug(`GET ${endpoint}`, { params });
-    const response = await this.client.get(endpoint, { params });
+    const endTimer = metrics.apiRequestSeconds.startTimer({ endpoint });
+    let response;
+    try {
+      response = await this.client.get(endpoint, { params });
+    } catch (error) {
+      endTimer({ status: error.response?.status || 'error' });
+      throw error;
+    }
+    endTimer({ status: response.status });
+    if (this.archive) await this.archive.record(endpoint, params, response);
 
     const contentType = response.headers['content-type'] || '';
     if (!contentType.includes('application/json')) {
@@ -38,22 +150,42 @@ class ApiClient {
     return response.data;
   }
 
-  async getWithRetry(endpoint, params = {}, maxRetries = 3) {
+  async getWithRetry(endpoint, params = {}, options = {}) {
+    const { maxAttempts = this.maxAttempts, onRetry = null } = options;
     let lastError;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await this.get(endpoint, params);
-      } catch (error) {
-        lastError = error;
-        if (attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000;
-          logger.warn(`Retry ${attempt}/${maxRetries} for ${endpoint} after ${delay}ms`);
-          await new Promise((resolve) => setTimeout(resolve, delay));
+    // The trial of a half-open circuit keeps its retries
+    let trial = false;
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (!trial) trial = this.checkCircuit(endpoint);
+        try {
+          const data = await this.get(endpoint, params);
+          this.recordSuccess();
+          return data;
+        } catch (error) {
+          lastError = error;
+          if (!isRetryable(error)) {
+            logger.error(`Not retrying ${endpoint}: HTTP ${error.response?.status}`);
+            throw error;
+          }
+          if (attempt < maxAttempts) {
+            const delay = this.retryDelay(error, attempt);
+            logger.warn(`Retry ${attempt}/${maxAttempts - 1} for ${endpoint} after ${delay}ms`);
+            metrics.apiRetries.inc({ endpoint });
+            if (onRetry) onRetry(error, attempt);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+          }
         }
       }
+      this.recordFailure(lastError);
+      throw lastError;
+    } finally {
+      if (trial) this.trialInFlight = false;
     }
-    throw lastError;
   }
 }
 
+ApiClient.CircuitOpenError = CircuitOpenError;
+ApiClient.isRetryable = isRetryable;
+
 module.exports = ApiClient;
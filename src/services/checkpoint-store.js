@@ -0,0 +1,98 @@
+const logger = require('../utils/logger').child({ module: 'checkpoint-store' });
+
+const CHECKPOINTS_TABLE = 'jasper_fetch_checkpoints';
+
+const CHECKPOINTS_DEFINITION = {
+  columns: {
+    job: 'key',
+    unit_key: 'string',
+    run_id: 'key',
+    table_name: 'string',
+    office_code: 'string',
+    date_from: 'date',
+    date_to: 'date',
+    status: 'string',
+    last_page: 'integer',
+    updated_at: 'datetime',
+  },
+  primaryKey: ['job', 'unit_key'],
+};
+
+// Persists progress of endpoint x office x date range units so an interrupted
+// backfill can be resumed. A unit is either in_progress (with the last page
+// stored) or completed.
+class CheckpointStore {
+  constructor(dbAdapter, job, runId) {
+    this.db = dbAdapter;
+    this.job = job;
+    this.runId = runId;
+    this.units = new Map();
+  }
+
+  // Load saved checkpoints when resuming, otherwise start from a clean slate
+  async init(resume) {
+    await this.db.ensureSystemTable(CHECKPOINTS_TABLE, CHECKPOINTS_DEFINITION);
+
+    if (!resume) {
+      await this.db.deleteRecords(CHECKPOINTS_TABLE, { job: this.job });
+      return;
+    }
+
+    const rows = await this.db.selectRecords(CHECKPOINTS_TABLE, { job: this.job });
+    for (const row of rows) {
+      this.units.set(row.unit_key, { status: row.status, lastPage: parseInt(row.last_page, 10) || 0 });
+    }
+    const completed = rows.filter((r) => r.status === 'completed').length;
+    logger.info(`Resuming ${this.job}: ${completed} completed and ${rows.length - completed} partial units found`);
+  }
+
+  unitKey(endpoint, params) {
+    return [endpoint.tableName, params.office_code || '', params.date_from || '', params.date_to || ''].join('|');
+  }
+
+  isCompleted(endpoint, params) {
+    const unit = this.units.get(this.unitKey(endpoint, params));
+    return Boolean(unit && unit.status === 'completed');
+  }
+
+  async save(endpoint, params, status, lastPage) {
+    const unitKey = this.unitKey(endpoint, params);
+    this.units.set(unitKey, { status, lastPage });
+    await this.db.saveRecord(CHECKPOINTS_TABLE, {
+      job: this.job,
+      unit_key: unitKey,
+      run_id: this.runId,
+      table_name: endpoint.tableName,
+      office_code: params.office_code || null,
+      date_from: params.date_from || null,
+      date_to: params.date_to || null,
+      status,
+      last_page: lastPage,
+      updated_at: new Date(),
+    }, ['job', 'unit_key']);
+  }
+
+  // Options for Fetcher.fetchAndStore: restart a partial unit after its last
+  // stored page and record every page once it is stored
+  fetchOptions(endpoint, params) {
+    const unit = this.units.get(this.unitKey(endpoint, params));
+    const startPage = unit && unit.status === 'in_progress' ? unit.lastPage + 1 : 1;
+    if (startPage > 1) {
+      logger.info(`Resuming ${endpoint.tableName} from page ${startPage}`);
+    }
+
+    return {
+      startPage,
+      onPageStored: (pageNumber) => this.save(endpoint, params, 'in_progress', pageNumber),
+    };
+  }
+
+  async markCompleted(endpoint, params) {
+    const unit = this.units.get(this.unitKey(endpoint, params));
+    await this.save(endpoint, params, 'completed', unit ? unit.lastPage : 0);
+  }
+}
+
+CheckpointStore.CHECKPOINTS_TABLE = CHECKPOINTS_TABLE;
+
+module.exports = CheckpointStore;
@@ -1,31 +1,79 @@
-const logger = require('../utils/logger');
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ module: 'fetcher' });
 const SchemaHandler = require('./schema-handler');
+const HistoryTracker = require('./history-tracker');
+const dbConfig = require('../config/database');
+const { metrics } = require('../utils/metrics');
+
+// Rows per INSERT (or bulk load) unless the endpoint sets batchSize
+const DEFAULT_BATCH_SIZE = 100;
+// Original API record of endpoints with storeRaw, as JSON
+const RAW_COLUMN = '_raw';
+// Stored rows read per query when reprocessing
+const REPROCESS_PAGE_SIZE = 1000;
 
 class Fetcher {
-  constructor(apiClient, dbAdapter) {
+  // options.bulkLoadThreshold overrides BULK_LOAD_THRESHOLD (0 disables bulk loads);
+  // options.autoNest overrides AUTO_NEST_ARRAYS; once options.signal (an
+  // AbortSignal) is aborted no further page is requested, and its reason is
+  // thrown
+  constructor(apiClient, dbAdapter, options = {}) {
     this.api = apiClient;
     this.db = dbAdapter;
-    this.schema = new SchemaHandler(dbAdapter);
+    this.bulkLoadThreshold = options.bulkLoadThreshold !== undefined
+      ? options.bulkLoadThreshold
+      : dbConfig.bulkLoadThreshold;
+    this.autoNest = options.autoNest !== undefined ? options.autoNest : dbConfig.autoNestArrays;
+    // endpoint path -> Map of array path -> where it was stored
+    this.undeclaredArrays = new Map();
+    this.runId = options.runId || crypto.randomUUID();
+    this.signal = options.signal || null;
+    this.schema = new SchemaHandler(dbAdapter, { runId: this.runId });
+  }
+
+  // Lineage columns stamped on every stored row, so rows can be traced back to
+  // the office, date window, run and page they were fetched for
+  buildLineage(params, pageNumber) {
+    return {
+      _office_code: params.office_code || null,
+      _date_from: params.date_from || null,
+      _date_to: params.date_to || null,
+      _run_id: this.runId,
+      _source_page: pageNumber,
+    };
   }
 
-  async fetchPaginated(endpoint, params = {}, tableName, onPageFetched = null) {
+  // options.stats is updated with pages fetched and HTTP retries;
+  // options.startPage resumes a partially fetched endpoint;
+  // options.maxAttempts overrides the API client's attempts per request
+  async fetchPaginated(endpoint, params = {}, tableName, onPageFetched = null, options = {}) {
+    const { stats = null, startPage = 1, maxAttempts } = options;
     const allData = [];
-    let pageNumber = 1;
+    let pageNumber = startPage;
     let hasMore = true;
     let totalFetched = 0;
     const connectionCheckInterval = 50; // Check connection every 50 pages
 
-    logger.info(`Starting paginated fetch for ${endpoint}`);
+    logger.info(`Starting paginated fetch for ${endpoint}${startPage > 1 ? ` from page ${startPage}` : ''}`);
 
     while (hasMore) {
-      const response = await this.api.getWithRetry(endpoint, {
+      // Pages already fetched are stored, so stopping here leaves no partial page
+      if (this.signal) this.signal.throwIfAborted();
+      // Lines logged while a page is requested and stored carry its number
+      const page = { page: pageNumber };
+      const response = await logger.withContext(page, () => this.api.getWithRetry(endpoint, {
         ...params,
         page_number: String(pageNumber),
-      });
+      }, {
+        maxAttempts,
+        onRetry: () => {
+          if (stats) stats.retries++;
+        },
+      }));
 
       if (!response) {
         logger.warn(`No JSON response for ${endpoint}, skipping`);
-        return [];
+        return onPageFetched ? totalFetched : [];
       }
 
       // Handle two response formats:
@@ -55,12 +103,15 @@ class Fetcher {
 
       const pageData = Array.isArray(data) ? data : [data];
       totalFetched += pageData.length;
+      if (stats) stats.pages++;
+      metrics.pages.inc({ table: tableName });
+      metrics.rowsFetched.inc({ table: tableName }, pageData.length);
 
-      logger.info(`Page ${pageNumber}: fetched ${pageData.length} records from ${endpoint}`);
+      logger.child(page).info(`Page ${pageNumber}: fetched ${pageData.length} records from ${endpoint}`);
 
       // If callback provided, process page immediately (streaming mode)
       if (onPageFetched) {
-        await onPageFetched(pageData, pageNumber);
+        await logger.withContext(page, () => onPageFetched(pageData, pageNumber));
       } else {
         // Batch mode - collect all data
         allData.push(...pageData);
@@ -104,74 +155,290 @@ class Fetcher {
     return onPageFetched ? totalFetched : allData;
   }
 
-  async fetchAndStore(endpointConfig) {
-    const { path, tableName, params = {}, nestedTables = [] } = endpointConfig;
-    const batchSize = 100;
-    let tableCreated = false;
+  // Key columns rows are upserted on: _row_key for tables with a natural key,
+  // plus _valid_from for tables keeping history; null for plain inserts
+  keyColumns(write) {
+    if (!write.uniqueKey) return null;
+    return write.history ? [SchemaHandler.ROW_KEY_COLUMN, '_valid_from'] : [SchemaHandler.ROW_KEY_COLUMN];
+  }
+
+  // Write rows in batches. Tables with a natural key are upserted on
+  // keyColumns; tables without one fall back to plain inserts. Pages of at
+  // least bulkLoadThreshold rows go through the adapter's bulk load path
+  // instead, in one call per page (batchSize only applies when the adapter
+  // falls back to INSERTs). db is the adapter to write through, e.g. one
+  // bound to a transaction.
+  async writeRows(tableName, rows, keyColumns, batchSize, db = this.db) {
+    if (this.bulkLoadThreshold > 0 && rows.length >= this.bulkLoadThreshold) {
+      await db.bulkLoad(tableName, rows, keyColumns, { batchSize });
+      return;
+    }
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      if (keyColumns) {
+        await db.upsertBatch(tableName, batch, keyColumns);
+      } else {
+        await db.insertBatch(tableName, batch);
+      }
+    }
+  }
+
+  // Flatten one page of records into the rows to write: the table's own rows,
+  // then the rows of each nested table, recursing into arrays nested within
+  // those. config is an endpoint definition or one of its nestedTables entries;
+  // context carries params, lineage, autoNest and the endpoint path. With
+  // storeRaw each row keeps its original record in the _raw JSON column.
+  collectRows(tableName, records, config, context) {
+    const { uniqueKey, nestedTables = [], storeRaw = false } = config;
+    const { params, lineage, autoNest } = context;
+
+    // Arrays not declared in nestedTables are dropped, or with autoNest stored
+    // as JSON (scalars) or in a <table>_<key> child table (objects)
+    const declared = new Set(nestedTables.map((n) => n.nestedKey));
+    const undeclared = this.schema.findArrays(records, declared);
+    const jsonColumns = new Set(autoNest ? Object.keys(undeclared).filter((key) => undeclared[key] === 'scalars') : []);
+    const autoTables = autoNest ? Object.keys(undeclared).filter((key) => undeclared[key] === 'objects') : [];
+    this.recordUndeclaredArrays(context, tableName, undeclared, autoNest);
+
+    let rows = records.map((row) => ({
+      ...this.schema.flattenRow(row, '', jsonColumns),
+      ...(storeRaw ? { [RAW_COLUMN]: row } : {}),
+      ...lineage,
+    }));
+    if (uniqueKey) {
+      rows = this.schema.applyRowKeys(tableName, rows, uniqueKey, params);
+    }
+
+    const writes = [{ tableName, rows, uniqueKey }];
+    for (const nested of nestedTables) {
+      const children = this.schema.extractNestedData(records, nested.parentKey, nested.nestedKey);
+      if (children.length) {
+        const childContext = { ...context, arrayPath: this.arrayPath(context, nested.nestedKey) };
+        writes.push(...this.collectRows(nested.childTable, children, nested, childContext));
+      }
+    }
+    for (const key of autoTables) {
+      const { rows: children, uniqueKey: childKey } = this.schema.extractArrayRows(records, key, uniqueKey, params, config.arrayKey);
+      if (children.length) {
+        const childContext = { ...context, arrayPath: this.arrayPath(context, key) };
+        writes.push(...this.collectRows(`${tableName}_${key}`, children, { uniqueKey: childKey, arrayKey: key }, childContext));
+      }
+    }
+    return writes;
+  }
+
+  arrayPath(context, key) {
+    return context.arrayPath ? `${context.arrayPath}.${key}` : key;
+  }
+
+  // Remember undeclared arrays per endpoint for the run summary
+  recordUndeclaredArrays(context, tableName, undeclared, autoNest) {
+    for (const [key, kind] of Object.entries(undeclared)) {
+      const arrays = this.undeclaredArrays.get(context.endpointPath) || new Map();
+      let storage = 'dropped';
+      if (autoNest) storage = kind === 'scalars' ? `JSON column ${tableName}.${key}` : `table ${tableName}_${key}`;
+      arrays.set(this.arrayPath(context, key), storage);
+      this.undeclaredArrays.set(context.endpointPath, arrays);
+    }
+  }
+
+  // Warn about arrays found in API responses that no nestedTables entry
+  // declares; called at the end of a run. Returns them for the run record as
+  // { endpoint path: { array path: where it was stored } }.
+  reportUndeclaredArrays() {
+    const report = {};
+    for (const [endpointPath, arrays] of this.undeclaredArrays) {
+      const list = [...arrays].map(([arrayPath, storage]) => `${arrayPath} (${storage})`);
+      logger.warn(`Undeclared arrays in ${endpointPath}: ${list.join(', ')}`);
+      report[endpointPath] = Object.fromEntries(arrays);
+    }
+    return report;
+  }
+
+  // Store one page of API records with their nested child rows. Returns the
+  // writes made, the endpoint's own table first. With a HistoryTracker the
+  // endpoint's table only gets new versions of changed records; that write
+  // keeps the page's full rows in snapshot. Child tables hold current state.
+  async storeRecords(endpointConfig, records, params, lineage, history = null) {
+    const { path, tableName } = endpointConfig;
+    const batchSize = endpointConfig.batchSize || DEFAULT_BATCH_SIZE;
+    const autoNest = endpointConfig.autoNest !== undefined ? endpointConfig.autoNest : this.autoNest;
+    const writes = this.collectRows(tableName, records, endpointConfig, { params, lineage, autoNest, endpointPath: path });
+
+    let replaced = [];
+    if (history) {
+      const versions = history.versions(writes[0].rows);
+      replaced = versions.replaced;
+      writes[0] = { ...writes[0], rows: versions.rows, snapshot: writes[0].rows, history: true };
+    }
+
+    // Create tables on the first page; later pages may add or widen columns.
+    // Schema changes stay outside the transaction (MySQL commits on DDL).
+    for (const write of writes) {
+      const keyColumns = this.keyColumns(write);
+      const options = keyColumns ? { uniqueKey: keyColumns, naturalKey: write.uniqueKey } : {};
+      await this.schema.ensureTable(write.tableName, write.rows, options);
+    }
+
+    await this.db.transaction(async (db) => {
+      if (replaced.length) await history.close(db, replaced);
+      for (const write of writes) {
+        await this.writeRows(write.tableName, write.rows, this.keyColumns(write), batchSize, db);
+      }
+    });
+
+    for (const write of writes) {
+      metrics.rowsStored.inc({ table: write.tableName }, write.rows.length);
+    }
+    for (const write of writes.slice(1)) {
+      metrics.nestedRowsStored.inc({ table: tableName, nested_table: write.tableName }, write.rows.length);
+    }
+    return writes;
+  }
+
+  // Rebuild an endpoint's tables from the _raw records kept in sourceTable,
+  // without calling the API. endpointConfig normally points at staging tables
+  // (see TableRefresh) while sourceTable is the live table. Rows keep the
+  // lineage they were fetched with.
+  async reprocess(endpointConfig, sourceTable) {
+    const stats = { rowsFetched: 0, rowsStored: 0, pages: 0, retries: 0 };
+    let skipped = 0;
+    let afterId = 0;
+
+    for (;;) {
+      const rows = await this.db.selectPage(sourceTable, afterId, REPROCESS_PAGE_SIZE);
+      if (!rows.length) break;
+      afterId = rows[rows.length - 1]._id;
+      stats.pages++;
+
+      // One page of stored rows may span offices, date ranges and runs
+      const groups = new Map();
+      for (const row of rows) {
+        if (row[RAW_COLUMN] === null || row[RAW_COLUMN] === undefined) {
+          skipped++;
+          continue;
+        }
+        const lineage = {
+          _office_code: row._office_code,
+          // Every adapter reads DATE columns as YYYY-MM-DD strings
+          _date_from: row._date_from || null,
+          _date_to: row._date_to || null,
+          _run_id: row._run_id,
+          _source_page: row._source_page,
+        };
+        const groupKey = JSON.stringify(lineage);
+        if (!groups.has(groupKey)) groups.set(groupKey, { lineage, records: [] });
+        const raw = row[RAW_COLUMN];
+        groups.get(groupKey).records.push(typeof raw === 'string' ? JSON.parse(raw) : raw);
+      }
+
+      for (const { lineage, records } of groups.values()) {
+        const params = { ...endpointConfig.params };
+        if (lineage._office_code) params.office_code = lineage._office_code;
+        if (lineage._date_from) params.date_from = lineage._date_from;
+        if (lineage._date_to) params.date_to = lineage._date_to;
+
+        await this.storeRecords(endpointConfig, records, params, lineage);
+        stats.rowsFetched += records.length;
+      }
+      logger.info(`Reprocessed ${stats.rowsFetched} records from ${sourceTable} into ${endpointConfig.tableName}`);
+    }
+
+    if (skipped) {
+      logger.warn(`${skipped} rows in ${sourceTable} have no ${RAW_COLUMN} payload and were left out`);
+    }
+    stats.rowsStored = stats.rowsFetched;
+    return stats;
+  }
+
+  // Highest value of field among rows (compared as text, which orders ISO
+  // dates and timestamps correctly), starting from current
+  maxWatermark(rows, field, current) {
+    let max = current;
+    for (const row of rows) {
+      const value = row[field];
+      if (value === null || value === undefined) continue;
+      const text = String(value);
+      if (max === null || text > max) max = text;
+    }
+    return max;
+  }
+
+  // History tracking for an endpoint with history, or null. Only a complete
+  // snapshot (all pages, not just changed records) can tell deleted records.
+  async historyTracker(endpointConfig, startPage) {
+    const { tableName, params = {}, history, uniqueKey, requiresDate, incremental } = endpointConfig;
+    if (!history) return null;
+    if (!uniqueKey || requiresDate) {
+      throw new Error(`history on ${tableName} requires a uniqueKey and an endpoint without date ranges`);
+    }
+
+    const tracker = new HistoryTracker(this.db, tableName, params.office_code);
+    await tracker.load();
+    tracker.complete = startPage === 1 && !(incremental && params[incremental.param] !== undefined);
+    return tracker;
+  }
+
+  // options.startPage skips pages stored by an earlier run; options.onPageStored
+  // is called after each page is written (used for checkpoints)
+  async fetchAndStore(endpointConfig, options = {}) {
+    const { startPage = 1, onPageStored = null } = options;
+    const { path, tableName, params = {}, maxAttempts, incremental } = endpointConfig;
     let totalStored = 0;
-    const allNestedData = [];
+    // watermark: highest incremental.field value stored, for WatermarkStore
+    const stats = { rowsFetched: 0, rowsStored: 0, pages: 0, retries: 0, watermark: null };
 
     try {
-      // Streaming mode: process each page as it arrives to reduce memory usage
+      const history = await this.historyTracker(endpointConfig, startPage);
+
+      // Streaming mode: process each page as it arrives to reduce memory usage.
+      // A page's parent and nested child rows are written in one transaction,
+      // so a crash never leaves parents without their children.
       const onPageFetched = async (pageData, pageNumber) => {
         if (!pageData.length) return;
 
-        const flattenedData = pageData.map((row) => this.schema.flattenRow(row));
-
-        // Create table on first batch
-        if (!tableCreated) {
-          await this.schema.ensureTable(tableName, flattenedData[0]);
-          tableCreated = true;
+        const lineage = this.buildLineage(params, pageNumber);
+        const writes = await this.storeRecords(endpointConfig, pageData, params, lineage, history);
+        const snapshot = writes[0].snapshot || writes[0].rows;
+        if (incremental) {
+          stats.watermark = this.maxWatermark(snapshot, incremental.field, stats.watermark);
         }
 
-        // Insert this page's data immediately
-        let pageInserted = 0;
-        for (let i = 0; i < flattenedData.length; i += batchSize) {
-          const batch = flattenedData.slice(i, i + batchSize);
-          await this.db.insertBatch(tableName, batch);
-          pageInserted += batch.length;
-        }
-        totalStored += flattenedData.length;
-        logger.info(`Page ${pageNumber}: inserted ${pageInserted} records into ${tableName} (total: ${totalStored})`);
-
-        // Collect nested data for later processing
-        for (const nested of nestedTables) {
-          const { nestedKey, parentKey } = nested;
-          const extracted = this.schema.extractNestedData(pageData, parentKey, nestedKey);
-          if (extracted.length) {
-            allNestedData.push({ nested, data: extracted });
-          }
-        }
+        const stored = writes[0].rows.length;
+        totalStored += stored;
+        const unchanged = history ? `, ${snapshot.length - stored} unchanged` : '';
+        const children = writes.slice(1).map((w) => `${w.rows.length} into ${w.tableName}`);
+        logger.info(`Page ${pageNumber}: stored ${stored} records into ${tableName} (total: ${totalStored}${unchanged})${children.length ? `, ${children.join(', ')}` : ''}`);
+
+        if (onPageStored) await onPageStored(pageNumber);
       };
 
-      await this.fetchPaginated(path, params, tableName, onPageFetched);
+      stats.rowsFetched = await this.fetchPaginated(path, params, tableName, onPageFetched, { stats, startPage, maxAttempts });
+      stats.rowsStored = totalStored;
 
-      if (totalStored === 0) {
-        logger.info(`No data to store for ${tableName}`);
-        return;
+      // An empty response is more likely an API problem than every record
+      // having been deleted
+      if (history && history.complete && stats.rowsFetched > 0) {
+        stats.rowsDeleted = await history.markDeleted();
       }
 
-      // Process nested tables after main table is complete
-      for (const { nested, data } of allNestedData) {
-        const { childTable } = nested;
-        const flattenedNested = data.map((row) => this.schema.flattenRow(row));
-
-        if (flattenedNested.length) {
-          await this.schema.ensureTable(childTable, flattenedNested[0]);
-
-          for (let i = 0; i < flattenedNested.length; i += batchSize) {
-            const batch = flattenedNested.slice(i, i + batchSize);
-            await this.db.insertBatch(childTable, batch);
-          }
-        }
+      if (totalStored === 0) {
+        logger.info(`No data to store for ${tableName}`);
+        return stats;
       }
 
       logger.info(`Completed storing ${totalStored} records for ${tableName}`);
+      return stats;
     } catch (error) {
-      logger.error(`Failed to fetch/store ${tableName}`, { error: error.message });
+      // Stopping a run on purpose is not a failure of this endpoint
+      if (!(this.signal && this.signal.aborted)) {
+        logger.error(`Failed to fetch/store ${tableName}`, { error: error.message });
+      }
       throw error;
     }
   }
 }
 
+Fetcher.RAW_COLUMN = RAW_COLUMN;
+
 module.exports = Fetcher;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ module: 'history-tracker' });
+const SchemaHandler = require('./schema-handler');
+
+const HISTORY_COLUMNS = ['_valid_from', '_valid_to', '_is_current', '_deleted_at', '_row_hash'];
+
+// Slowly changing dimension (type 2) bookkeeping for one unit (table x office)
+// of an endpoint with history. Every version of a record is a row of its own:
+// a changed record closes its current version (_valid_to, _is_current = false)
+// and gets a new one from validFrom; unchanged records are not written at all.
+// After a complete snapshot, current records the API no longer returned are
+// closed as deleted (_deleted_at).
+class HistoryTracker {
+  constructor(dbAdapter, tableName, officeCode = null, validFrom = new Date()) {
+    this.db = dbAdapter;
+    this.tableName = tableName;
+    this.officeCode = officeCode || null;
+    this.validFrom = validFrom;
+    // _row_key -> _row_hash of the current version
+    this.current = new Map();
+    this.seen = new Set();
+    this.unkeyed = 0;
+  }
+
+  // Current versions only; other offices' rows are left alone
+  currentWhere() {
+    return this.officeCode ? { _is_current: true, _office_code: this.officeCode } : { _is_current: true };
+  }
+
+  async load() {
+    if (!(await this.db.tableExists(this.tableName))) return;
+
+    const columns = new Set((await this.db.getColumns(this.tableName)).map((c) => c.name));
+    const missing = HISTORY_COLUMNS.filter((name) => !columns.has(name));
+    if (missing.length) {
+      throw new Error(`${this.tableName} was created without history (missing ${missing.join(', ')}); drop it to start tracking history`);
+    }
+
+    for (const row of await this.db.selectRecords(this.tableName, this.currentWhere())) {
+      this.current.set(row[SchemaHandler.ROW_KEY_COLUMN], row._row_hash);
+    }
+    logger.info(`History of ${this.tableName}: ${this.current.size} current records${this.officeCode ? ` for ${this.officeCode}` : ''}`);
+  }
+
+  // Hash of a row's data columns; lineage and other _ columns change on every
+  // fetch and are left out
+  rowHash(row) {
+    const data = Object.keys(row).filter((key) => !key.startsWith('_')).sort()
+      .map((key) => [key, row[key] === undefined ? null : row[key]]);
+    return crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+  }
+
+  // Split one page of keyed rows into the new versions to insert and the
+  // row keys whose current version they replace
+  versions(rows) {
+    const inserts = [];
+    const replaced = [];
+    for (const row of rows) {
+      const rowKey = row[SchemaHandler.ROW_KEY_COLUMN];
+      if (rowKey === null || rowKey === undefined) {
+        this.unkeyed++;
+        continue;
+      }
+      this.seen.add(rowKey);
+
+      const hash = this.rowHash(row);
+      if (this.current.get(rowKey) === hash) continue;
+      if (this.current.has(rowKey)) replaced.push(rowKey);
+      this.current.set(rowKey, hash);
+      inserts.push({
+        ...row,
+        _row_hash: hash,
+        _valid_from: this.validFrom,
+        _valid_to: null,
+        _is_current: true,
+        _deleted_at: null,
+      });
+    }
+    return { rows: inserts, replaced };
+  }
+
+  // Close the current versions of rowKeys; db may be bound to a transaction
+  async close(db, rowKeys, deleted = false) {
+    const values = { _valid_to: this.validFrom, _is_current: false };
+    if (deleted) values._deleted_at = this.validFrom;
+    for (const rowKey of rowKeys) {
+      await db.updateRecords(this.tableName, values, { ...this.currentWhere(), [SchemaHandler.ROW_KEY_COLUMN]: rowKey });
+    }
+  }
+
+  // Once a complete snapshot was stored: close current records it did not
+  // contain as deleted. Returns how many were.
+  async markDeleted() {
+    if (this.unkeyed) {
+      logger.warn(`${this.unkeyed} ${this.tableName} records without a key were left out of its history`);
+    }
+    const gone = [...this.current.keys()].filter((rowKey) => !this.seen.has(rowKey));
+    if (!gone.length) return 0;
+
+    await this.db.transaction((db) => this.close(db, gone, true));
+    for (const rowKey of gone) this.current.delete(rowKey);
+    logger.info(`History of ${this.tableName}: ${gone.length} records no longer returned, marked deleted`);
+    return gone.length;
+  }
+}
+
+HistoryTracker.HISTORY_COLUMNS = HISTORY_COLUMNS;
+
+module.exports = HistoryTracker;
@@ -0,0 +1,249 @@
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger').child({ module: 'notifier' });
+const { notificationSettings } = require('../config/config-file');
+const { configuredEndpoints } = require('../endpoints/select');
+const RunRecorder = require('./run-recorder');
+
+// Units listed in the summary table; the rest are counted in one line
+const MAX_TABLE_ROWS = 50;
+// Longest error message shown in a table row
+const MAX_NOTE_LENGTH = 80;
+// Table order: failed units first, anomalies right after them
+const STATUS_ORDER = ['failed', 'anomaly', 'interrupted', 'skipped', 'success'];
+
+function timeKey(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Plain-text table, each column as wide as its widest cell
+function formatTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => String(row[i]).length)));
+  return [header, ...rows]
+    .map((row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+// POSTs JSON whose text field is shown as the message by Slack and Microsoft
+// Teams incoming webhooks; run, units and anomalies carry the details for
+// any other receiver
+class WebhookChannel {
+  constructor(url, options = {}) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message) {
+    await axios.post(this.url, {
+      text: `*${message.subject}*\n\`\`\`\n${message.text}\n\`\`\``,
+      run: message.run,
+      units: message.units,
+      anomalies: message.anomalies,
+    }, { timeout: this.timeout });
+  }
+}
+
+// Sends the summary as a plain-text mail (with a <pre> HTML part, so the
+// table stays aligned) through an SMTP server
+class EmailChannel {
+  constructor(settings) {
+    this.name = 'email';
+    this.settings = settings;
+  }
+
+  async send(message) {
+    const { host, port, secure, user, password, from, to } = this.settings;
+    const transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+    try {
+      await transport.sendMail({
+        from: from || `jasper-fetcher@${os.hostname()}`,
+        to: to.join(', '),
+        subject: message.subject,
+        text: message.text,
+        html: `<pre>${escapeHtml(message.text)}</pre>`,
+      });
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+// Sends a summary of a finished run to every channel when the run matches
+// one of the configured triggers:
+//   failure  the run failed, or some of its units did (status failed or partial)
+//   success  every unit succeeded
+//   anomaly  a unit fetched far more or fewer rows than the same unit
+//            (table, office and date range) did in earlier runs
+// Interrupted runs trigger nothing. Sending failures are logged and never
+// fail the run.
+class Notifier {
+  // settings as returned by notificationSettings(); options.channels replaces
+  // the channels built from them (any object with name and send(message))
+  constructor(settings = notificationSettings(), options = {}) {
+    this.settings = settings;
+    this.channels = options.channels || Notifier.channelsFor(settings);
+  }
+
+  static channelsFor(settings) {
+    const channels = [];
+    if (settings.webhook.url) channels.push(new WebhookChannel(settings.webhook.url));
+    if (settings.email.host && settings.email.to.length) channels.push(new EmailChannel(settings.email));
+    return channels;
+  }
+
+  // Call once the run is finished, before the database is disconnected.
+  // Returns the triggers the notification was sent for, if any.
+  async notify(db, recorder) {
+    const run = recorder.summary();
+    if (!this.channels.length || !run.status || run.status === 'running') return [];
+
+    let anomalies = [];
+    if (this.settings.on.includes('anomaly')) {
+      try {
+        anomalies = await this.findAnomalies(db, recorder.items, run.run_id);
+      } catch (error) {
+        logger.warn('Failed to compare row counts with earlier runs', { error: error.message });
+      }
+    }
+
+    const triggers = this.triggers(run, anomalies);
+    if (!triggers.length) return [];
+
+    const message = this.buildMessage(run, recorder.items, anomalies);
+    for (const channel of this.channels) {
+      try {
+        await channel.send(message);
+        logger.info(`Sent ${triggers.join(', ')} notification via ${channel.name}`);
+      } catch (error) {
+        logger.error(`Failed to send notification via ${channel.name}`, { error: error.message });
+      }
+    }
+    return triggers;
+  }
+
+  triggers(run, anomalies) {
+    const matched = [];
+    if (run.status === 'failed' || run.status === 'partial') matched.push('failure');
+    if (run.status === 'success') matched.push('success');
+    if (anomalies.length) matched.push('anomaly');
+    return matched.filter((trigger) => this.settings.on.includes(trigger));
+  }
+
+  // Successful units whose rows fetched differ from the average of the last
+  // anomaly.runs successful fetches of the same unit by more than
+  // anomaly.threshold (0.5 = 50%). Incremental endpoints fetch only what
+  // changed, so their counts are not compared.
+  async findAnomalies(db, items, runId) {
+    const { threshold, runs } = this.settings.anomaly;
+    const incremental = new Set(configuredEndpoints().filter((e) => e.incremental).map((e) => e.tableName));
+    const candidates = items.filter((item) => item.status === 'success' && !incremental.has(item.table_name));
+    if (!candidates.length || !await db.tableExists(RunRecorder.RUN_ITEMS_TABLE)) return [];
+
+    const anomalies = [];
+    for (const item of candidates) {
+      // The latest runs of the same unit; one more in case this run's item is among them
+      const where = {
+        table_name: item.table_name,
+        office_code: item.office_code,
+        date_from: item.date_from,
+        date_to: item.date_to,
+        status: 'success',
+      };
+      const same = (await db.selectRecords(RunRecorder.RUN_ITEMS_TABLE, where, { orderBy: 'finished_at', descending: true, limit: runs + 1 }))
+        .filter((other) => other.run_id !== runId)
+        .slice(0, runs);
+      if (!same.length) continue;
+
+      const average = same.reduce((sum, other) => sum + Number(other.rows_fetched), 0) / same.length;
+      if (average === 0) continue;
+      const change = (item.rows_fetched - average) / average;
+      if (Math.abs(change) > threshold) {
+        anomalies.push({
+          item_id: item.item_id,
+          table: item.table_name,
+          office: item.office_code,
+          range: item.range_label,
+          rows_fetched: item.rows_fetched,
+          average,
+          change,
+        });
+      }
+    }
+    return anomalies;
+  }
+
+  // { subject, text, run, units, anomalies }: text holds the run's totals
+  // and a table of its units
+  buildMessage(run, items, anomalies) {
+    const anomalyOf = new Map(anomalies.map((anomaly) => [anomaly.item_id, anomaly]));
+    const units = items.map((item) => {
+      const anomaly = anomalyOf.get(item.item_id);
+      let note = item.error_message ? truncate(item.error_message, MAX_NOTE_LENGTH) : '';
+      if (anomaly) {
+        const percent = Math.round(anomaly.change * 100);
+        note = `${item.rows_fetched} rows fetched vs ${Math.round(anomaly.average)} before (${percent > 0 ? '+' : ''}${percent}%)`;
+      }
+      return {
+        table: item.table_name,
+        office: item.office_code,
+        range: item.range_label === 'static' && item.date_from ? `${item.date_from}..${item.date_to}` : item.range_label,
+        status: anomaly ? 'anomaly' : item.status,
+        rows_stored: item.rows_stored,
+        note,
+      };
+    }).sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+
+    const minutes = ((new Date(run.finished_at) - new Date(run.started_at)) / 60000).toFixed(1);
+    const problems = [
+      run.failed_count ? `${run.failed_count} failed` : null,
+      anomalies.length ? `${anomalies.length} row count ${anomalies.length === 1 ? 'anomaly' : 'anomalies'}` : null,
+    ].filter(Boolean);
+
+    const lines = [
+      `Run ${run.run_id} (${run.job}): ${run.status}`,
+      `Started ${timeKey(run.started_at)}, took ${minutes} min`,
+      `Units: ok ${run.success_count}, failed ${run.failed_count}, skipped ${run.skipped_count}; rows fetched ${run.rows_fetched}, stored ${run.rows_stored}`,
+    ];
+    if (run.error_message) lines.push(`Error: ${run.error_message}`);
+    for (const [endpointPath, arrays] of Object.entries(run.undeclared_arrays || {})) {
+      const list = Object.entries(arrays).map(([arrayPath, storage]) => `${arrayPath} (${storage})`);
+      lines.push(`Undeclared arrays in ${endpointPath}: ${list.join(', ')}`);
+    }
+    if (units.length) {
+      const shown = units.slice(0, MAX_TABLE_ROWS);
+      lines.push('', formatTable(
+        ['Table', 'Office', 'Range', 'Status', 'Rows', 'Note'],
+        shown.map((unit) => [unit.table, unit.office || '-', unit.range || '-', unit.status, unit.rows_stored, unit.note])
+      ));
+      if (units.length > shown.length) lines.push(`... and ${units.length - shown.length} more units`);
+    }
+
+    return {
+      subject: `jasper-fetcher ${run.job} ${run.status}${problems.length ? `: ${problems.join(', ')}` : ''}`,
+      text: lines.join('\n'),
+      run,
+      units,
+      anomalies: anomalies.map(({ item_id: itemId, ...anomaly }) => anomaly),
+    };
+  }
+}
+
+Notifier.WebhookChannel = WebhookChannel;
+Notifier.EmailChannel = EmailChannel;
+
+module.exports = Notifier;
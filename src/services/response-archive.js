@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger').child({ module: 'response-archive' });
+const { today, DEFAULT_TIMEZONE } = require('../utils/date-ranges');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// One file per endpoint: /api/client/master/item -> api_client_master_item.ndjson.gz
+function archiveFileName(endpoint) {
+  return `${endpoint.replace(/^\/+/, '').replace(/[^A-Za-z0-9_-]+/g, '_')}.ndjson.gz`;
+}
+
+// Key of a request, independent of the order params were given in
+function requestKey(endpoint, params = {}) {
+  const sorted = Object.keys(params).sort().map((key) => [key, String(params[key])]);
+  return `${endpoint}?${JSON.stringify(sorted)}`;
+}
+
+// Every API response of a run as gzipped NDJSON, one line per response:
+// { archived_at, endpoint, params, page, status, headers, body }. Files live
+// under <rootDir>/<YYYY-MM-DD>/, dated by the day the run started in
+// Asia/Jakarta, so a whole run can be replayed from one directory (see
+// ArchiveClient).
+class ResponseArchive {
+  constructor(rootDir, date = new Date()) {
+    this.directory = path.join(rootDir, today(DEFAULT_TIMEZONE, date));
+    this.pending = Promise.resolve();
+  }
+
+  // Each line is appended as its own gzip member; gunzip reads concatenated
+  // members as one stream, and a crash loses at most the line being written.
+  // Appends are queued so concurrent units never interleave.
+  record(endpoint, params, response) {
+    const entry = {
+      archived_at: new Date().toISOString(),
+      endpoint,
+      params,
+      page: params.page_number !== undefined ? parseInt(params.page_number, 10) : null,
+      status: response.status,
+      headers: response.headers,
+      body: response.data,
+    };
+    const file = path.join(this.directory, archiveFileName(endpoint));
+
+    this.pending = this.pending.then(async () => {
+      try {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.appendFile(file, await gzip(`${JSON.stringify(entry)}\n`));
+      } catch (error) {
+        logger.warn(`Failed to archive response for ${endpoint}`, { error: error.message });
+      }
+    });
+    return this.pending;
+  }
+
+  // Archived entries of one endpoint in a dated directory, oldest first
+  static async read(directory, endpoint) {
+    const file = path.join(directory, archiveFileName(endpoint));
+    if (!fs.existsSync(file)) return [];
+
+    const text = (await gunzip(await fs.promises.readFile(file))).toString('utf8');
+    return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  }
+}
+
+ResponseArchive.requestKey = requestKey;
+
+module.exports = ResponseArchive;
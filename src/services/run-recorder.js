@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ module: 'run-recorder' });
+const { metrics } = require('../utils/metrics');
+
+// Bookkeeping tables share this prefix so cleanup can leave them alone
+const SYSTEM_TABLE_PREFIX = 'jasper_fetch_';
+const RUNS_TABLE = 'jasper_fetch_runs';
+const RUN_ITEMS_TABLE = 'jasper_fetch_run_items';
+
+const RUNS_DEFINITION = {
+  columns: {
+    run_id: 'key',
+    job: 'string',
+    status: 'string',
+    started_at: 'datetime',
+    finished_at: 'datetime',
+    success_count: 'integer',
+    failed_count: 'integer',
+    skipped_count: 'integer',
+    rows_fetched: 'integer',
+    rows_stored: 'integer',
+    error_message: 'text',
+    params: 'text',
+    undeclared_arrays: 'text',
+  },
+  primaryKey: ['run_id'],
+  indexes: { started_idx: ['started_at'] },
+};
+
+const RUN_ITEMS_DEFINITION = {
+  columns: {
+    item_id: 'key',
+    run_id: 'key',
+    endpoint: 'string',
+    table_name: 'string',
+    office_code: 'string',
+    date_from: 'date',
+    date_to: 'date',
+    range_label: 'string',
+    status: 'string',
+    started_at: 'datetime',
+    finished_at: 'datetime',
+    rows_fetched: 'integer',
+    rows_stored: 'integer',
+    pages: 'integer',
+    http_retries: 'integer',
+    error_message: 'text',
+    params: 'text',
+  },
+  primaryKey: ['item_id'],
+  indexes: {
+    run_idx: ['run_id'],
+    lookup_idx: ['table_name', 'office_code', 'status', 'finished_at'],
+  },
+};
+
+// Reason a run is stopped before it is done (e.g. SIGTERM); the run and the
+// unit it stopped in are recorded as interrupted rather than failed
+class RunInterruptedError extends Error {}
+
+// Records each run and each endpoint x office x date range unit in
+// jasper_fetch_runs / jasper_fetch_run_items. Recording failures are logged
+// and never abort the fetch itself.
+class RunRecorder {
+  constructor(dbAdapter, runId, job) {
+    this.db = dbAdapter;
+    this.runId = runId;
+    this.job = job;
+    this.run = null;
+    // Finished and skipped units of this run, for the notification summary
+    this.items = [];
+  }
+
+  async save(tableName, record, keyColumns) {
+    try {
+      await this.db.saveRecord(tableName, record, keyColumns);
+    } catch (error) {
+      logger.warn(`Failed to record run history in ${tableName}`, { error: error.message });
+    }
+  }
+
+  async start(params = {}) {
+    try {
+      await this.db.ensureSystemTable(RUNS_TABLE, RUNS_DEFINITION);
+      await this.db.ensureSystemTable(RUN_ITEMS_TABLE, RUN_ITEMS_DEFINITION);
+    } catch (error) {
+      logger.warn('Failed to create run history tables', { error: error.message });
+    }
+
+    this.run = {
+      run_id: this.runId,
+      job: this.job,
+      status: 'running',
+      started_at: new Date(),
+      finished_at: null,
+      success_count: 0,
+      failed_count: 0,
+      skipped_count: 0,
+      rows_fetched: 0,
+      rows_stored: 0,
+      error_message: null,
+      params: JSON.stringify(params),
+      undeclared_arrays: null,
+    };
+    await this.save(RUNS_TABLE, this.run, ['run_id']);
+  }
+
+  buildItem(endpoint, params, rangeLabel) {
+    return {
+      item_id: crypto.randomUUID(),
+      run_id: this.runId,
+      endpoint: endpoint.path,
+      table_name: endpoint.tableName,
+      office_code: params.office_code || null,
+      date_from: params.date_from || null,
+      date_to: params.date_to || null,
+      range_label: rangeLabel || null,
+      status: 'running',
+      started_at: new Date(),
+      finished_at: null,
+      rows_fetched: 0,
+      rows_stored: 0,
+      pages: 0,
+      http_retries: 0,
+      error_message: null,
+      params: JSON.stringify(params),
+    };
+  }
+
+  // Context of the lines logged while a unit runs
+  logContext(item) {
+    const context = { run_id: this.runId, endpoint: item.table_name };
+    if (item.office_code) context.office = item.office_code;
+    if (item.range_label) context.range = item.range_label;
+    return context;
+  }
+
+  // Run fn() as one recorded unit. The unit's result (fetchAndStore stats) is
+  // returned and errors are rethrown after being recorded.
+  async track(endpoint, params, rangeLabel, fn) {
+    const item = this.buildItem(endpoint, params, rangeLabel);
+    await this.save(RUN_ITEMS_TABLE, item, ['item_id']);
+
+    try {
+      const stats = await logger.withContext(this.logContext(item), fn);
+      if (stats) {
+        item.rows_fetched = stats.rowsFetched;
+        item.rows_stored = stats.rowsStored;
+        item.pages = stats.pages;
+        item.http_retries = stats.retries;
+        if (this.run) {
+          this.run.rows_fetched += stats.rowsFetched;
+          this.run.rows_stored += stats.rowsStored;
+        }
+      }
+      item.status = 'success';
+      if (this.run) this.run.success_count++;
+      return stats;
+    } catch (error) {
+      item.error_message = error.message;
+      if (error instanceof RunInterruptedError) {
+        item.status = 'interrupted';
+      } else {
+        item.status = 'failed';
+        if (this.run) this.run.failed_count++;
+      }
+      throw error;
+    } finally {
+      item.finished_at = new Date();
+      this.observe(item);
+      this.items.push(item);
+      await this.save(RUN_ITEMS_TABLE, item, ['item_id']);
+    }
+  }
+
+  // Unit metrics per table and office (see utils/metrics.js)
+  observe(item) {
+    const labels = { table: item.table_name, office: item.office_code };
+    metrics.units.inc({ ...labels, status: item.status });
+    metrics.unitSeconds.set(labels, (item.finished_at - item.started_at) / 1000);
+    if (item.status === 'success') metrics.unitLastSuccess.set(labels, item.finished_at.getTime() / 1000);
+  }
+
+  async skip(endpoint, params, rangeLabel, reason) {
+    const item = this.buildItem(endpoint, params, rangeLabel);
+    item.status = 'skipped';
+    item.error_message = reason;
+    item.finished_at = item.started_at;
+    if (this.run) this.run.skipped_count++;
+    metrics.units.inc({ table: item.table_name, office: item.office_code, status: 'skipped' });
+    this.items.push(item);
+    await this.save(RUN_ITEMS_TABLE, item, ['item_id']);
+  }
+
+  // Arrays the run found that no nestedTables entry declares, as returned by
+  // Fetcher.reportUndeclaredArrays(); saved with the run by finish()
+  noteUndeclaredArrays(arrays) {
+    if (this.run && Object.keys(arrays).length) this.run.undeclared_arrays = JSON.stringify(arrays);
+  }
+
+  // The run's row as recorded so far, without its parameters
+  summary() {
+    if (!this.run) return { run_id: this.runId, job: this.job, status: null };
+    const { params, undeclared_arrays: arrays, ...run } = this.run;
+    return { ...run, undeclared_arrays: arrays ? JSON.parse(arrays) : null };
+  }
+
+  async finish(error = null) {
+    if (!this.run) return;
+
+    if (error instanceof RunInterruptedError) {
+      this.run.status = 'interrupted';
+      this.run.error_message = error.message;
+    } else if (error) {
+      this.run.status = 'failed';
+      this.run.error_message = error.message;
+    } else {
+      this.run.status = this.run.failed_count > 0 ? 'partial' : 'success';
+    }
+    this.run.finished_at = new Date();
+    metrics.runSeconds.set({ job: this.job }, (this.run.finished_at - this.run.started_at) / 1000);
+    if (this.run.status === 'success') {
+      metrics.runLastSuccess.set({ job: this.job }, this.run.finished_at.getTime() / 1000);
+    }
+    await this.save(RUNS_TABLE, this.run, ['run_id']);
+  }
+}
+
+RunRecorder.SYSTEM_TABLE_PREFIX = SYSTEM_TABLE_PREFIX;
+RunRecorder.RUNS_TABLE = RUNS_TABLE;
+RunRecorder.RUN_ITEMS_TABLE = RUN_ITEMS_TABLE;
+RunRecorder.RunInterruptedError = RunInterruptedError;
+
+module.exports = RunRecorder;
@@ -1,29 +1,173 @@
-const logger = require('../utils/logger');
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ module: 'schema-handler' });
+const { describeRows, mergeDescriptors, sameDescriptor } = require('../database/column-types');
+
+const ROW_KEY_COLUMN = '_row_key';
+const SCHEMA_CHANGES_TABLE = 'jasper_fetch_schema_changes';
+
+const SCHEMA_CHANGES_DEFINITION = {
+  columns: {
+    change_id: 'key',
+    run_id: 'key',
+    table_name: 'string',
+    column_name: 'string',
+    change_type: 'string',
+    old_type: 'string',
+    new_type: 'string',
+    changed_at: 'datetime',
+  },
+  primaryKey: ['change_id'],
+  indexes: { table_idx: ['table_name', 'changed_at'] },
+};
 
 class SchemaHandler {
-  constructor(dbAdapter) {
+  // options.runId is stored with each schema change
+  constructor(dbAdapter, options = {}) {
     this.db = dbAdapter;
+    this.runId = options.runId || null;
+    this.tableLocks = new Map();
+    // Column descriptors already ensured per table, to skip unchanged batches
+    this.knownColumns = new Map();
+    this.historyReady = null;
+  }
+
+  // Schema changes are serialized per table, since concurrent units may create
+  // or alter the same table at the same time
+  withTableLock(tableName, fn) {
+    const previous = this.tableLocks.get(tableName) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.tableLocks.set(tableName, current);
+    return current;
+  }
+
+  // Make the table able to hold every row of the batch: column types are
+  // inferred over all rows, missing columns are added and existing columns
+  // widened where the new values no longer fit. Called for every batch; a
+  // batch that fits the columns already ensured costs no queries.
+  async ensureTable(tableName, rows, options = {}) {
+    if (!rows.length) return;
+    const columns = describeRows(rows);
+    if (options.naturalKey) {
+      // Key parts taken from the request params have no column to index
+      const present = options.naturalKey.filter((column) => column in columns);
+      options = { ...options, naturalKey: present.length ? present : null };
+    }
+
+    await this.withTableLock(tableName, async () => {
+      const known = this.knownColumns.get(tableName);
+      if (known && this.fitsColumns(known, columns)) return;
+
+      const exists = await this.db.tableExists(tableName);
+      if (!exists) {
+        await this.db.createTable(tableName, columns, options);
+        await this.recordChanges(tableName, 'create_table', [{ column: null, oldType: null, newType: null }]);
+      } else {
+        const added = await this.db.addMissingColumns(tableName, columns, options);
+        const widened = await this.db.widenColumns(tableName, columns, options);
+        await this.recordChanges(tableName, 'add_column', added);
+        await this.recordChanges(tableName, 'widen_column', widened);
+
+        if (!known) {
+          await this.db.ensureLineageIndexes(tableName);
+          if (options.uniqueKey) {
+            await this.db.ensureUniqueIndex(tableName, options.uniqueKey);
+          }
+          if (options.naturalKey) {
+            await this.db.ensureKeyIndex(tableName, options.naturalKey);
+          }
+        }
+      }
+
+      const merged = { ...known };
+      for (const [name, descriptor] of Object.entries(columns)) {
+        merged[name] = mergeDescriptors(merged[name] || null, descriptor);
+      }
+      this.knownColumns.set(tableName, merged);
+    });
+  }
+
+  fitsColumns(known, columns) {
+    return Object.entries(columns).every(([name, descriptor]) =>
+      name in known && sameDescriptor(mergeDescriptors(known[name], descriptor), known[name])
+    );
+  }
+
+  // Append schema changes to jasper_fetch_schema_changes. Failures are logged
+  // and never abort the fetch itself.
+  async recordChanges(tableName, changeType, changes) {
+    if (!changes.length) return;
+
+    try {
+      if (!this.historyReady) {
+        this.historyReady = this.db.ensureSystemTable(SCHEMA_CHANGES_TABLE, SCHEMA_CHANGES_DEFINITION);
+      }
+      await this.historyReady;
+
+      for (const change of changes) {
+        await this.db.saveRecord(SCHEMA_CHANGES_TABLE, {
+          change_id: crypto.randomUUID(),
+          run_id: this.runId,
+          table_name: tableName,
+          column_name: change.column,
+          change_type: changeType,
+          old_type: change.oldType,
+          new_type: change.newType,
+          changed_at: new Date(),
+        }, ['change_id']);
+      }
+    } catch (error) {
+      this.historyReady = null;
+      logger.warn(`Failed to record schema changes for ${tableName}`, { error: error.message });
+    }
   }
 
-  async ensureTable(tableName, sampleRow) {
-    if (!sampleRow) return;
+  // Hash the natural key of a row into a single fixed-length value. Returns null
+  // when a key column is missing, so the row is stored without deduplication
+  // rather than collapsed onto other rows.
+  buildRowKey(row, uniqueKey, params = {}) {
+    const parts = [];
+    for (const column of uniqueKey) {
+      const value = row[column] !== undefined ? row[column] : params[column];
+      if (value === undefined) return null;
+      parts.push(value === null ? null : String(value));
+    }
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+  }
 
-    const exists = await this.db.tableExists(tableName);
-    if (!exists) {
-      await this.db.createTable(tableName, sampleRow);
-    } else {
-      await this.db.addMissingColumns(tableName, sampleRow);
+  // Set _row_key on each row and drop earlier duplicates within the batch
+  // (Postgres rejects an upsert that touches the same row twice).
+  applyRowKeys(tableName, rows, uniqueKey, params = {}) {
+    const keyed = new Map();
+    const unkeyed = [];
+    for (const row of rows) {
+      const rowKey = this.buildRowKey(row, uniqueKey, params);
+      if (rowKey === null) {
+        unkeyed.push({ ...row, [ROW_KEY_COLUMN]: null });
+      } else {
+        keyed.delete(rowKey);
+        keyed.set(rowKey, { ...row, [ROW_KEY_COLUMN]: rowKey });
+      }
     }
+
+    if (unkeyed.length) {
+      logger.warn(`${unkeyed.length} rows for ${tableName} are missing key columns (${uniqueKey.join(', ')}), storing without deduplication`);
+    }
+    return [...keyed.values(), ...unkeyed];
   }
 
+  // Child rows get the parent's key as _parent_<parentKey>, plus the parent's
+  // own _parent_* columns, so rows nested several levels deep still point at
+  // every ancestor
   extractNestedData(rows, parentKey, nestedKey) {
     const nestedRows = [];
     for (const row of rows) {
       const nested = row[nestedKey];
       if (Array.isArray(nested)) {
+        const ancestors = Object.fromEntries(Object.entries(row).filter(([key]) => key.startsWith('_parent_')));
         for (const item of nested) {
           nestedRows.push({
             ...item,
+            ...ancestors,
             [`_parent_${parentKey}`]: row[parentKey],
           });
         }
@@ -32,13 +176,80 @@ class SchemaHandler {
     return nestedRows;
   }
 
-  flattenRow(row, prefix = '') {
+  // Undeclared array fields across the records, by their flattened column
+  // name: 'objects' for arrays of objects, 'scalars' for anything else.
+  // Empty arrays and keys in declared are skipped.
+  findArrays(records, declared = new Set()) {
+    const found = {};
+    const visit = (row, prefix) => {
+      for (const [key, value] of Object.entries(row)) {
+        const newKey = prefix ? `${prefix}_${key}` : key;
+        if (Array.isArray(value)) {
+          if (!value.length || (!prefix && declared.has(key))) continue;
+          const objects = value.every((item) => item !== null && typeof item === 'object' && !Array.isArray(item));
+          found[newKey] = objects && found[newKey] !== 'scalars' ? 'objects' : 'scalars';
+        } else if (value !== null && typeof value === 'object') {
+          visit(value, newKey);
+        }
+      }
+    };
+    for (const row of records) visit(row, '');
+    return found;
+  }
+
+  // The array under a flattened column name, looking into nested objects
+  arrayAt(row, key, prefix = '') {
+    for (const [name, value] of Object.entries(row)) {
+      const newKey = prefix ? `${prefix}_${name}` : name;
+      if (newKey === key && Array.isArray(value)) return value;
+      if (value !== null && typeof value === 'object' && !Array.isArray(value) && key.startsWith(`${newKey}_`)) {
+        const found = this.arrayAt(value, key, newKey);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  // Child rows of an undeclared array of objects. Each row gets the parent's
+  // key columns as _parent_<column> (plus the parent's own _parent_* columns)
+  // and its position in the array as _index; a parent that is itself an
+  // array element passes its _index on as _parent_<parentArray>_index.
+  // Returns the rows and their uniqueKey, null when the parent has no key.
+  extractArrayRows(records, key, parentKey, params = {}, parentArray = null) {
+    const linkColumns = (parentKey || []).map((column) => {
+      if (column.startsWith('_parent_')) return column;
+      if (column === '_index') return `_parent_${parentArray}_index`;
+      return `_parent_${column}`;
+    });
+    const rows = [];
+    for (const record of records) {
+      const items = this.arrayAt(record, key);
+      if (!items) continue;
+
+      const flat = this.flattenRow(record);
+      const link = Object.fromEntries(Object.entries(record).filter(([column]) => column.startsWith('_parent_')));
+      (parentKey || []).forEach((column, i) => {
+        link[linkColumns[i]] = flat[column] !== undefined ? flat[column] : params[column];
+      });
+      items.forEach((item, index) => {
+        if (item !== null && typeof item === 'object') rows.push({ ...item, ...link, _index: index });
+      });
+    }
+    return { rows, uniqueKey: parentKey ? [...linkColumns, '_index'] : null };
+  }
+
+  // Nested objects are flattened into <parent>_<key> columns. Arrays are
+  // dropped, except those named in jsonColumns, which are kept as arrays so
+  // their columns are created as JSON; the adapters serialize them on write.
+  flattenRow(row, prefix = '', jsonColumns = null) {
     const result = {};
     for (const [key, value] of Object.entries(row)) {
       const newKey = prefix ? `${prefix}_${key}` : key;
-      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-        Object.assign(result, this.flattenRow(value, newKey));
-      } else if (!Array.isArray(value)) {
+      if (Array.isArray(value)) {
+        if (jsonColumns && jsonColumns.has(newKey)) result[newKey] = value;
+      } else if (value !== null && typeof value === 'object') {
+        Object.assign(result, this.flattenRow(value, newKey, jsonColumns));
+      } else {
         result[newKey] = value;
       }
     }
@@ -46,4 +257,7 @@ class SchemaHandler {
   }
 }
 
+SchemaHandler.ROW_KEY_COLUMN = ROW_KEY_COLUMN;
+SchemaHandler.SCHEMA_CHANGES_TABLE = SCHEMA_CHANGES_TABLE;
+
 module.exports = SchemaHandler;
@@ -0,0 +1,147 @@
+const logger = require('../utils/logger').child({ module: 'table-refresh' });
+
+const STAGING_SUFFIX = '__staging';
+
+// Full refresh without exposing half-loaded tables: every unit of an endpoint
+// (office x date range) writes into <table>__staging, and its nested child
+// tables into <child>__staging. Once the last unit of the endpoint finished
+// the staging tables are swapped in atomically; if any unit failed they are
+// dropped and the live tables keep their previous data. Endpoints with
+// history are loaded in place: replacing their tables would lose the history.
+class TableRefresh {
+  constructor(dbAdapter) {
+    this.db = dbAdapter;
+    this.endpoints = new Map();
+  }
+
+  stagingName(tableName) {
+    return `${tableName}${STAGING_SUFFIX}`;
+  }
+
+  // The endpoint's table and its nested child tables, at every level
+  tableNames(endpoint) {
+    const nestedNames = (config) => (config.nestedTables || [])
+      .flatMap((nested) => [nested.childTable, ...nestedNames(nested)]);
+    return [endpoint.tableName, ...nestedNames(endpoint)];
+  }
+
+  // The endpoint definition with its tables pointed at the staging tables
+  stagingEndpoint(endpoint) {
+    const stagingNested = (config) => (config.nestedTables || []).map((nested) => ({
+      ...nested,
+      childTable: this.stagingName(nested.childTable),
+      nestedTables: stagingNested(nested),
+    }));
+    return {
+      ...endpoint,
+      tableName: this.stagingName(endpoint.tableName),
+      nestedTables: stagingNested(endpoint),
+    };
+  }
+
+  // Live and staging name of every table of the endpoint. Child tables
+  // created for undeclared arrays (AUTO_NEST_ARRAYS) are named after their
+  // staging parent, <table>__staging_<key>, and found by that prefix.
+  async tablePairs(endpoint) {
+    const pairs = [];
+    for (const table of this.tableNames(endpoint)) {
+      const staging = this.stagingName(table);
+      pairs.push({ table, staging });
+      for (const name of await this.db.listTables(`${staging}_`)) {
+        pairs.push({ table: `${table}${name.slice(staging.length)}`, staging: name });
+      }
+    }
+    return pairs;
+  }
+
+  // Register one unit of the endpoint; call for every unit before running any
+  add(endpoint) {
+    if (endpoint.history) return;
+    const state = this.endpoints.get(endpoint.tableName) || { endpoint, pending: 0, failed: false };
+    state.pending++;
+    this.endpoints.set(endpoint.tableName, state);
+  }
+
+  // Drop staging tables left behind by an earlier, interrupted refresh
+  async prepare() {
+    for (const { endpoint } of this.endpoints.values()) {
+      for (const { staging } of await this.tablePairs(endpoint)) {
+        await this.db.dropTable(staging);
+      }
+    }
+  }
+
+  // Run one unit of the endpoint; the last unit to finish swaps in or
+  // discards the staging tables
+  async run(endpoint, fn) {
+    if (endpoint.history) return fn(endpoint);
+    const state = this.endpoints.get(endpoint.tableName);
+    try {
+      return await fn(this.stagingEndpoint(endpoint));
+    } catch (error) {
+      state.failed = true;
+      throw error;
+    } finally {
+      state.pending--;
+      if (state.pending === 0) {
+        await (state.failed ? this.discard(endpoint) : this.commit(endpoint));
+      }
+    }
+  }
+
+  // Discard the staging tables of endpoints whose units did not all run,
+  // e.g. because a failed unit stopped the run; call once no unit is running
+  async discardPending() {
+    for (const state of this.endpoints.values()) {
+      if (state.pending === 0) continue;
+      state.pending = 0;
+      await this.discard(state.endpoint);
+    }
+  }
+
+  async commit(endpoint) {
+    if (!(await this.db.tableExists(this.stagingName(endpoint.tableName)))) {
+      logger.warn(`Refresh of ${endpoint.tableName} loaded no rows, keeping the current table`);
+      await this.discard(endpoint);
+      return;
+    }
+
+    const pairs = [];
+    const emptied = [];
+    for (const pair of await this.tablePairs(endpoint)) {
+      if (await this.db.tableExists(pair.staging)) {
+        pairs.push(pair);
+      } else if (await this.db.tableExists(pair.table)) {
+        // No parent row has children any more
+        emptied.push(pair.table);
+      }
+    }
+
+    try {
+      await this.db.swapTables(pairs);
+    } catch (error) {
+      logger.error(`Failed to swap in ${endpoint.tableName}, keeping the current table`, { error: error.message });
+      await this.discard(endpoint);
+      throw error;
+    }
+    for (const tableName of emptied) {
+      await this.db.deleteRecords(tableName);
+    }
+    logger.info(`Refreshed ${pairs.map((p) => p.table).join(', ')}`);
+  }
+
+  async discard(endpoint) {
+    logger.warn(`Discarding staging tables for ${endpoint.tableName}, current data left untouched`);
+    for (const { staging } of await this.tablePairs(endpoint)) {
+      try {
+        await this.db.dropTable(staging);
+      } catch (error) {
+        logger.warn(`Failed to drop ${staging}`, { error: error.message });
+      }
+    }
+  }
+}
+
+TableRefresh.STAGING_SUFFIX = STAGING_SUFFIX;
+
+module.exports = TableRefresh;
@@ -0,0 +1,75 @@
+const logger = require('../utils/logger').child({ module: 'watermark-store' });
+
+const WATERMARKS_TABLE = 'jasper_fetch_watermarks';
+
+const WATERMARKS_DEFINITION = {
+  columns: {
+    table_name: 'key',
+    office_code: 'key',
+    watermark: 'string',
+    run_id: 'key',
+    updated_at: 'datetime',
+  },
+  primaryKey: ['table_name', 'office_code'],
+};
+
+// Highest value of an incremental endpoint's watermark field (e.g.
+// updated_at) loaded so far, per endpoint and office. The next run asks the
+// API only for records changed since then. A watermark is saved only after
+// its unit loaded successfully, so a failed unit is fetched again from the
+// previous watermark.
+class WatermarkStore {
+  // options.full ignores stored watermarks (but still saves new ones)
+  constructor(dbAdapter, runId, options = {}) {
+    this.db = dbAdapter;
+    this.runId = runId;
+    this.full = Boolean(options.full);
+    this.watermarks = new Map();
+  }
+
+  async init() {
+    await this.db.ensureSystemTable(WATERMARKS_TABLE, WATERMARKS_DEFINITION);
+    for (const row of await this.db.selectRecords(WATERMARKS_TABLE)) {
+      this.watermarks.set(this.key({ tableName: row.table_name }, { office_code: row.office_code }), row.watermark);
+    }
+  }
+
+  key(endpoint, params) {
+    return `${endpoint.tableName}|${params.office_code || ''}`;
+  }
+
+  // Params for one unit: incremental endpoints get the stored watermark as
+  // their request parameter, unless this is a full run
+  fetchParams(endpoint, params) {
+    if (!endpoint.incremental || this.full) return params;
+
+    const watermark = this.watermarks.get(this.key(endpoint, params));
+    if (!watermark) return params;
+
+    logger.info(`Incremental ${endpoint.tableName}: records changed since ${watermark}`);
+    return { ...params, [endpoint.incremental.param]: watermark };
+  }
+
+  // Record the highest watermark a successful unit loaded (stats.watermark
+  // from Fetcher.fetchAndStore); watermarks never move backwards
+  async save(endpoint, params, stats) {
+    if (!endpoint.incremental || !stats || !stats.watermark) return;
+
+    const key = this.key(endpoint, params);
+    const current = this.watermarks.get(key);
+    if (current && current >= stats.watermark) return;
+
+    this.watermarks.set(key, stats.watermark);
+    await this.db.saveRecord(WATERMARKS_TABLE, {
+      table_name: endpoint.tableName,
+      office_code: params.office_code || '',
+      watermark: stats.watermark,
+      run_id: this.runId,
+      updated_at: new Date(),
+    }, ['table_name', 'office_code']);
+  }
+}
+
+WatermarkStore.WATERMARKS_TABLE = WATERMARKS_TABLE;
+
+module.exports = WatermarkStore;
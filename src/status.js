@@ -0,0 +1,47 @@
+const logger = require('./utils/logger').child({ module: 'status' });
+const { createAdapterWithTunnel, closeTunnel } = require('./database/adapter-factory');
+const RunRecorder = require('./services/run-recorder');
+const WatermarkStore = require('./services/watermark-store');
+
+const DEFAULT_LIMIT = 10;
+
+// Newest first; datetime columns come back as Date objects or strings
+function byStartedDesc(a, b) {
+  return String(b.started_at instanceof Date ? b.started_at.toISOString() : b.started_at)
+    .localeCompare(String(a.started_at instanceof Date ? a.started_at.toISOString() : a.started_at));
+}
+
+// The `status` command (see cli.js): the options.limit most recent runs from
+// jasper_fetch_runs, the units that failed in the latest one, and the
+// incremental sync watermarks
+async function main(options = {}) {
+  const limit = options.limit || DEFAULT_LIMIT;
+  const db = options.db || await createAdapterWithTunnel();
+  const status = { runs: [], failedItems: [], watermarks: [] };
+
+  try {
+    await db.connect();
+
+    if (await db.tableExists(RunRecorder.RUNS_TABLE)) {
+      status.runs = (await db.selectRecords(RunRecorder.RUNS_TABLE)).sort(byStartedDesc).slice(0, limit)
+        .map(({ params, ...run }) => run);
+    }
+    if (status.runs.length && await db.tableExists(RunRecorder.RUN_ITEMS_TABLE)) {
+      status.failedItems = (await db.selectRecords(RunRecorder.RUN_ITEMS_TABLE, { run_id: status.runs[0].run_id, status: 'failed' }))
+        .map(({ params, ...item }) => item);
+    }
+    if (await db.tableExists(WatermarkStore.WATERMARKS_TABLE)) {
+      status.watermarks = await db.selectRecords(WatermarkStore.WATERMARKS_TABLE);
+    }
+  } catch (error) {
+    logger.error('Failed to read run status', { error: error.message });
+    process.exitCode = 1;
+  } finally {
+    await db.disconnect();
+    await closeTunnel();
+  }
+
+  return status;
+}
+
+module.exports = { main };
@@ -0,0 +1,196 @@
+// Date ranges of report endpoints. All arithmetic is on calendar dates (UTC
+// Date objects standing in for plain dates), and "today" is taken in an
+// explicit timezone, so results do not depend on the host's TZ.
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+// Modes and the split their ranges get unless one is given
+const MODES = {
+  static: 'none',
+  yearly_by_month: 'month',
+  previous_year_by_month: 'month',
+  previous_month: 'none',
+  current_month: 'none',
+  ytd_by_month: 'month',
+  last_n_days: 'none',
+  last_n_months: 'month',
+  fiscal_year_by_month: 'month',
+  previous_fiscal_year_by_month: 'month',
+  fiscal_ytd_by_month: 'month',
+};
+
+const DATE_RANGE_MODES = Object.keys(MODES);
+const SPLITS = ['none', 'day', 'week', 'month', 'quarter'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Month is 0-based and may overflow either way, as with Date.UTC
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD -> Date; rejects dates that do not exist, like 2023-02-29
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && utc(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!date || formatDate(date) !== value) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+function addDays(date, days) {
+  return utc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Today's date (YYYY-MM-DD) in timeZone at the instant now
+function today(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(now);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// First day of the period after the one date falls in. Weeks start on Monday.
+function nextPeriod(date, unit) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (unit === 'day') return addDays(date, 1);
+  if (unit === 'week') return addDays(date, 7 - ((date.getUTCDay() + 6) % 7));
+  if (unit === 'month') return utc(year, month + 1, 1);
+  return utc(year, month - (month % 3) + 3, 1);
+}
+
+// 2024-03-05, 2024-W10 (ISO week), 2024-03 or 2024-Q1
+function periodLabel(date, unit) {
+  const month = date.getUTCMonth();
+  if (unit === 'day') return formatDate(date);
+  if (unit === 'month') return `${date.getUTCFullYear()}-${pad(month + 1)}`;
+  if (unit === 'quarter') return `${date.getUTCFullYear()}-Q${Math.floor(month / 3) + 1}`;
+
+  // The ISO week year is the year of the week's Thursday
+  const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - utc(year, 0, 1)) / 86400000 / 7) + 1;
+  return `${year}-W${pad(week)}`;
+}
+
+// from to to (inclusive, YYYY-MM-DD) as one range called label, or split by
+// day, week, month or quarter. The first and last pieces are cut to from and to.
+function splitRange(from, to, unit = 'none', label = 'static') {
+  if (!SPLITS.includes(unit)) {
+    throw new Error(`Unknown date range split: ${unit} (one of ${SPLITS.join(', ')})`);
+  }
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (start > end) throw new Error(`Date range ${from} to ${to} ends before it starts`);
+  if (unit === 'none') return [{ dateFrom: from, dateTo: to, label }];
+
+  const ranges = [];
+  for (let cursor = start; cursor <= end;) {
+    const next = nextPeriod(cursor, unit);
+    const last = addDays(next, -1);
+    ranges.push({
+      dateFrom: formatDate(cursor),
+      dateTo: formatDate(last < end ? last : end),
+      label: periodLabel(cursor, unit),
+    });
+    cursor = next;
+  }
+  return ranges;
+}
+
+// Whole months from fromMonth to toMonth (YYYY-MM, inclusive)
+function monthRanges(fromMonth, toMonth) {
+  const [endYear, endMonth] = toMonth.split('-').map(Number);
+  return splitRange(`${fromMonth}-01`, formatDate(utc(endYear, endMonth, 0)), 'month');
+}
+
+// Ranges of a mode (see MODES). settings:
+//   from, to         static range (YYYY-MM-DD)
+//   year             yearly_by_month year, fiscal_year_by_month fiscal year
+//                    (named after the calendar year it starts in)
+//   days, months     last_n_days, last_n_months (months before the current one)
+//   fiscalYearStart  first month of the fiscal year, 1-12 (default 1)
+//   split            none, day, week, month or quarter instead of the mode's own
+//   timeZone         where "today" is taken (default Asia/Jakarta)
+//   now              the current instant, for tests
+// Static ranges without from or to are returned as they are; the run plan
+// skips them.
+function dateRanges(mode, settings = {}) {
+  if (!MODES[mode]) {
+    throw new Error(`Unknown date range mode: ${mode} (one of ${DATE_RANGE_MODES.join(', ')})`);
+  }
+  const split = settings.split || MODES[mode];
+  const current = parseDate(today(settings.timeZone || DEFAULT_TIMEZONE, settings.now));
+  const year = current.getUTCFullYear();
+  const month = current.getUTCMonth();
+  const range = (start, end, label) => splitRange(formatDate(start), formatDate(end), split, label);
+
+  // Fiscal year containing the current date, and the bounds of fiscal year fy
+  const fiscalStart = (settings.fiscalYearStart || 1) - 1;
+  const currentFiscalYear = month >= fiscalStart ? year : year - 1;
+  const fiscalYear = (fy) => [utc(fy, fiscalStart, 1), utc(fy + 1, fiscalStart, 0)];
+  const fiscalLabel = (fy) => (fiscalStart === 0 ? `FY${fy}` : `FY${fy}-${pad((fy + 1) % 100)}`);
+
+  switch (mode) {
+    case 'yearly_by_month': {
+      const selected = settings.year || year;
+      return range(utc(selected, 0, 1), utc(selected, 11, 31), String(selected));
+    }
+    case 'previous_year_by_month':
+      return range(utc(year - 1, 0, 1), utc(year - 1, 11, 31), String(year - 1));
+    case 'previous_month':
+      return range(utc(year, month - 1, 1), utc(year, month, 0), 'previous_month');
+    case 'current_month':
+      return range(utc(year, month, 1), current, 'current_month');
+    case 'ytd_by_month':
+      return range(utc(year, 0, 1), current, `ytd_${year}`);
+    case 'last_n_days': {
+      const days = settings.days || 30;
+      return range(addDays(current, -days), current, `last_${days}_days`);
+    }
+    case 'last_n_months': {
+      const months = settings.months || 12;
+      return range(utc(year, month - months, 1), utc(year, month, 0), `last_${months}_months`);
+    }
+    case 'fiscal_year_by_month': {
+      const selected = settings.year || currentFiscalYear;
+      return range(...fiscalYear(selected), fiscalLabel(selected));
+    }
+    case 'previous_fiscal_year_by_month':
+      return range(...fiscalYear(currentFiscalYear - 1), fiscalLabel(currentFiscalYear - 1));
+    case 'fiscal_ytd_by_month':
+      return range(fiscalYear(currentFiscalYear)[0], current, `${fiscalLabel(currentFiscalYear)}_ytd`);
+    default:
+      if (!settings.from || !settings.to) {
+        return [{ dateFrom: settings.from, dateTo: settings.to, label: 'static' }];
+      }
+      return splitRange(settings.from, settings.to, split, 'static');
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_RANGE_MODES,
+  SPLITS,
+  dateRanges,
+  splitRange,
+  monthRanges,
+  today,
+  parseDate,
+  isValidTimezone,
+};
@@ -1,3 +1,7 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -5,26 +9,264 @@ const LOG_LEVELS = {
   ERROR: 3,
 };
 
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.INFO;
+// human: "[time] [LEVEL] [module key=value ...] message {data}";
+// json: one object per line with time, level, msg, the context and the data
+const LOG_FORMATS = ['human', 'json'];
+const ROTATIONS = ['none', 'hourly', 'daily'];
+
+const REDACTED = '[REDACTED]';
+// Values under keys like these are never written
+const SECRET_KEY = /pass(word|wd|phrase)?$|secret|token|api[-_]?key|private[-_]?key|^authorization$|^cookie$/i;
+// Environment variables holding secrets; their values are masked wherever
+// they show up, e.g. inside an error message or a URL
+const SECRET_ENV = [
+  'JASPER_API_KEY', 'DB_PASSWORD', 'SSH_PASSWORD', 'SSH_PRIVATE_KEY',
+  'SMTP_PASSWORD', 'ADMIN_TOKEN', 'NOTIFY_WEBHOOK_URL',
+];
+// user:password@ in connection strings and URLs
+const URL_CREDENTIALS = /(\/\/[^/\s:@]+:)[^/\s@]+@/g;
+// Nested data deeper than this is cut off rather than walked
+const MAX_DEPTH = 8;
+
+// Context of the unit being run (run_id, office, endpoint, range, page),
+// added to every line logged while it runs; see withContext()
+const scope = new AsyncLocalStorage();
+const secrets = new Set();
+
+let settings;
+let file = null;
+// Console lines go to stdout unless a command prints its result there (--json)
+let output = console.log;
 
-function formatTime() {
-  return new Date().toISOString();
+// "10m", "512k", "1g" or a number of bytes
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid log file size: ${value}`);
+  const unit = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * unit);
 }
 
-function log(level, message, data = null) {
-  if (LOG_LEVELS[level] < currentLevel) return;
+const DEFAULTS = {
+  level: 'INFO',
+  format: 'human',
+  fileFormat: 'json',
+  maxSize: '10m',
+  rotate: 'daily',
+};
+
+// LOG_* from the environment, with overrides (used by tests). Invalid values
+// throw, or with a problems list are reported there and replaced by defaults.
+function readSettings(overrides = {}, problems = null) {
+  const env = process.env;
+  const merged = {
+    level: (env.LOG_LEVEL || DEFAULTS.level).toUpperCase(),
+    format: (env.LOG_FORMAT || DEFAULTS.format).toLowerCase(),
+    file: env.LOG_FILE || null,
+    fileFormat: (env.LOG_FILE_FORMAT || DEFAULTS.fileFormat).toLowerCase(),
+    maxSize: env.LOG_FILE_MAX_SIZE || DEFAULTS.maxSize,
+    rotate: (env.LOG_FILE_ROTATE || DEFAULTS.rotate).toLowerCase(),
+    maxFiles: parseInt(env.LOG_FILE_KEEP || '7', 10),
+    ...overrides,
+  };
 
-  const prefix = `[${formatTime()}] [${level}]`;
-  if (data) {
-    console.log(prefix, message, JSON.stringify(data, null, 2));
-  } else {
-    console.log(prefix, message);
+  const invalid = (key, message) => {
+    if (!problems) throw new Error(message);
+    problems.push(message);
+    merged[key] = DEFAULTS[key];
+  };
+  if (!(merged.level in LOG_LEVELS)) {
+    invalid('level', `LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')}, got ${merged.level}`);
+  }
+  for (const [key, name] of [['format', 'LOG_FORMAT'], ['fileFormat', 'LOG_FILE_FORMAT']]) {
+    if (!LOG_FORMATS.includes(merged[key])) invalid(key, `${name} must be one of ${LOG_FORMATS.join(', ')}, got ${merged[key]}`);
   }
+  if (!ROTATIONS.includes(merged.rotate)) {
+    invalid('rotate', `LOG_FILE_ROTATE must be one of ${ROTATIONS.join(', ')}, got ${merged.rotate}`);
+  }
+  try {
+    merged.maxSize = parseSize(merged.maxSize);
+  } catch (error) {
+    invalid('maxSize', error.message);
+    merged.maxSize = parseSize(DEFAULTS.maxSize);
+  }
+  return merged;
 }
 
-module.exports = {
-  debug: (msg, data) => log('DEBUG', msg, data),
-  info: (msg, data) => log('INFO', msg, data),
-  warn: (msg, data) => log('WARN', msg, data),
-  error: (msg, data) => log('ERROR', msg, data),
-};
+// Log file appended to synchronously, so nothing is lost when the process
+// exits. It is rotated once it would grow past maxSize (0: never) or when
+// the hour or day changes: jasper.log moves to jasper.log.1, .1 to .2, and
+// so on, keeping maxFiles old files.
+class LogFile {
+  constructor(filePath, options) {
+    this.path = path.resolve(filePath);
+    this.maxSize = options.maxSize;
+    this.rotate = options.rotate;
+    this.maxFiles = options.maxFiles;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.open();
+  }
+
+  // Period a time falls in; a change of period rotates the file
+  period(time) {
+    if (this.rotate === 'none') return null;
+    const iso = time.toISOString();
+    return this.rotate === 'hourly' ? iso.slice(0, 13) : iso.slice(0, 10);
+  }
+
+  open() {
+    this.fd = fs.openSync(this.path, 'a');
+    const stat = fs.fstatSync(this.fd);
+    this.size = stat.size;
+    // A file left by an earlier process belongs to the period it was last written in
+    this.currentPeriod = this.period(stat.size ? stat.mtime : new Date());
+  }
+
+  shift() {
+    fs.closeSync(this.fd);
+    for (let n = this.maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(`${this.path}.${n}`)) fs.renameSync(`${this.path}.${n}`, `${this.path}.${n + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.path, `${this.path}.1`);
+    } else {
+      fs.unlinkSync(this.path);
+    }
+    this.open();
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line) + 1;
+    const tooBig = this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize;
+    if (tooBig || this.period(new Date()) !== this.currentPeriod) this.shift();
+    fs.writeSync(this.fd, `${line}\n`);
+    this.size += bytes;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+// (Re)apply settings; closes the current log file
+function configure(overrides = {}) {
+  settings = readSettings(overrides);
+  if (file) file.close();
+  file = settings.file ? new LogFile(settings.file, settings) : null;
+  if (overrides.output) output = overrides.output;
+}
+
+// Mask a secret (an API key from the config file, say) in everything logged
+function addSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) secrets.add(value);
+}
+
+function maskText(text) {
+  let masked = text.replace(URL_CREDENTIALS, `$1${REDACTED}@`);
+  for (const name of SECRET_ENV) {
+    const value = process.env[name];
+    if (value && value.length >= 4) masked = masked.split(value).join(REDACTED);
+  }
+  for (const value of secrets) masked = masked.split(value).join(REDACTED);
+  return masked;
+}
+
+// Copy of data with secret keys and values masked; Errors become their message
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return maskText(value);
+  if (value instanceof Error) return maskText(value.message);
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value) || depth >= MAX_DEPTH) return '[...]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+function formatJson(time, level, message, context, data) {
+  const entry = { time, level, msg: message };
+  // Objects are merged into the line, anything else goes under data
+  const fields = data && typeof data === 'object' && !Array.isArray(data) ? data : (data === null ? {} : { data });
+  for (const [key, value] of Object.entries({ ...context, ...fields })) {
+    if (!(key in entry)) entry[key] = value;
+  }
+  return JSON.stringify(entry);
+}
+
+// run_id is left out of human lines: runs log it once when they start
+function formatHuman(time, level, message, context, data) {
+  const { module: name, run_id: runId, ...rest } = context;
+  const tags = [name, ...Object.entries(rest).map(([key, value]) => `${key}=${value}`)].filter(Boolean);
+  const parts = [`[${time}] [${level}]`];
+  if (tags.length) parts.push(`[${tags.join(' ')}]`);
+  parts.push(message);
+  if (data !== null) parts.push(JSON.stringify(data));
+  return parts.join(' ');
+}
+
+const FORMATTERS = { human: formatHuman, json: formatJson };
+
+function log(level, bound, message, data = null) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) return;
+
+  const time = new Date().toISOString();
+  const context = redact({ ...bound, ...scope.getStore() });
+  const text = maskText(String(message));
+  const details = data === null || data === undefined ? null : redact(data);
+
+  output(FORMATTERS[settings.format](time, level, text, context, details));
+  if (file) {
+    try {
+      file.write(FORMATTERS[settings.fileFormat](time, level, text, context, details));
+    } catch (error) {
+      file = null;
+      console.error(`[${time}] [ERROR] Log file disabled: ${error.message}`);
+    }
+  }
+}
+
+// A logger whose lines carry context, e.g. logger.child({ module: 'fetcher' });
+// children of children merge their context
+function createLogger(bound) {
+  return {
+    debug: (msg, data) => log('DEBUG', bound, msg, data),
+    info: (msg, data) => log('INFO', bound, msg, data),
+    warn: (msg, data) => log('WARN', bound, msg, data),
+    error: (msg, data) => log('ERROR', bound, msg, data),
+    child: (context) => createLogger({ ...bound, ...context }),
+    // Run fn with context added to every line logged until it settles, by
+    // any logger; nested calls merge their context
+    withContext: (context, fn) => scope.run({ ...scope.getStore(), ...context }, fn),
+    configure,
+    addSecret,
+    redact: (data) => redact(data),
+    useStderr: () => {
+      output = console.error;
+    },
+  };
+}
+
+// Every command loads the logger first, so bad LOG_* settings must not crash
+// it: they fall back to the defaults with one warning
+function configureFromEnv() {
+  const problems = [];
+  settings = readSettings({}, problems);
+  try {
+    file = settings.file ? new LogFile(settings.file, settings) : null;
+  } catch (error) {
+    problems.push(`LOG_FILE cannot be written: ${error.message}`);
+  }
+  if (problems.length) {
+    console.error(`[${new Date().toISOString()}] [WARN] Ignoring invalid log settings: ${problems.join('; ')}`);
+  }
+}
+
+configureFromEnv();
+
+module.exports = createLogger({});
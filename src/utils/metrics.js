@@ -0,0 +1,266 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const logger = require('./logger');
+
+// Prometheus metrics of the fetcher, kept in memory per process and rendered
+// in the Prometheus text exposition format. The scheduler serves them over
+// HTTP (serve); one-shot commands write them to a file for node_exporter's
+// textfile collector (writeTextfile).
+
+// Histogram buckets in seconds, from a fast insert to a slow report page
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// A metric and its series, one per combination of label values. Every label
+// name must be given; null and undefined values become "".
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const unknown = Object.keys(labels).filter((label) => !this.labelNames.includes(label));
+    if (unknown.length) throw new Error(`Unknown labels for ${this.name}: ${unknown.join(', ')}`);
+
+    const values = this.labelNames.map((label) => (labels[label] === null || labels[label] === undefined ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const named = Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]]));
+      this.series.set(key, create(named));
+    }
+    return this.series.get(key);
+  }
+
+  // Value of one series, for tests and summaries
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.labelNames.map((label) => String(labels[label] ?? ''))));
+    return series ? series.value : undefined;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`${this.name} is a counter and cannot go down`);
+    this.seriesFor(labels, (named) => ({ labels: named, value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, (named) => ({ labels: named, value: 0 })).value = value;
+  }
+
+  // Unix time in seconds, the Prometheus convention for timestamps
+  setToCurrentTime(labels = {}) {
+    this.set(labels, Date.now() / 1000);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, (named) => ({
+      labels: named,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      value: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    // value holds the count, so get() returns the number of observations
+    series.value++;
+  }
+
+  // Start timing; the returned function observes the seconds elapsed, with
+  // labels only known at the end (e.g. the HTTP status) merged in
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.value}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.value}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Metrics without any series yet are left out
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.series.size) lines.push(...metric.render());
+    }
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+// The process-wide registry and the fetcher's metrics
+const registry = new Registry();
+
+const metrics = {
+  apiRequestSeconds: registry.histogram(
+    'jasper_api_request_duration_seconds',
+    'Jasper API request latency by endpoint path and HTTP status ("error" when no response came)',
+    ['endpoint', 'status']
+  ),
+  apiRetries: registry.counter('jasper_api_retries_total', 'Jasper API requests retried after a failure', ['endpoint']),
+  pages: registry.counter('jasper_fetch_pages_total', 'API pages fetched', ['table']),
+  rowsFetched: registry.counter('jasper_fetch_rows_fetched_total', 'Records fetched from the API', ['table']),
+  rowsStored: registry.counter('jasper_fetch_rows_stored_total', 'Rows written, per table (nested tables included)', ['table']),
+  nestedRowsStored: registry.counter(
+    'jasper_fetch_nested_rows_stored_total',
+    'Rows written into nested tables, by endpoint table and nested table',
+    ['table', 'nested_table']
+  ),
+  dbWriteSeconds: registry.histogram(
+    'jasper_db_write_duration_seconds',
+    'Database write latency per batch, by table and operation (insert, upsert, bulk_load)',
+    ['table', 'operation']
+  ),
+  schemaChanges: registry.counter(
+    'jasper_db_schema_changes_total',
+    'Tables created and columns added or widened',
+    ['table', 'change']
+  ),
+  units: registry.counter('jasper_fetch_units_total', 'Endpoint x office x date range units finished, by status', ['table', 'office', 'status']),
+  unitSeconds: registry.gauge('jasper_fetch_unit_duration_seconds', 'Duration of the last finished unit of each table and office', ['table', 'office']),
+  unitLastSuccess: registry.gauge(
+    'jasper_fetch_last_success_timestamp_seconds',
+    'Unix time the last unit of each table and office succeeded',
+    ['table', 'office']
+  ),
+  runSeconds: registry.gauge('jasper_run_duration_seconds', 'Duration of the last run of each job', ['job']),
+  runLastSuccess: registry.gauge(
+    'jasper_run_last_success_timestamp_seconds',
+    'Unix time the last run of each job finished without failed units',
+    ['job']
+  ),
+};
+
+// Write the metrics for node_exporter's textfile collector. The file is
+// replaced in one rename, so the collector never reads half of it.
+function writeTextfile(filePath) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, registry.render());
+  fs.renameSync(tmpPath, filePath);
+  logger.info(`Metrics written to ${filePath}`);
+}
+
+// Serve GET /metrics on port (0 picks a free one) and host (default
+// METRICS_HOST or 127.0.0.1). Resolves to { url, stop() }.
+async function serve(port, host = process.env.METRICS_HOST || '127.0.0.1') {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(registry.render());
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const url = `http://${host}:${server.address().port}/metrics`;
+  logger.info(`Metrics served on ${url}`);
+  return {
+    url,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Registry,
+  registry,
+  metrics,
+  writeTextfile,
+  serve,
+};
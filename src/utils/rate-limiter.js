@@ -0,0 +1,49 @@
+// Token bucket limiting how many requests per second are sent to one host.
+// Callers are served in the order they asked for a token.
+class TokenBucket {
+  constructor(ratePerSecond, capacity = ratePerSecond) {
+    this.rate = ratePerSecond;
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  async take() {
+    this.refill();
+    if (this.tokens < 1) {
+      const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      await new Promise((resolve) => setTimeout(resolve, wait));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn;
+    return turn;
+  }
+}
+
+// One bucket per host, shared by every ApiClient talking to it
+const buckets = new Map();
+
+function getHostLimiter(baseURL, ratePerSecond) {
+  if (!ratePerSecond || ratePerSecond <= 0) return null;
+
+  const host = new URL(baseURL).host;
+  if (!buckets.has(host)) {
+    buckets.set(host, new TokenBucket(ratePerSecond));
+  }
+  return buckets.get(host);
+}
+
+module.exports = { TokenBucket, getHostLimiter };
@@ -0,0 +1,47 @@
+// Units of a run: one per office x endpoint, and for endpoints that require
+// dates one per date range as well. offices may contain null for runs without
+// an office code. Endpoints listed in shared are not office-specific and only
+// fetched for the first office. Date units without a complete range are
+// returned in skipped.
+function buildPlan({ endpoints, offices = [null], dateRanges = [], shared = [] }) {
+  const units = [];
+  const skipped = [];
+
+  for (const [index, office] of offices.entries()) {
+    for (const endpoint of endpoints) {
+      if (index > 0 && shared.includes(endpoint.tableName)) continue;
+      const params = { ...endpoint.params };
+      if (office) params.office_code = office;
+
+      if (!endpoint.requiresDate) {
+        units.push({ endpoint, params, range: null });
+        continue;
+      }
+
+      for (const range of dateRanges) {
+        if (!range.dateFrom || !range.dateTo) {
+          skipped.push({ endpoint, params, range, reason: 'DATE_FROM and DATE_TO required' });
+          continue;
+        }
+        units.push({ endpoint, params: { ...params, date_from: range.dateFrom, date_to: range.dateTo }, range });
+      }
+    }
+  }
+
+  return { units, skipped };
+}
+
+// Planned units as plain rows, for --dry-run output
+function describePlan({ units, skipped }) {
+  const describe = (unit, status) => ({
+    table: unit.endpoint.tableName,
+    office: unit.params.office_code || null,
+    range: unit.range ? unit.range.label : null,
+    date_from: unit.params.date_from || null,
+    date_to: unit.params.date_to || null,
+    status,
+  });
+  return [...units.map((unit) => describe(unit, 'planned')), ...skipped.map((unit) => describe(unit, 'skipped'))];
+}
+
+module.exports = { buildPlan, describePlan };
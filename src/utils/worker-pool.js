@@ -0,0 +1,25 @@
+// Run worker(item) for every item with at most `concurrency` running at once.
+// After the first rejection no new items are started; the error is rethrown
+// once the items already in flight have settled. Once signal (an AbortSignal)
+// is aborted no new items are started either.
+async function runPool(items, concurrency, worker, signal = null) {
+  let next = 0;
+  let firstError = null;
+  const size = Math.max(1, Math.min(concurrency || 1, items.length));
+
+  const lanes = Array.from({ length: size }, async () => {
+    while (next < items.length && !firstError && !(signal && signal.aborted)) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (error) {
+        if (!firstError) firstError = error;
+      }
+    }
+  });
+
+  await Promise.all(lanes);
+  if (firstError) throw firstError;
+}
+
+module.exports = { runPool };
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'ERROR';
+
+const mysql = require('mysql2');
+const { prepareValue } = require('pg/lib/utils');
+const { describeRows } = require('../../src/database/column-types');
+const MySQLAdapter = require('../../src/database/mysql-adapter');
+const PostgresAdapter = require('../../src/database/postgres-adapter');
+const SQLiteAdapter = require('../../src/database/sqlite-adapter');
+const Fetcher = require('../../src/services/fetcher');
+
+async function withSQLite(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-bulk-'));
+  const db = new SQLiteAdapter({ filename: path.join(tmpDir, 'jasper.sqlite') });
+  await db.connect();
+  try {
+    await fn(db);
+  } finally {
+    await db.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+test('escapes values for COPY and LOAD DATA text format', () => {
+  const row = { note: 'a\tb\nc\\d', missing: null, flag: true, amount: 12.5 };
+  const columns = ['note', 'missing', 'flag', 'amount'];
+
+  assert.equal(new PostgresAdapter({}).copyLine(row, columns), 'a\\tb\\nc\\\\d\t\\N\ttrue\t12.5\n');
+  assert.equal(new MySQLAdapter({}).loadDataLine(row, columns), 'a\\tb\\nc\\\\d\t\\N\t1\t12.5\n');
+});
+
+test('bulk loads write Dates as the INSERT path does, in local time', () => {
+  const timeZone = process.env.TZ;
+  process.env.TZ = 'Asia/Jakarta';
+  try {
+    const row = { _valid_from: new Date('2024-01-01T03:04:05.678Z') };
+    const loaded = new MySQLAdapter({}).loadDataLine(row, ['_valid_from']);
+    const copied = new PostgresAdapter({}).copyLine(row, ['_valid_from']);
+    assert.equal(loaded, '2024-01-01 10:04:05.678\n');
+    assert.equal(copied, loaded);
+
+    // What mysql2 and pg send for the same value on INSERT and UPDATE
+    assert.equal(mysql.format('?', [row._valid_from]), `'${loaded.trim()}'`);
+    assert.equal(prepareValue(row._valid_from), `${loaded.trim().replace(' ', 'T')}+07:00`);
+  } finally {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  }
+});
+
+test('bulk load upserts on the key columns', async () => {
+  await withSQLite(async (db) => {
+    const rows = [
+      { _row_key: 'a', name: 'first' },
+      { _row_key: 'b', name: 'second' },
+    ];
+    await db.createTable('jasper_bulk', describeRows(rows), { uniqueKey: ['_row_key'] });
+
+    await db.bulkLoad('jasper_bulk', rows, ['_row_key']);
+    await db.bulkLoad('jasper_bulk', [{ _row_key: 'a', name: 'updated' }, { _row_key: 'c', name: 'third' }], ['_row_key']);
+
+    const stored = await db.selectRecords('jasper_bulk');
+    assert.deepEqual(stored.map((r) => [r._row_key, r.name]).sort(), [['a', 'updated'], ['b', 'second'], ['c', 'third']]);
+  });
+});
+
+test('pages above the threshold are bulk loaded in one call per page', async () => {
+  await withSQLite(async (db) => {
+    const records = Array.from({ length: 25 }, (_, i) => ({ code: `C${i}`, amount: i }));
+    const api = { getWithRetry: async () => records };
+    const loads = [];
+    const bulkLoad = db.bulkLoad.bind(db);
+    db.bulkLoad = (tableName, rows, keyColumns, options) => {
+      loads.push([rows.length, options.batchSize]);
+      return bulkLoad(tableName, rows, keyColumns, options);
+    };
+
+    const fetcher = new Fetcher(api, db, { bulkLoadThreshold: 20 });
+    const stats = await fetcher.fetchAndStore({ path: '/report', tableName: 'jasper_bulk_report', uniqueKey: ['code'], batchSize: 10 });
+
+    assert.equal(stats.rowsStored, 25);
+    assert.deepEqual(loads, [[25, 10]]);
+    assert.equal((await db.selectRecords('jasper_bulk_report')).length, 25);
+  });
+});
+
+test('MySQL without local_infile writes a bulk page as INSERTs of batchSize rows', async () => {
+  const db = new MySQLAdapter({});
+  db.capabilities.localInfile = false;
+  const upserts = [];
+  db.upsertBatch = async (tableName, rows) => upserts.push(rows.length);
+
+  const rows = Array.from({ length: 25 }, (_, i) => ({ _row_key: `k${i}` }));
+  await db.bulkLoad('jasper_bulk', rows, ['_row_key'], { batchSize: 10 });
+  assert.deepEqual(upserts, [10, 10, 5]);
+});
@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'ERROR';
+
+const { describeRows } = require('../../src/database/column-types');
+const MySQLAdapter = require('../../src/database/mysql-adapter');
+const PostgresAdapter = require('../../src/database/postgres-adapter');
+const SQLiteAdapter = require('../../src/database/sqlite-adapter');
+const SchemaHandler = require('../../src/services/schema-handler');
+
+// Stand-in pool that answers the column listing and records every statement
+function fakePool(columns) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql) {
+      queries.push(sql);
+      if (/information_schema\.columns/i.test(sql)) {
+        const rows = Object.entries(columns).map(([name, type]) => ({ name, type }));
+        return sql.includes('$1') ? { rows } : [rows];
+      }
+      return sql.includes('$1') ? { rows: [] } : [[]];
+    },
+  };
+}
+
+test('infers types over the whole batch, not the first row', () => {
+  const columns = describeRows([
+    { note: null, name: 'short', amount: 1, day: '2024-01-01', flag: true },
+    { note: 'text', name: 'x'.repeat(300), amount: 123456789012345.5, day: 'n/a', flag: 2 },
+  ]);
+  const mysql = new MySQLAdapter({});
+
+  assert.equal(mysql.columnType('note', columns.note), 'VARCHAR(255)');
+  assert.equal(mysql.columnType('name', columns.name), 'TEXT');
+  assert.equal(mysql.columnType('amount', columns.amount), 'DECIMAL(21,6)');
+  assert.equal(mysql.columnType('day', columns.day), 'VARCHAR(255)');
+  assert.equal(mysql.columnType('flag', columns.flag), 'DECIMAL(20,6)');
+  assert.equal(mysql.columnType('_row_key', describeRows([{ _row_key: null }])._row_key, { uniqueKey: ['_row_key'] }), 'VARCHAR(255)');
+});
+
+test('stores objects such as _raw as JSON', () => {
+  const raw = describeRows([{ _raw: { code: 'A', items: [1, 2] } }])._raw;
+
+  assert.equal(new MySQLAdapter({}).columnType('_raw', raw), 'JSON');
+  assert.equal(new PostgresAdapter({}).columnType('_raw', raw), 'JSONB');
+  assert.equal(new PostgresAdapter({}).copyLine({ _raw: { code: 'A' } }, ['_raw']), '{"code":"A"}\n');
+});
+
+test('widens MySQL columns that no longer fit and leaves the rest alone', async () => {
+  const mysql = new MySQLAdapter({ database: 'jasper' });
+  mysql.pool = fakePool({
+    name: 'VARCHAR(255)',
+    day: 'DATE',
+    amount: 'DECIMAL(20,6)',
+    code: 'VARCHAR(255)',
+    total: 'BIGINT',
+    _date_from: 'DATE',
+  });
+
+  const widened = await mysql.widenColumns('jasper_item', describeRows([
+    { name: 'x'.repeat(300), day: 'garbage', amount: 0.12345678, code: 'A1', total: 'n/a', _date_from: 'bad' },
+  ]));
+
+  assert.deepEqual(widened, [
+    { column: 'name', oldType: 'VARCHAR(255)', newType: 'TEXT' },
+    { column: 'day', oldType: 'DATE', newType: 'VARCHAR(255)' },
+    { column: 'amount', oldType: 'DECIMAL(20,6)', newType: 'DECIMAL(22,8)' },
+  ]);
+  assert.ok(mysql.pool.queries.includes('ALTER TABLE `jasper_item` MODIFY `amount` DECIMAL(22,8)'));
+});
+
+test('widens Postgres columns with an explicit conversion', async () => {
+  const pg = new PostgresAdapter({});
+  pg.pool = fakePool({ flag: 'BOOLEAN', day: 'DATE', amount: 'NUMERIC(20,6)' });
+
+  const widened = await pg.widenColumns('jasper_item', describeRows([
+    { flag: 1.5, day: '2024-01-01 10:00:00', amount: 1e15 },
+  ]));
+
+  assert.deepEqual(widened.map((c) => c.newType), ['NUMERIC(20,6)', 'TIMESTAMP', 'NUMERIC(22,6)']);
+  assert.ok(pg.pool.queries.includes(
+    'ALTER TABLE "jasper_item" ALTER COLUMN "flag" TYPE NUMERIC(20,6) USING "flag"::int::NUMERIC(20,6)'
+  ));
+});
+
+test('adds columns from later batches and records schema changes', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-schema-'));
+  const db = new SQLiteAdapter({ filename: path.join(tmpDir, 'jasper.sqlite') });
+  await db.connect();
+
+  try {
+    const schema = new SchemaHandler(db, { runId: 'run-1' });
+    await schema.ensureTable('jasper_item', [{ item_code: 'A' }]);
+    await schema.ensureTable('jasper_item', [{ item_code: 'B' }]);
+    await schema.ensureTable('jasper_item', [{ item_code: 'C' }, { item_code: 'D', price: 9.5 }]);
+
+    const columns = (await db.getColumns('jasper_item')).map((c) => c.name);
+    assert.ok(columns.includes('price'));
+
+    const changes = await db.selectRecords(SchemaHandler.SCHEMA_CHANGES_TABLE, { table_name: 'jasper_item' });
+    assert.deepEqual(changes.map((c) => [c.change_type, c.column_name, c.new_type]).sort(), [
+      ['add_column', 'price', 'NUMERIC'],
+      ['create_table', null, null],
+    ]);
+    assert.ok(changes.every((c) => c.run_id === 'run-1'));
+  } finally {
+    await db.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('indexes the natural key columns next to the unique _row_key', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-schema-'));
+  const db = new SQLiteAdapter({ filename: path.join(tmpDir, 'jasper.sqlite') });
+  await db.connect();
+  const indexColumns = (name) => db.db.prepare(`PRAGMA index_info("${name}")`).all().map((c) => c.name);
+
+  try {
+    // office_code comes from the request params, so only item_code has a column
+    const options = { uniqueKey: ['_row_key'], naturalKey: ['office_code', 'item_code'] };
+    await new SchemaHandler(db).ensureTable('jasper_report', [{ _row_key: 'a1', item_code: 'A' }], options);
+    assert.deepEqual(indexColumns('jasper_report_uk'), ['_row_key']);
+    assert.deepEqual(indexColumns('jasper_report_key_idx'), ['item_code']);
+
+    // Tables created before the index existed get it on the next run
+    await db.createTable('jasper_item', describeRows([{ _row_key: 'b1', item_code: 'B' }]), { uniqueKey: ['_row_key'] });
+    await new SchemaHandler(db).ensureTable('jasper_item', [{ _row_key: 'b1', item_code: 'B' }], { ...options, naturalKey: ['item_code'] });
+    assert.deepEqual(indexColumns('jasper_item_key_idx'), ['item_code']);
+  } finally {
+    await db.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  const mysql = new MySQLAdapter({ database: 'jasper' });
+  mysql.pool = fakePool({});
+  await mysql.createTable('jasper_item', describeRows([{ _row_key: 'b1', item_code: 'x'.repeat(300) }]), { uniqueKey: ['_row_key'], naturalKey: ['item_code'] });
+  assert.match(mysql.pool.queries[0], /`item_code` VARCHAR\(255\)/);
+  assert.ok(mysql.pool.queries.includes('CREATE INDEX `jasper_item_key_idx` ON `jasper_item` (`item_code`)'));
+});
+
+test('adds columns new to a system table definition to existing tables', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-schema-'));
+  const db = new SQLiteAdapter({ filename: path.join(tmpDir, 'jasper.sqlite') });
+  await db.connect();
+
+  try {
+    const definition = { columns: { run_id: 'key', status: 'string' }, primaryKey: ['run_id'] };
+    await db.ensureSystemTable('jasper_fetch_test', definition);
+    await db.saveRecord('jasper_fetch_test', { run_id: 'a', status: 'success' }, ['run_id']);
+
+    await db.ensureSystemTable('jasper_fetch_test', { ...definition, columns: { ...definition.columns, note: 'text' } });
+    await db.saveRecord('jasper_fetch_test', { run_id: 'b', status: 'failed', note: 'added later' }, ['run_id']);
+
+    const stored = await db.selectRecords('jasper_fetch_test');
+    assert.deepEqual(stored.map((r) => [r.run_id, r.note]).sort(), [['a', null], ['b', 'added later']]);
+  } finally {
+    await db.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('MySQL and Postgres read DATE columns as YYYY-MM-DD strings', async () => {
+  const mysql = new MySQLAdapter({ database: 'jasper' });
+  await mysql.connect();
+  assert.deepEqual(mysql.pool.pool.config.connectionConfig.dateStrings, ['DATE']);
+  await mysql.disconnect();
+
+  const pg = new PostgresAdapter({});
+  await pg.connect();
+  const { types } = pg.pool.options;
+  assert.equal(types.getTypeParser(1082, 'text')('2024-01-31'), '2024-01-31');
+  assert.equal(types.getTypeParser(23, 'text')('42'), 42);
+  await pg.disconnect();
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-admin-'));
+
+// Configure before loading the scheduler: logger, API and database settings are read at require time
+Object.assign(process.env, {
+  LOG_LEVEL: 'ERROR',
+  JASPER_API_KEY: 'test-key',
+  OFFICE_CODE: 'BCTN',
+  DATE_RANGE_MODE: 'static',
+  DATE_FROM: '2024-01-01',
+  DATE_TO: '2024-01-31',
+  FETCH_CONCURRENCY: '1',
+  API_RATE_LIMIT: '0',
+  DB_PROVIDER: 'sqlite',
+  SQLITE_PATH: path.join(tmpDir, 'jasper.sqlite'),
+});
+
+const { createMockApi } = require('../mock-api/server');
+const { createScheduler } = require('../../src/scheduler');
+const AdminServer = require('../../src/services/admin-server');
+
+const ITEM_GROUP_PATH = '/api/client/master/item-group';
+
+let api;
+let scheduler;
+let admin;
+
+async function request(method, urlPath, { body, token = 'secret' } = {}) {
+  const response = await fetch(`${admin.url}${urlPath}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The manual job in /status once check(job) holds
+async function waitForManual(check) {
+  for (let i = 0; i < 200; i++) {
+    const { body } = await request('GET', '/status');
+    const manual = body.jobs.find((job) => job.name === 'manual');
+    if (check(manual)) return manual;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the manual run');
+}
+
+before(async () => {
+  api = createMockApi({ apiKey: 'test-key', pageSize: 10 });
+  process.env.JASPER_API_URL = await api.start();
+  scheduler = createScheduler([{ name: 'nightly', cron: '0 1 * * *', options: {} }]);
+  admin = new AdminServer(scheduler, { token: 'secret' });
+  await admin.start();
+});
+
+after(async () => {
+  await scheduler.stop('Test finished');
+  await admin.stop();
+  await api.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('requires the shared token', async () => {
+  assert.equal((await request('GET', '/status', { token: 'wrong' })).status, 401);
+  const missing = await fetch(`${admin.url}/healthz`);
+  assert.equal(missing.status, 401);
+  assert.equal((await request('GET', '/nowhere')).status, 404);
+});
+
+test('reports database and tunnel health', async () => {
+  const { status, body } = await request('GET', '/healthz');
+  assert.equal(status, 200);
+  assert.deepEqual(body, { status: 'ok', database: 'ok', tunnel: 'disabled', stopping: false });
+});
+
+test('rejects invalid run requests', async () => {
+  const problems = [
+    [{ endpoints: ['custom'] }, /Unknown endpoint: custom/],
+    [{ from: '2024-02-30', to: '2024-03-31' }, /Invalid date: 2024-02-30/],
+    [{ from: '2024-02-01' }, /from and to go together/],
+    [{ mode: 'weekly' }, /mode must be one of/],
+    [{ filter: 'customer' }, /Unknown settings: filter/],
+  ];
+  for (const [body, message] of problems) {
+    const response = await request('POST', '/runs', { body });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, message);
+  }
+  assert.equal((await request('POST', '/runs/unknown-run/cancel')).status, 404);
+});
+
+test('starts a manual run and shows its progress and result', async () => {
+  api.reset();
+  const started = await request('POST', '/runs', {
+    body: { endpoints: ['item_group', 'margin_report'], offices: ['BCTN/JKT'], from: '2024-02-01', to: '2024-03-31', split: 'month' },
+  });
+  assert.equal(started.status, 202);
+
+  const manual = await waitForManual((job) => job.last_run && job.last_run.run_id === started.body.run_id);
+  assert.equal(manual.running, null);
+  assert.equal(manual.last_run.status, 'success');
+  assert.equal(manual.last_run.success_count, 3);
+
+  const marginRequests = api.requests.filter((r) => r.path.endsWith('/margin-report'));
+  assert.deepEqual(marginRequests.map((r) => [r.query.office_code, r.query.date_from, r.query.date_to]), [
+    ['BCTN/JKT', '2024-02-01', '2024-02-29'],
+    ['BCTN/JKT', '2024-03-01', '2024-03-31'],
+  ]);
+});
+
+test('cancels a run in progress', async () => {
+  api.reset();
+  api.inject(ITEM_GROUP_PATH, { delay: 300, page: 2 });
+  const started = await request('POST', '/runs', { body: { endpoints: ['item_group'] } });
+  assert.equal(started.status, 202);
+  assert.equal((await request('POST', '/runs', { body: {} })).status, 409);
+
+  const running = await waitForManual((job) => job.running && job.running.units.some((unit) => unit.status === 'running'));
+  assert.equal(running.running.run_id, started.body.run_id);
+  assert.deepEqual(running.running.units.map((unit) => [unit.table, unit.office]), [['jasper_item_group', 'BCTN']]);
+
+  const cancelled = await request('POST', `/runs/${started.body.run_id}/cancel`);
+  assert.deepEqual(cancelled, { status: 202, body: { run_id: started.body.run_id, status: 'cancelling' } });
+
+  const manual = await waitForManual((job) => job.running === null);
+  assert.equal(manual.last_run.run_id, started.body.run_id);
+  assert.equal(manual.last_run.status, 'interrupted');
+  assert.equal(manual.last_run.error_message, 'Cancelled through the admin API');
+});
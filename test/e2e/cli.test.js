@@ -0,0 +1,201 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-cli-'));
+
+// Configure before loading the CLI: logger, API and database settings are read at require time
+Object.assign(process.env, {
+  LOG_LEVEL: 'ERROR',
+  JASPER_API_KEY: 'test-key',
+  OFFICE_CODE: 'BCTN',
+  DATE_RANGE_MODE: 'static',
+  DATE_FROM: '2024-01-01',
+  DATE_TO: '2024-01-31',
+  FETCH_CONCURRENCY: '1',
+  API_RATE_LIMIT: '0',
+  DB_PROVIDER: 'sqlite',
+  SQLITE_PATH: path.join(tmpDir, 'jasper.sqlite'),
+});
+
+const { createMockApi } = require('../mock-api/server');
+const { run } = require('../../src/cli');
+const endpoints = require('../../src/endpoints/definitions');
+
+let api;
+
+// Run the CLI, collecting what it prints
+async function cli(...argv) {
+  const output = { out: [], err: [], exitCode: 0 };
+  process.exitCode = 0;
+  await run(argv, { out: (text) => output.out.push(text), err: (text) => output.err.push(text) });
+  output.exitCode = process.exitCode;
+  process.exitCode = 0;
+  return output;
+}
+
+const json = (output) => JSON.parse(output.out.join('\n'));
+
+before(async () => {
+  api = createMockApi({ apiKey: 'test-key', pageSize: 10 });
+  process.env.JASPER_API_URL = await api.start();
+});
+
+after(async () => {
+  await api.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('prints help for the CLI and for each command', async () => {
+  const { out } = await cli('--help');
+  for (const name of ['fetch', 'backfill', 'schedule', 'cleanup', 'status', 'list-endpoints']) {
+    assert.match(out[0], new RegExp(`^  ${name} `, 'm'));
+  }
+
+  const fetchHelp = (await cli('fetch', '--help')).out[0];
+  assert.match(fetchHelp, /--endpoint <name>/);
+  assert.match(fetchHelp, /--dry-run/);
+  assert.doesNotMatch(fetchHelp, /--resume/);
+});
+
+test('rejects unknown commands, flags and endpoints', async () => {
+  assert.equal((await cli('fetchall')).exitCode, 2);
+
+  const unknownFlag = await cli('fetch', '--filter', 'customer');
+  assert.equal(unknownFlag.exitCode, 2);
+  assert.match(unknownFlag.err[0], /Unknown option '--filter'/);
+
+  const unknownEndpoint = await cli('fetch', '--endpoint', 'custom');
+  assert.equal(unknownEndpoint.exitCode, 2);
+  assert.match(unknownEndpoint.err[0], /Unknown endpoint: custom/);
+
+  assert.match((await cli('fetch', '--from', '2024-01-01')).err[0], /--from and --to go together/);
+  assert.match((await cli('fetch', '--concurrency', '0')).err[0], /positive integer/);
+});
+
+test('lists endpoints as JSON', async () => {
+  const listed = json(await cli('list-endpoints', '--json'));
+  assert.deepEqual(listed.map((e) => e.table), endpoints.map((e) => e.tableName));
+  assert.deepEqual(listed.find((e) => e.table === 'jasper_warehouse').nestedTables, ['jasper_warehouse_location']);
+});
+
+test('--dry-run plans units without calling the API', async () => {
+  api.reset();
+  const { plan } = json(await cli('fetch', '-e', 'customer', '-e', 'jasper_margin_report',
+    '--office', 'BCTN', '--office', 'BCTN/JKT', '--from', '2024-02-01', '--to', '2024-02-29', '--dry-run', '--json'));
+
+  assert.deepEqual(plan.map((unit) => [unit.table, unit.office, unit.date_from]), [
+    ['jasper_customer', 'BCTN', null],
+    ['jasper_margin_report', 'BCTN', '2024-02-01'],
+    ['jasper_customer', 'BCTN/JKT', null],
+    ['jasper_margin_report', 'BCTN/JKT', '2024-02-01'],
+  ]);
+  assert.equal(api.requests.length, 0);
+
+  const backfill = json(await cli('backfill', '-e', 'margin_report', '-o', 'BCTN', '--from', '2025-11', '--to', '2026-01', '-n', '--json'));
+  assert.deepEqual(backfill.plan.map((unit) => unit.range), ['2025-11', '2025-12', '2026-01']);
+  assert.equal(api.requests.length, 0);
+});
+
+test('fetches an endpoint and reports it in status', async () => {
+  const fetched = json(await cli('fetch', '--endpoint', 'item_group', '--json'));
+  assert.equal(fetched.summary.status, 'success');
+  assert.equal(fetched.summary.rows_stored, 23);
+
+  const status = json(await cli('status', '--json'));
+  assert.equal(status.runs[0].run_id, fetched.runId);
+  assert.deepEqual(status.failedItems, []);
+  assert.equal(status.watermarks[0].table_name, 'jasper_item_group');
+
+  const cleanup = json(await cli('cleanup', '--endpoint', 'item_group', '--dry-run', '--json'));
+  assert.deepEqual(cleanup.tables, ['jasper_item_group']);
+});
+
+test('reads offices, shared endpoints, overrides and schedules from --config', async () => {
+  const invalid = path.join(tmpDir, 'invalid.yml');
+  fs.writeFileSync(invalid, [
+    'offices: [BCTN, BCTN]',
+    'endpoints:',
+    '  shared: [unknown_thing]',
+    'dateRanges: { mode: weekly }',
+    'schedules:',
+    '  - { name: nightly, cron: "99 * * * *" }',
+    'notifications: { on: [sometimes], email: { to: nobody } }',
+  ].join('\n'));
+  const rejected = await cli('list-endpoints', '--config', invalid);
+  assert.equal(rejected.exitCode, 1);
+  for (const problem of [/BCTN is listed twice/, /unknown endpoint unknown_thing/, /dateRanges.mode must be one of/, /schedules\[0\].cron is not a valid cron/,
+    /notifications.on must be a list of failure, success, anomaly/, /notifications.email.to must be an address/]) {
+    assert.match(rejected.err[0], problem);
+  }
+  assert.match((await cli('fetch', '--config', path.join(tmpDir, 'missing.yml'))).err[0], /Config file not found/);
+
+  const config = path.join(tmpDir, 'config.yml');
+  fs.writeFileSync(config, [
+    'offices:',
+    '  - { code: BCTN, name: BCTN PEKANBARU }',
+    '  - { code: BCTN/PLG, name: BCTN PALEMBANG }',
+    'endpoints:',
+    '  shared: [item_group]',
+    '  overrides:',
+    '    jasper_customer: { enabled: false }',
+    'dateRanges:',
+    '  backfill: { from: 2025-12, to: 2026-01 }',
+    'schedules:',
+    '  - { name: master-data, cron: "0 2 * * *", endpoints: [customer, item_group], offices: [BCTN, BCTN/PLG] }',
+  ].join('\n'));
+
+  const listed = json(await cli('list-endpoints', '--config', config, '--json'));
+  assert.equal(listed.find((e) => e.table === 'jasper_customer').enabled, false);
+  assert.equal(listed.find((e) => e.table === 'jasper_item_group').shared, true);
+
+  // Every configured office, shared endpoints left out
+  const backfill = json(await cli('backfill', '--config', config, '-e', 'item_group', '-e', 'margin_report', '-n', '--json'));
+  assert.deepEqual(backfill.plan.map((unit) => [unit.table, unit.office, unit.range]), [
+    ['jasper_margin_report', 'BCTN', '2025-12'],
+    ['jasper_margin_report', 'BCTN', '2026-01'],
+    ['jasper_margin_report', 'BCTN/PLG', '2025-12'],
+    ['jasper_margin_report', 'BCTN/PLG', '2026-01'],
+  ]);
+
+  // Shared endpoints are fetched for the first office only
+  const { schedules } = json(await cli('schedule', '--config', config, '-n', '--json'));
+  assert.deepEqual(schedules.map((job) => [job.name, job.cron]), [['master-data', '0 2 * * *']]);
+  assert.deepEqual(schedules[0].plan.map((unit) => [unit.table, unit.office]), [
+    ['jasper_customer', 'BCTN'],
+    ['jasper_item_group', 'BCTN'],
+    ['jasper_customer', 'BCTN/PLG'],
+  ]);
+
+  // Without dateRanges.backfill: January 2024 through December 2025
+  const bare = path.join(tmpDir, 'bare.yml');
+  fs.writeFileSync(bare, 'offices: [BCTN]\n');
+  const months = json(await cli('backfill', '--config', bare, '-e', 'margin_report', '-n', '--json')).plan.map((unit) => unit.range);
+  assert.deepEqual([months.length, months[0], months[months.length - 1]], [24, '2024-01', '2025-12']);
+});
+
+test('writes Prometheus metrics to --metrics-file after a fetch', async () => {
+  const metricsFile = path.join(tmpDir, 'jasper.prom');
+  const fetched = json(await cli('fetch', '--endpoint', 'warehouse', '--metrics-file', metricsFile, '--json'));
+  assert.equal(fetched.summary.status, 'success');
+
+  const text = fs.readFileSync(metricsFile, 'utf8');
+  const value = (series) => {
+    const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+  };
+  assert.equal(value('jasper_fetch_pages_total{table="jasper_warehouse"}'), 3);
+  assert.equal(value('jasper_fetch_rows_fetched_total{table="jasper_warehouse"}'), 23);
+  assert.equal(value('jasper_fetch_rows_stored_total{table="jasper_warehouse_location"}'), 46);
+  assert.equal(value('jasper_fetch_nested_rows_stored_total{table="jasper_warehouse",nested_table="jasper_warehouse_location"}'), 46);
+  assert.equal(value('jasper_db_schema_changes_total{table="jasper_warehouse",change="create_table"}'), 1);
+  assert.equal(value('jasper_db_write_duration_seconds_count{table="jasper_warehouse",operation="upsert"}'), 3);
+  // Three pages and the empty one that ends the pagination
+  assert.equal(value('jasper_api_request_duration_seconds_count{endpoint="/api/client/master/warehouse",status="200"}'), 4);
+  assert.equal(value('jasper_fetch_units_total{table="jasper_warehouse",office="BCTN",status="success"}'), 1);
+  assert.ok(value('jasper_fetch_last_success_timestamp_seconds{table="jasper_warehouse",office="BCTN"}') > Date.now() / 1000 - 60);
+  assert.ok(value('jasper_run_duration_seconds{job="fetch"}') >= 0);
+  assert.deepEqual(fs.readdirSync(tmpDir).filter((name) => name.includes('.prom')), ['jasper.prom']);
+});
@@ -0,0 +1,594 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configure before loading the fetcher: logger and API settings are read at require time
+Object.assign(process.env, {
+  LOG_LEVEL: 'ERROR',
+  JASPER_API_KEY: 'test-key',
+  OFFICE_CODE: 'BCTN',
+  DATE_RANGE_MODE: 'static',
+  DATE_FROM: '2024-01-01',
+  DATE_TO: '2024-01-31',
+  FETCH_CONCURRENCY: '1',
+  API_RATE_LIMIT: '0',
+  API_TIMEOUT: '500',
+  API_RETRY_BASE_DELAY: '10',
+  API_RETRY_MAX_DELAY: '50',
+});
+
+const { createMockApi } = require('../mock-api/server');
+const MySQLAdapter = require('../../src/database/mysql-adapter');
+const PostgresAdapter = require('../../src/database/postgres-adapter');
+const SQLiteAdapter = require('../../src/database/sqlite-adapter');
+const { main } = require('../../src/index');
+const fetchAllOffices = require('../../src/fetch-all-offices');
+const { loadConfig } = require('../../src/config/config-file');
+const reprocess = require('../../src/reprocess');
+const apiConfig = require('../../src/config/api');
+const ApiClient = require('../../src/services/api-client');
+const ArchiveClient = require('../../src/services/archive-client');
+const ResponseArchive = require('../../src/services/response-archive');
+const Fetcher = require('../../src/services/fetcher');
+const TableRefresh = require('../../src/services/table-refresh');
+const endpoints = require('../../src/endpoints/definitions');
+const logger = require('../../src/utils/logger');
+
+const byTable = (name) => endpoints.find((e) => e.tableName === name);
+
+let api;
+let db;
+let tmpDir;
+
+// main() closes the database when done, so reopen it to inspect the results
+async function rows(tableName) {
+  await db.ensureConnected();
+  if (!(await db.tableExists(tableName))) return [];
+  return db.selectRecords(tableName);
+}
+
+before(async () => {
+  api = createMockApi({ apiKey: 'test-key', pageSize: 10 });
+  process.env.JASPER_API_URL = await api.start();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+beforeEach(() => {
+  api.reset();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-e2e-'));
+  db = new SQLiteAdapter({ filename: path.join(tmpDir, 'jasper.sqlite') });
+  process.exitCode = 0;
+});
+
+afterEach(async () => {
+  await db.disconnect();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('stores every endpoint, paginated and bare array responses alike', async () => {
+  const { runId } = await main({ db });
+
+  for (const endpoint of endpoints) {
+    const expected = api.fixtures[endpoint.path].records.length;
+    assert.equal((await rows(endpoint.tableName)).length, expected, endpoint.tableName);
+  }
+
+  const customers = await rows('jasper_customer');
+  assert.equal(customers[0].audit_created_by, 'admin');
+  assert.equal(customers[0]._office_code, 'BCTN');
+  assert.equal(customers[0]._run_id, runId);
+  assert.deepEqual([...new Set(customers.map((r) => r._source_page))], [1, 2, 3]);
+
+  const margin = await rows('jasper_margin_report');
+  assert.equal(margin[0]._date_from, '2024-01-01');
+  assert.equal(margin[0]._date_to, '2024-01-31');
+});
+
+test('tags every line logged during a run with its run_id', async () => {
+  const endpoint = byTable('jasper_item_group');
+  const lines = [];
+  endpoint.storeRaw = true;
+  logger.configure({ level: 'INFO', format: 'json', output: (line) => lines.push(JSON.parse(line)) });
+  let runId;
+  try {
+    ({ runId } = await main({ db, endpoints: ['jasper_item_group'] }));
+    await reprocess.main({ db, endpoints: ['jasper_item_group'], runId: 'reprocess-run' });
+  } finally {
+    logger.configure({ output: console.log });
+    delete endpoint.storeRaw;
+  }
+
+  const started = lines.findIndex((line) => line.msg === 'Starting Jasper API Fetcher');
+  const fetched = lines.slice(started, lines.findIndex((line) => line.run_id === 'reprocess-run'));
+  assert.ok(fetched.some((line) => line.module === 'fetcher'));
+  assert.deepEqual([...new Set(fetched.map((line) => line.run_id))], [runId]);
+  assert.ok(lines.some((line) => line.module === 'reprocess' && line.run_id === 'reprocess-run'));
+});
+
+test('stores nested arrays in child tables', async () => {
+  await main({ db });
+
+  const locations = await rows('jasper_warehouse_location');
+  assert.equal(locations.length, (await rows('jasper_warehouse')).length * 2);
+  assert.ok(locations.every((row) => row._parent_warehouse_code));
+
+  const receiptItems = await rows('jasper_purchase_receipt_item');
+  assert.equal(receiptItems.length, (await rows('jasper_purchase_receipt')).length * 2);
+});
+
+test('writes child rows with their parent page', async () => {
+  // Page 1 and its locations are stored before page 2 fails for good
+  const path = byTable('jasper_warehouse').path;
+  api.inject(path, { status: 503, times: 3, page: 2 });
+  await main({ db, endpoints: ['jasper_warehouse'] });
+
+  assert.equal((await rows('jasper_warehouse')).length, 10);
+  const locations = await rows('jasper_warehouse_location');
+  assert.equal(locations.length, 20);
+  assert.ok(locations.every((row) => row._source_page === 1));
+  process.exitCode = 0;
+});
+
+test('stores arrays nested several levels deep', async () => {
+  const records = [1, 2].map((i) => ({
+    receipt_no: `PR-${i}`,
+    items: [1, 2].map((j) => ({
+      item_code: `ITEM-${i}${j}`,
+      serials: [{ serial_no: `SN-${i}${j}1` }, { serial_no: `SN-${i}${j}2` }],
+    })),
+  }));
+  const fetcher = new Fetcher({ getWithRetry: async () => records }, db, {});
+  await db.connect();
+
+  await fetcher.fetchAndStore({
+    path: '/receipts',
+    tableName: 'jasper_receipt',
+    uniqueKey: ['receipt_no'],
+    nestedTables: [{
+      nestedKey: 'items',
+      childTable: 'jasper_receipt_item',
+      parentKey: 'receipt_no',
+      uniqueKey: ['_parent_receipt_no', 'item_code'],
+      nestedTables: [{
+        nestedKey: 'serials',
+        childTable: 'jasper_receipt_item_serial',
+        parentKey: 'item_code',
+        uniqueKey: ['_parent_item_code', 'serial_no'],
+      }],
+    }],
+  });
+
+  assert.equal((await rows('jasper_receipt_item')).length, 4);
+  const serials = await rows('jasper_receipt_item_serial');
+  assert.equal(serials.length, 8);
+  const serial = serials.find((row) => row.serial_no === 'SN-211');
+  assert.equal(serial._parent_item_code, 'ITEM-21');
+  assert.equal(serial._parent_receipt_no, 'PR-2');
+});
+
+test('stores undeclared arrays with autoNest and reports them', async () => {
+  const records = [1, 2].map((i) => ({
+    receipt_no: `PR-${i}`,
+    tags: ['urgent', `batch-${i}`],
+    payments: [1, 2].map((j) => ({ method: j === 1 ? 'cash' : 'card', splits: [{ amount: i * j }] })),
+  }));
+  const fetcher = new Fetcher({ getWithRetry: async () => records }, db, { autoNest: true });
+  await db.connect();
+  const created = {};
+  const createTable = db.createTable.bind(db);
+  db.createTable = (tableName, columns, options) => {
+    created[tableName] = columns;
+    return createTable(tableName, columns, options);
+  };
+
+  const endpoint = { path: '/receipts', tableName: 'jasper_receipt', uniqueKey: ['receipt_no'] };
+  await fetcher.fetchAndStore(endpoint);
+  await fetcher.fetchAndStore(endpoint);
+
+  const receipts = await rows('jasper_receipt');
+  assert.deepEqual(JSON.parse(receipts[0].tags), ['urgent', 'batch-1']);
+  assert.equal(created.jasper_receipt.tags.kind, 'json');
+  assert.equal(new MySQLAdapter({}).formatColumnType(created.jasper_receipt.tags), 'JSON');
+  assert.equal(new PostgresAdapter({}).formatColumnType(created.jasper_receipt.tags), 'JSONB');
+
+  const payments = await rows('jasper_receipt_payments');
+  assert.equal(payments.length, 4);
+  const card = payments.find((row) => row._parent_receipt_no === 'PR-2' && row._index === 1);
+  assert.equal(card.method, 'card');
+
+  const splits = await rows('jasper_receipt_payments_splits');
+  assert.equal(splits.length, 4);
+  assert.ok(splits.every((row) => row._parent_receipt_no && row._parent_payments_index !== null && row._index === 0));
+
+  assert.deepEqual([...fetcher.undeclaredArrays.get('/receipts')], [
+    ['tags', 'JSON column jasper_receipt.tags'],
+    ['payments', 'table jasper_receipt_payments'],
+    ['payments.splits', 'table jasper_receipt_payments_splits'],
+  ]);
+});
+
+test('drops undeclared arrays by default but reports them', async () => {
+  const records = [{ receipt_no: 'PR-1', payments: [{ method: 'cash' }] }];
+  const fetcher = new Fetcher({ getWithRetry: async () => records }, db, { autoNest: false });
+  await db.connect();
+
+  await fetcher.fetchAndStore({ path: '/receipts', tableName: 'jasper_receipt', uniqueKey: ['receipt_no'] });
+
+  assert.equal((await rows('jasper_receipt')).length, 1);
+  assert.equal(await db.tableExists('jasper_receipt_payments'), false);
+  assert.deepEqual([...fetcher.undeclaredArrays.get('/receipts')], [['payments', 'dropped']]);
+});
+
+test('re-running updates rows instead of duplicating them', async () => {
+  await main({ db });
+  const { runId } = await main({ db, full: true });
+
+  for (const endpoint of endpoints) {
+    const expected = api.fixtures[endpoint.path].records.length;
+    assert.equal((await rows(endpoint.tableName)).length, expected, endpoint.tableName);
+  }
+  assert.ok((await rows('jasper_item')).every((row) => row._run_id === runId));
+});
+
+test('records the run and one item per endpoint and date range', async () => {
+  const { runId } = await main({ db });
+
+  await db.ensureConnected();
+  const [run] = await db.selectRecords('jasper_fetch_runs', { run_id: runId });
+  assert.equal(run.status, 'success');
+  assert.equal(run.success_count, endpoints.length);
+
+  const items = await db.selectRecords('jasper_fetch_run_items', { run_id: runId });
+  assert.equal(items.length, endpoints.length);
+  const customer = items.find((item) => item.table_name === 'jasper_customer');
+  assert.equal(customer.pages, 3);
+  assert.equal(customer.rows_stored, 23);
+});
+
+test('retries injected 5xx and 429 responses', async () => {
+  const path = byTable('jasper_customer').path;
+  api.inject(path, { status: 503 });
+  api.inject(path, { status: 429, retryAfter: 0 });
+
+  const { runId } = await main({ db, endpoints: ['jasper_customer'] });
+
+  assert.equal((await rows('jasper_customer')).length, 23);
+  await db.ensureConnected();
+  const [item] = await db.selectRecords('jasper_fetch_run_items', { run_id: runId });
+  assert.equal(item.status, 'success');
+  assert.equal(item.http_retries, 2);
+});
+
+test('waits no longer than the maximum retry delay for a Retry-After', { timeout: 5000 }, async () => {
+  const path = byTable('jasper_customer').path;
+  api.inject(path, { status: 429, retryAfter: 86400 });
+
+  await main({ db, endpoints: ['jasper_customer'] });
+
+  assert.equal((await rows('jasper_customer')).length, 23);
+});
+
+test('retries a response slower than the request timeout', async () => {
+  const path = byTable('jasper_item_group').path;
+  api.inject(path, { delay: 800 });
+
+  await main({ db, endpoints: ['jasper_item_group'] });
+
+  assert.equal((await rows('jasper_item_group')).length, 23);
+  assert.equal(api.requests.filter((r) => r.path === path && r.query.page_number === '1').length, 2);
+});
+
+test('skips an endpoint returning a non-JSON response', async () => {
+  const path = byTable('jasper_margin_report').path;
+  api.inject(path, { contentType: 'text/html', body: '<html>Maintenance</html>' });
+
+  await main({ db, endpoints: ['jasper_margin_report'] });
+
+  assert.deepEqual(await rows('jasper_margin_report'), []);
+  assert.equal(process.exitCode, 0);
+});
+
+test('does not retry client errors and marks the run failed', async () => {
+  const path = byTable('jasper_sales').path;
+  api.inject(path, { status: 404 });
+
+  const { runId } = await main({ db, endpoints: ['jasper_sales'] });
+
+  assert.equal(api.requests.filter((r) => r.path === path).length, 1);
+  await db.ensureConnected();
+  const [run] = await db.selectRecords('jasper_fetch_runs', { run_id: runId });
+  assert.equal(run.status, 'failed');
+  assert.equal(process.exitCode, 1);
+  process.exitCode = 0;
+});
+
+test('a half-open circuit lets a single trial request through', async () => {
+  const path = byTable('jasper_item_group').path;
+  const client = new ApiClient(process.env.JASPER_API_URL, 'test-key', {
+    rateLimit: 0, maxAttempts: 1, breakerThreshold: 1, breakerCooldown: 1,
+  });
+  api.inject(path, { status: 500 });
+  await assert.rejects(client.getWithRetry(path), /status code 500/);
+  assert.equal(client.isCircuitOpen(), true);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  // The trial is slow; requests made meanwhile fail fast instead of joining it
+  api.inject(path, { delay: 100 });
+  const results = await Promise.allSettled([1, 2, 3].map(() => client.getWithRetry(path)));
+  assert.deepEqual(results.map((r) => r.status), ['fulfilled', 'rejected', 'rejected']);
+  assert.ok(results.slice(1).every((r) => r.reason instanceof ApiClient.CircuitOpenError));
+  assert.equal(api.requests.filter((r) => r.path === path).length, 2);
+  assert.equal(client.isCircuitOpen(), false);
+});
+
+test('a failing unit does not roll back the writes of units running beside it', async () => {
+  // item_group fails a while into its page transaction; meanwhile customer
+  // creates its table, stores its pages and records its run item
+  const upsertBatch = db.upsertBatch.bind(db);
+  db.upsertBatch = async (tableName, batch, keyColumns) => {
+    if (tableName === 'jasper_item_group') {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      throw new Error('disk I/O error');
+    }
+    return upsertBatch(tableName, batch, keyColumns);
+  };
+
+  const { runId } = await main({ db, endpoints: ['jasper_item_group', 'jasper_customer'], concurrency: 2 });
+  process.exitCode = 0;
+
+  assert.equal((await rows('jasper_customer')).length, 23);
+  assert.deepEqual(await rows('jasper_item_group'), []);
+  const items = await db.selectRecords('jasper_fetch_run_items', { run_id: runId });
+  assert.deepEqual(items.map((item) => [item.table_name, item.status]).sort(), [
+    ['jasper_customer', 'success'],
+    ['jasper_item_group', 'failed'],
+  ]);
+});
+
+test('refresh swaps in staging tables, dropping rows the API no longer returns', async () => {
+  await main({ db, endpoints: ['jasper_warehouse'] });
+
+  const fixture = api.fixtures[byTable('jasper_warehouse').path];
+  const removed = fixture.records.pop();
+  try {
+    const { runId } = await main({ db, endpoints: ['jasper_warehouse'], refresh: true });
+
+    const warehouses = await rows('jasper_warehouse');
+    assert.equal(warehouses.length, fixture.records.length);
+    assert.ok(warehouses.every((row) => row._run_id === runId));
+    assert.equal((await rows('jasper_warehouse_location')).length, fixture.records.length * 2);
+    assert.deepEqual(await db.listTables('jasper_warehouse__'), []);
+  } finally {
+    fixture.records.push(removed);
+  }
+});
+
+test('a failed refresh leaves the current table untouched', async () => {
+  const { runId: firstRunId } = await main({ db, endpoints: ['jasper_customer'] });
+
+  // Page 1 is loaded into staging before page 2 fails for good
+  const path = byTable('jasper_customer').path;
+  api.inject(path, { status: 503, times: 3, page: 2 });
+  await main({ db, endpoints: ['jasper_customer'], refresh: true });
+  assert.equal(api.requests.filter((r) => r.path === path && r.query.page_number === '2').length, 4);
+
+  const customers = await rows('jasper_customer');
+  assert.equal(customers.length, 23);
+  assert.ok(customers.every((row) => row._run_id === firstRunId));
+  assert.deepEqual(await db.listTables('jasper_customer__'), []);
+  process.exitCode = 0;
+});
+
+test('a refresh stopped by a failed unit leaves no staging tables behind', async () => {
+  // customer@BCTN loads its staging table, item_group@BCTN fails and stops
+  // the run before customer@JKT starts
+  api.inject(byTable('jasper_item_group').path, { status: 404 });
+
+  await main({ db, endpoints: ['jasper_customer', 'jasper_item_group'], offices: ['BCTN', 'JKT'], refresh: true });
+
+  assert.equal(process.exitCode, 1);
+  process.exitCode = 0;
+  await db.ensureConnected();
+  assert.deepEqual(await db.listTables(`jasper_customer${TableRefresh.STAGING_SUFFIX}`), []);
+  assert.deepEqual(await db.listTables(`jasper_item_group${TableRefresh.STAGING_SUFFIX}`), []);
+  assert.deepEqual(await rows('jasper_customer'), []);
+});
+
+test('reprocess rebuilds tables from _raw without calling the API', async () => {
+  const endpoint = byTable('jasper_purchase_receipt');
+  endpoint.storeRaw = true;
+  try {
+    const { runId } = await main({ db, endpoints: ['jasper_purchase_receipt'] });
+    const [stored] = await rows('jasper_purchase_receipt');
+    assert.deepEqual(JSON.parse(stored._raw), api.fixtures[endpoint.path].records[0]);
+
+    // A lost child table, as after a mapping fix, comes back from the parent payloads
+    await db.dropTable('jasper_purchase_receipt_item');
+    const requests = api.requests.length;
+    await reprocess.main({ db, endpoints: ['jasper_purchase_receipt'] });
+
+    assert.equal(api.requests.length, requests);
+    const receipts = await rows('jasper_purchase_receipt');
+    assert.equal(receipts.length, 23);
+    assert.ok(receipts.every((row) => row._run_id === runId && row._raw));
+    assert.equal((await rows('jasper_purchase_receipt_item')).length, 46);
+    assert.deepEqual(await db.listTables('jasper_purchase_receipt__'), []);
+  } finally {
+    delete endpoint.storeRaw;
+  }
+});
+
+test('archived responses rebuild the database without the API', async () => {
+  const archive = new ResponseArchive(path.join(tmpDir, 'archive'));
+  const archiving = new ApiClient(process.env.JASPER_API_URL, 'test-key', { rateLimit: 0, archive });
+  await main({ db, api: archiving });
+
+  const entries = await ResponseArchive.read(archive.directory, byTable('jasper_customer').path);
+  // The empty page that ends pagination is archived too
+  assert.deepEqual(entries.map((e) => e.page), [1, 2, 3, 4]);
+  assert.deepEqual(entries[3].body.data, []);
+  assert.equal(entries[0].status, 200);
+  assert.equal(entries[0].params.office_code, 'BCTN');
+  assert.match(entries[0].headers['content-type'], /application\/json/);
+
+  // Replay into an empty database
+  await db.disconnect();
+  db = new SQLiteAdapter({ filename: path.join(tmpDir, 'replay.sqlite') });
+  const requests = api.requests.length;
+  await main({ db, api: new ArchiveClient(archive.directory) });
+
+  assert.equal(api.requests.length, requests);
+  for (const endpoint of endpoints) {
+    const expected = api.fixtures[endpoint.path].records.length;
+    assert.equal((await rows(endpoint.tableName)).length, expected, endpoint.tableName);
+  }
+  assert.equal((await rows('jasper_warehouse_location')).length, api.fixtures[byTable('jasper_warehouse').path].records.length * 2);
+});
+
+test('replay into a database with watermarks requests what was archived', async () => {
+  const archive = new ResponseArchive(path.join(tmpDir, 'archive'));
+  const archiving = new ApiClient(process.env.JASPER_API_URL, 'test-key', { rateLimit: 0, archive });
+  await main({ db, api: archiving, endpoints: ['jasper_customer'] });
+  await db.ensureConnected();
+  assert.equal((await db.selectRecords('jasper_fetch_watermarks')).length, 1);
+
+  const requests = api.requests.length;
+  apiConfig.replay = archive.directory;
+  try {
+    const { summary } = await main({ db, endpoints: ['jasper_customer'] });
+    assert.equal(summary.status, 'success');
+  } finally {
+    apiConfig.replay = null;
+  }
+  assert.equal(api.requests.length, requests);
+  assert.equal((await rows('jasper_customer')).length, 23);
+});
+
+test('archives are dated by the day in Asia/Jakarta', () => {
+  const timeZone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    // 18:00 UTC on January 31 is already February 1 in Jakarta
+    const archive = new ResponseArchive(tmpDir, new Date('2024-01-31T18:00:00Z'));
+    assert.equal(path.basename(archive.directory), '2024-02-01');
+  } finally {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  }
+});
+
+test('replay fails requests that were never archived', async () => {
+  const replay = new ArchiveClient(path.join(tmpDir, 'archive', '2024-01-01'));
+  await assert.rejects(replay.getWithRetry('/api/client/master/customer', { page_number: '1' }), /No archived response/);
+});
+
+test('incremental endpoints fetch only records changed since the watermark', async () => {
+  const path = byTable('jasper_customer').path;
+  const records = api.fixtures[path].records;
+  const original = records.slice(0, 2).map((record) => ({ ...record }));
+  const fetched = async (runId) => {
+    await db.ensureConnected();
+    const items = await db.selectRecords('jasper_fetch_run_items', { run_id: runId, table_name: 'jasper_customer' });
+    return items[0].rows_fetched;
+  };
+
+  try {
+    const first = await main({ db, endpoints: ['jasper_customer'] });
+    assert.equal(await fetched(first.runId), 23);
+    const [saved] = await db.selectRecords('jasper_fetch_watermarks', { table_name: 'jasper_customer' });
+    assert.equal(saved.watermark, '2024-01-24 10:00:00');
+
+    for (const record of records.slice(0, 2)) {
+      record.updated_at = '2024-02-01 09:00:00';
+      record.description = 'Changed';
+    }
+    api.reset();
+    const second = await main({ db, endpoints: ['jasper_customer'] });
+
+    // The watermark is inclusive, so the newest record of the last run comes again
+    assert.equal(api.requests[0].query.updated_at_from, '2024-01-24 10:00:00');
+    assert.equal(await fetched(second.runId), 3);
+    const customers = await rows('jasper_customer');
+    assert.equal(customers.length, 23);
+    assert.equal(customers.filter((row) => row.description === 'Changed').length, 2);
+
+    api.reset();
+    const full = await main({ db, endpoints: ['jasper_customer'], full: true });
+    assert.equal(api.requests[0].query.updated_at_from, undefined);
+    assert.equal(await fetched(full.runId), 23);
+  } finally {
+    records.splice(0, 2, ...original);
+  }
+});
+
+test('history keeps every version of master data and marks deleted records', async () => {
+  const endpoint = byTable('jasper_sales');
+  const records = api.fixtures[endpoint.path].records;
+  const original = { ...records[0] };
+  let removed = null;
+  const key = (row) => row.sales_code;
+  endpoint.history = true;
+
+  try {
+    await main({ db, endpoints: ['jasper_sales'] });
+    assert.equal((await rows('jasper_sales')).length, 23);
+
+    records[0].description = 'Reassigned';
+    removed = records.pop();
+    await main({ db, endpoints: ['jasper_sales'], full: true });
+
+    const sales = await rows('jasper_sales');
+    assert.equal(sales.length, 24);
+    assert.equal(sales.filter((row) => row._is_current === 1).length, 22);
+
+    const [before, after] = sales.filter((row) => key(row) === original.sales_code)
+      .sort((a, b) => a._valid_from.localeCompare(b._valid_from));
+    assert.equal(before.description, original.description);
+    assert.equal(before._is_current, 0);
+    assert.equal(before._valid_to, after._valid_from);
+    assert.equal(after.description, 'Reassigned');
+    assert.equal(after._is_current, 1);
+    assert.equal(after._valid_to, null);
+
+    const [deleted] = sales.filter((row) => key(row) === removed.sales_code);
+    assert.equal(deleted._is_current, 0);
+    assert.ok(deleted._deleted_at);
+    assert.equal(deleted._valid_to, deleted._deleted_at);
+
+    // Only changed records since the watermark: nothing new, nothing deleted
+    await main({ db, endpoints: ['jasper_sales'] });
+    assert.equal((await rows('jasper_sales')).length, 24);
+  } finally {
+    records[0] = original;
+    if (removed) records.push(removed);
+    delete endpoint.history;
+  }
+});
+
+test('backfill --cleanup keeps tables with history turned on in the config file', async () => {
+  const config = path.join(tmpDir, 'config.yml');
+  fs.writeFileSync(config, [
+    'offices: [BCTN]',
+    'endpoints:',
+    '  overrides:',
+    '    jasper_customer: { history: true }',
+  ].join('\n'));
+  loadConfig(config);
+
+  try {
+    await main({ db, endpoints: ['jasper_customer', 'jasper_warehouse'] });
+    assert.equal((await rows('jasper_customer')).length, 23);
+    assert.ok((await rows('jasper_warehouse')).length > 0);
+
+    await fetchAllOffices.main({ db, endpoints: ['jasper_margin_report'], from: '2024-01', to: '2024-01', cleanup: true });
+    assert.equal((await rows('jasper_customer')).length, 23);
+    assert.deepEqual(await rows('jasper_warehouse'), []);
+  } finally {
+    loadConfig();
+  }
+});
@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-notifier-'));
+
+// Configure before loading the scheduler: logger, API and database settings are read at require time
+Object.assign(process.env, {
+  LOG_LEVEL: 'ERROR',
+  JASPER_API_KEY: 'test-key',
+  OFFICE_CODE: 'BCTN',
+  DATE_RANGE_MODE: 'static',
+  DATE_FROM: '2024-01-01',
+  DATE_TO: '2024-01-31',
+  FETCH_CONCURRENCY: '1',
+  API_RATE_LIMIT: '0',
+  DB_PROVIDER: 'sqlite',
+  SQLITE_PATH: path.join(tmpDir, 'jasper.sqlite'),
+});
+
+const { createMockApi } = require('../mock-api/server');
+const { createWebhookSink, createSmtpSink } = require('../mock-api/notification-sinks');
+const { runFetchJob } = require('../../src/scheduler');
+const fetchAllOffices = require('../../src/fetch-all-offices');
+
+const MARGIN_PATH = '/api/client/report/generate/margin-report';
+const ITEM_GROUP_PATH = '/api/client/master/item-group';
+
+let api;
+let webhook;
+let smtp;
+let marginRecords;
+let itemGroupRecords;
+
+before(async () => {
+  api = createMockApi({ apiKey: 'test-key', pageSize: 10 });
+  process.env.JASPER_API_URL = await api.start();
+  marginRecords = api.fixtures[MARGIN_PATH].records;
+  itemGroupRecords = api.fixtures[ITEM_GROUP_PATH].records;
+
+  webhook = createWebhookSink();
+  smtp = createSmtpSink();
+  Object.assign(process.env, {
+    NOTIFY_WEBHOOK_URL: await webhook.start(),
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(await smtp.start()),
+    SMTP_USER: 'fetcher',
+    SMTP_PASSWORD: 'smtp-secret',
+    NOTIFY_EMAIL_FROM: 'jasper@example.com',
+    NOTIFY_EMAIL_TO: 'data-team@example.com, ops@example.com',
+  });
+});
+
+beforeEach(() => {
+  api.reset();
+  webhook.reset();
+  smtp.reset();
+  api.fixtures[MARGIN_PATH].records = marginRecords;
+  api.fixtures[ITEM_GROUP_PATH].records = itemGroupRecords;
+  delete process.env.NOTIFY_ON;
+});
+
+after(async () => {
+  await api.stop();
+  await webhook.stop();
+  await smtp.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('sends a failed job to the webhook and by mail with a table of its units', async () => {
+  api.inject(MARGIN_PATH, { status: 400 });
+  const results = await runFetchJob({ endpoints: ['item_group', 'margin_report'] }, 'nightly');
+  assert.equal(results.failed.length, 1);
+
+  assert.equal(webhook.received.length, 1);
+  const { body } = webhook.received[0];
+  assert.equal(body.run.run_id, results.runId);
+  assert.equal(body.run.status, 'partial');
+  assert.match(body.text, /^\*jasper-fetcher scheduler:nightly partial: 1 failed\*\n```\n/);
+  assert.deepEqual(body.units.map((unit) => [unit.table, unit.office, unit.range, unit.status]), [
+    ['jasper_margin_report', 'BCTN', '2024-01-01..2024-01-31', 'failed'],
+    ['jasper_item_group', 'BCTN', null, 'success'],
+  ]);
+
+  const table = body.text.split('\n').slice(6, 9);
+  assert.match(table[0], /^Table +Office +Range +Status +Rows +Note$/);
+  assert.match(table[1], /^jasper_margin_report +BCTN +2024-01-01\.\.2024-01-31 +failed +0 +Request failed with status code 400$/);
+  assert.match(table[2], /^jasper_item_group +BCTN +- +success +23$/);
+
+  assert.equal(smtp.received.length, 1);
+  const mail = smtp.received[0];
+  assert.equal(mail.from, 'jasper@example.com');
+  assert.deepEqual(mail.to, ['data-team@example.com', 'ops@example.com']);
+  assert.deepEqual(mail.auth, { user: 'fetcher', pass: 'smtp-secret' });
+  assert.match(mail.data, /^Subject: jasper-fetcher scheduler:nightly partial: 1 failed$/m);
+  assert.match(mail.data, /jasper_margin_report +BCTN/);
+});
+
+test('sends successful runs only when asked to, and survives a failing receiver', async () => {
+  await runFetchJob({ endpoints: ['item_group'] }, 'hourly');
+  assert.equal(webhook.received.length + smtp.received.length, 0);
+
+  process.env.NOTIFY_ON = 'failure,success';
+  webhook.fail();
+  const results = await runFetchJob({ endpoints: ['item_group'] }, 'hourly');
+  assert.equal(results.summary.status, 'success');
+  assert.equal(webhook.received.length, 0);
+  assert.equal(smtp.received.length, 1);
+  assert.match(smtp.received[0].data, /^Subject: jasper-fetcher scheduler:hourly success$/m);
+});
+
+test('reports units that fetched far fewer rows than before', async () => {
+  process.env.NOTIFY_ON = 'anomaly';
+  await runFetchJob({ endpoints: ['margin_report', 'item_group'] }, 'reports');
+  await runFetchJob({ endpoints: ['margin_report', 'item_group'] }, 'reports');
+  assert.equal(webhook.received.length, 0);
+
+  // 2 of the usual 7 rows; item_group is incremental and never compared
+  api.fixtures[MARGIN_PATH].records = marginRecords.slice(0, 2);
+  api.fixtures[ITEM_GROUP_PATH].records = itemGroupRecords.slice(0, 1);
+  const results = await runFetchJob({ endpoints: ['margin_report', 'item_group'] }, 'reports');
+  assert.equal(results.summary.status, 'success');
+
+  assert.equal(webhook.received.length, 1);
+  const { body } = webhook.received[0];
+  assert.match(body.text, /^\*jasper-fetcher scheduler:reports success: 1 row count anomaly\*/);
+  assert.deepEqual(body.anomalies.map((a) => [a.table, a.office, a.rows_fetched, a.average]), [['jasper_margin_report', 'BCTN', 2, 7]]);
+  assert.equal(body.units[0].status, 'anomaly');
+  assert.match(body.text, /jasper_margin_report +BCTN +2024-01-01\.\.2024-01-31 +anomaly +2 +2 rows fetched vs 7 before \(-71%\)/);
+});
+
+test('compares row counts with the latest runs of the same unit only', async () => {
+  process.env.NOTIFY_ON = 'anomaly';
+  process.env.NOTIFY_ANOMALY_RUNS = '1';
+  try {
+    // The run before fetched 2 rows, the ones before that 7
+    const results = await runFetchJob({ endpoints: ['margin_report'] }, 'reports');
+    assert.equal(results.summary.status, 'success');
+    assert.equal(webhook.received.length, 1);
+    assert.deepEqual(webhook.received[0].body.anomalies.map((a) => [a.table, a.rows_fetched, a.average]), [['jasper_margin_report', 7, 2]]);
+  } finally {
+    delete process.env.NOTIFY_ANOMALY_RUNS;
+  }
+});
+
+test('backfill runs notify too', async () => {
+  api.inject(MARGIN_PATH, { status: 404 });
+  const { summary } = await fetchAllOffices.main({ endpoints: ['margin_report'], offices: ['BCTN/JKT'], from: '2024-02', to: '2024-03' });
+  assert.equal(summary.failed_count, 1);
+
+  assert.equal(webhook.received.length, 1);
+  const { body } = webhook.received[0];
+  assert.equal(body.run.job, 'all-offices');
+  assert.deepEqual(body.units.map((unit) => [unit.office, unit.range, unit.status]), [
+    ['BCTN/JKT', '2024-02', 'failed'],
+    ['BCTN/JKT', '2024-03', 'success'],
+  ]);
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-scheduler-'));
+
+// Configure before loading the scheduler: logger, API and database settings are read at require time
+Object.assign(process.env, {
+  LOG_LEVEL: 'ERROR',
+  JASPER_API_KEY: 'test-key',
+  OFFICE_CODE: 'BCTN',
+  DATE_RANGE_MODE: 'static',
+  DATE_FROM: '2024-01-01',
+  DATE_TO: '2024-01-31',
+  FETCH_CONCURRENCY: '1',
+  API_RATE_LIMIT: '0',
+  DB_PROVIDER: 'sqlite',
+  SQLITE_PATH: path.join(tmpDir, 'jasper.sqlite'),
+});
+
+const cron = require('node-cron');
+const { createMockApi } = require('../mock-api/server');
+const SQLiteAdapter = require('../../src/database/sqlite-adapter');
+const RunRecorder = require('../../src/services/run-recorder');
+const { runFetchJob, missedJobs } = require('../../src/scheduler');
+
+const ITEM_GROUP_PATH = '/api/client/master/item-group';
+
+let api;
+
+async function withDb(fn) {
+  const db = new SQLiteAdapter({ filename: process.env.SQLITE_PATH });
+  await db.connect();
+  try {
+    return await fn(db);
+  } finally {
+    await db.disconnect();
+  }
+}
+
+const runsOf = (db, job) => db.selectRecords(RunRecorder.RUNS_TABLE, { job });
+
+before(async () => {
+  api = createMockApi({ apiKey: 'test-key', pageSize: 10 });
+  process.env.JASPER_API_URL = await api.start();
+});
+
+after(async () => {
+  await api.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('an interrupted job keeps the pages it stored and is recorded as interrupted', async () => {
+  api.reset();
+  // Stop while page 2 of 3 is on its way: it is still stored, page 3 is never requested
+  api.inject(ITEM_GROUP_PATH, { delay: 300, page: 2 });
+  const controller = new AbortController();
+  const watcher = setInterval(() => {
+    if (api.requests.some((r) => r.path === ITEM_GROUP_PATH && r.query.page_number === '2')) {
+      controller.abort(new RunRecorder.RunInterruptedError('Interrupted by SIGTERM'));
+    }
+  }, 10);
+
+  let results;
+  try {
+    results = await runFetchJob({ endpoints: ['jasper_item_group', 'jasper_customer'], signal: controller.signal }, 'nightly');
+  } finally {
+    clearInterval(watcher);
+  }
+
+  assert.equal(results.interrupted, true);
+  assert.equal(api.requests.some((r) => r.query.page_number === '3'), false);
+  assert.equal(api.requests.some((r) => r.path === '/api/client/master/customer'), false);
+
+  await withDb(async (db) => {
+    assert.equal((await db.selectRecords('jasper_item_group')).length, 20);
+    const [run] = await runsOf(db, 'scheduler:nightly');
+    assert.equal(run.status, 'interrupted');
+    assert.equal(run.error_message, 'Interrupted by SIGTERM');
+    const items = await db.selectRecords(RunRecorder.RUN_ITEMS_TABLE, { run_id: run.run_id });
+    assert.deepEqual(items.map((item) => [item.table_name, item.status]), [['jasper_item_group', 'interrupted']]);
+  });
+});
+
+test('a job is skipped while its lock is held elsewhere', async () => {
+  api.reset();
+  await withDb(async (db) => {
+    const release = await db.tryLock('jasper-fetcher:hourly');
+    assert.ok(release);
+    assert.equal(await db.tryLock('jasper-fetcher:hourly'), null);
+    try {
+      const results = await runFetchJob({ endpoints: ['jasper_item_group'] }, 'hourly');
+      assert.equal(results.locked, true);
+    } finally {
+      await release();
+    }
+  });
+  assert.equal(api.requests.length, 0);
+
+  const results = await runFetchJob({ endpoints: ['jasper_item_group'] }, 'hourly');
+  assert.deepEqual(results.success, ['jasper_item_group']);
+  await withDb(async (db) => {
+    assert.deepEqual((await runsOf(db, 'scheduler:hourly')).map((run) => run.status), ['success']);
+  });
+});
+
+test('catches up on jobs whose scheduled run passed since their last run', async () => {
+  await withDb(async (db) => {
+    // Recorded runs at the given times
+    const record = async (job, startedAt, interrupted = false) => {
+      const recorder = new RunRecorder(db, `${job}-${startedAt}`, `scheduler:${job}`);
+      await recorder.start();
+      await recorder.finish(interrupted ? new RunRecorder.RunInterruptedError('Interrupted by SIGINT') : null);
+      await db.updateRecords(RunRecorder.RUNS_TABLE, { started_at: new Date(startedAt) }, { run_id: recorder.runId });
+    };
+    // 02:00 in Asia/Jakarta is 19:00 UTC the day before
+    await record('daily', '2024-06-01T19:00:00Z');
+    await record('daily', '2024-06-02T19:00:00Z', true);
+    await record('monthly', '2024-05-31T17:00:00Z');
+    await record('opted-out', '2024-01-01T00:00:00Z');
+
+    const jobs = [
+      { name: 'daily', cron: '0 2 * * *', catchUp: true },
+      { name: 'monthly', cron: '0 0 1 * *', catchUp: true },
+      { name: 'opted-out', cron: '0 2 * * *', catchUp: false },
+      { name: 'never-ran', cron: '0 2 * * *', catchUp: true },
+    ];
+    const names = async (now) => (await missedJobs(jobs, db, new Date(now))).map((job) => job.name);
+
+    // The interrupted run on 2024-06-03 does not count
+    assert.deepEqual(await names('2024-06-02T20:00:00Z'), ['daily']);
+    assert.deepEqual(await names('2024-06-02T18:59:00Z'), []);
+    assert.deepEqual(await names('2024-06-30T17:00:00Z'), ['daily', 'monthly']);
+  });
+});
+
+// missedJobs() relies on node-cron internals; an upgrade that changes them fails here
+test('node-cron finds the next match of a task in its timezone', () => {
+  const task = cron.createTask('0 2 * * *', () => {}, { timezone: 'Asia/Jakarta' });
+  try {
+    assert.equal(typeof task.timeMatcher.getNextMatch, 'function');
+    assert.equal(task.timeMatcher.getNextMatch(new Date('2024-06-01T19:00:00Z')).toISOString(), '2024-06-02T19:00:00.000Z');
+    assert.equal(task.timeMatcher.getNextMatch(new Date('2024-06-01T18:00:00Z')).toISOString(), '2024-06-01T19:00:00.000Z');
+  } finally {
+    task.destroy();
+  }
+});
+
+test('records undeclared arrays with the run', async () => {
+  const fixture = api.fixtures[ITEM_GROUP_PATH];
+  const records = fixture.records;
+  fixture.records = records.map((record, i) => (i === 0 ? { ...record, tags: ['a', 'b'] } : record));
+  try {
+    const results = await runFetchJob({ endpoints: ['item_group'], full: true }, 'arrays');
+    const undeclared = { [ITEM_GROUP_PATH]: { tags: 'dropped' } };
+    assert.deepEqual(results.summary.undeclared_arrays, undeclared);
+
+    const [run] = await withDb((db) => runsOf(db, 'scheduler:arrays'));
+    assert.deepEqual(JSON.parse(run.undeclared_arrays), undeclared);
+  } finally {
+    fixture.records = records;
+  }
+});
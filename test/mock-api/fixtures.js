@@ -0,0 +1,44 @@
+const endpoints = require('../../src/endpoints/definitions');
+
+// Key columns filled from the request (reports) or by the fetcher (_parent_*)
+const CONTEXT_COLUMNS = ['office_code', 'date_from', 'date_to'];
+
+function recordFor(uniqueKey, index) {
+  const record = {};
+  for (const column of uniqueKey || []) {
+    if (column.startsWith('_') || CONTEXT_COLUMNS.includes(column)) continue;
+    record[column] = `${column.toUpperCase()}-${String(index).padStart(3, '0')}`;
+  }
+  record.description = `Record ${index}`;
+  record.amount = index * 1000.5;
+  record.created_date = '2024-01-15';
+  record.updated_at = `2024-01-${String(1 + (index % 28)).padStart(2, '0')} 10:00:00`;
+  record.audit = { created_by: 'admin', updated_at: '2024-01-15 10:00:00' };
+  return record;
+}
+
+// Deterministic records for every path in definitions.js. Master data and
+// transactions are paginated ({ data, current_page, count }); reports are
+// returned as bare arrays. Nested tables get two child records per parent.
+function buildFixtures(options = {}) {
+  const pagedCount = options.pagedCount || 23;
+  const reportCount = options.reportCount || 7;
+  const fixtures = {};
+
+  for (const endpoint of endpoints) {
+    const count = endpoint.requiresDate ? reportCount : pagedCount;
+    const records = [];
+    for (let i = 1; i <= count; i++) {
+      const record = recordFor(endpoint.uniqueKey, i);
+      for (const nested of endpoint.nestedTables || []) {
+        record[nested.nestedKey] = [1, 2].map((j) => recordFor(nested.uniqueKey, i * 10 + j));
+      }
+      records.push(record);
+    }
+    fixtures[endpoint.path] = { paginated: !endpoint.requiresDate, incremental: endpoint.incremental, records };
+  }
+
+  return fixtures;
+}
+
+module.exports = { buildFixtures };
@@ -0,0 +1,173 @@
+const http = require('http');
+const net = require('net');
+
+// Local stand-ins for notification receivers: an HTTP endpoint taking
+// webhook POSTs and a minimal SMTP server. Both keep what they received in
+// .received and start on a free port unless given one.
+
+function listen(server, port) {
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// Webhook receiver: every POST body is parsed as JSON into received. fail(n)
+// answers the next n requests with 500.
+function createWebhookSink() {
+  const received = [];
+  let failures = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      if (failures > 0) {
+        failures--;
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        return res.end('Injected error');
+      }
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  return {
+    received,
+    fail(times = 1) {
+      failures = times;
+    },
+    reset() {
+      received.length = 0;
+      failures = 0;
+    },
+    async start(port = 0) {
+      return `http://127.0.0.1:${await listen(server, port)}/hooks/jasper`;
+    },
+    stop() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// SMTP receiver speaking just enough of the protocol for nodemailer without
+// TLS: EHLO, AUTH PLAIN, MAIL FROM, RCPT TO, DATA, RSET and QUIT. Messages
+// land in received as { from, to, auth, data } with data the raw message.
+function createSmtpSink() {
+  const received = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [], auth: null };
+    let data = null;
+    let buffer = '';
+
+    reply('220 localhost SMTP stand-in');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            received.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [], auth: envelope.auth };
+            data = null;
+            reply('250 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const [command] = line.split(' ');
+        switch (command.toUpperCase()) {
+          case 'EHLO':
+            reply('250-localhost');
+            reply('250-AUTH PLAIN');
+            reply('250 8BITMIME');
+            break;
+          case 'HELO':
+            reply('250 localhost');
+            break;
+          case 'AUTH': {
+            const [, user, pass] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\0');
+            envelope.auth = { user, pass };
+            reply('235 Authenticated');
+            break;
+          }
+          case 'MAIL':
+            envelope.from = /<(.*)>/.exec(line)[1];
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            envelope.to.push(/<(.*)>/.exec(line)[1]);
+            reply('250 OK');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [], auth: envelope.auth };
+            reply('250 OK');
+            break;
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  return {
+    received,
+    reset() {
+      received.length = 0;
+    },
+    start(port = 0) {
+      return listen(server, port);
+    },
+    stop() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Standalone: node test/mock-api/notification-sinks.js prints what arrives
+// on WEBHOOK_SINK_PORT (default 4020) and SMTP_SINK_PORT (default 2525)
+if (require.main === module) {
+  const webhook = createWebhookSink();
+  const smtp = createSmtpSink();
+  webhook.start(parseInt(process.env.WEBHOOK_SINK_PORT || '4020', 10)).then((url) => {
+    console.log(`Webhook stand-in listening on ${url}`);
+  });
+  smtp.start(parseInt(process.env.SMTP_SINK_PORT || '2525', 10)).then((port) => {
+    console.log(`SMTP stand-in listening on 127.0.0.1:${port}`);
+  });
+  const print = (list, label) => {
+    const push = list.push.bind(list);
+    list.push = (...items) => {
+      for (const item of items) console.log(`${label}:`, JSON.stringify(item, null, 2));
+      return push(...items);
+    };
+  };
+  print(webhook.received, 'webhook');
+  print(smtp.received, 'mail');
+}
+
+module.exports = { createWebhookSink, createSmtpSink };
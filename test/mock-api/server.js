@@ -0,0 +1,126 @@
+const http = require('http');
+const { buildFixtures } = require('./fixtures');
+
+// Mock Jasper API serving fixtures for every endpoint in definitions.js.
+// Faults can be injected per path to simulate slow, failing or non-JSON
+// responses:
+//   api.inject('/api/client/master/item', { status: 503, times: 2 })
+//   api.inject(path, { status: 429, retryAfter: 1 })
+//   api.inject(path, { delay: 500 })
+//   api.inject(path, { contentType: 'text/html', body: '<html>' })
+//   api.inject(path, { status: 500, page: 2 })   // only requests for page 2
+// Incremental endpoints only return records whose watermark field is at or
+// after the value of their request parameter.
+function createMockApi(options = {}) {
+  const apiKey = options.apiKey || 'test-key';
+  const pageSize = options.pageSize || 10;
+  const fixtures = options.fixtures || buildFixtures(options);
+  const faults = new Map();
+  const requests = [];
+
+  function send(res, status, body, headers = {}) {
+    const isJson = typeof body !== 'string';
+    res.writeHead(status, { 'Content-Type': isJson ? 'application/json' : 'text/plain', ...headers });
+    res.end(isJson ? JSON.stringify(body) : body);
+  }
+
+  function takeFault(path, page) {
+    const list = faults.get(path) || [];
+    const index = list.findIndex((f) => f.page === undefined || f.page === page);
+    if (index === -1) return null;
+    const fault = list[index];
+    fault.times--;
+    if (fault.times <= 0) list.splice(index, 1);
+    return fault;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, query });
+
+    if (req.headers['x-api-key'] !== apiKey) {
+      return send(res, 401, { status: 'error', message: 'Invalid API key' });
+    }
+
+    const fixture = fixtures[url.pathname];
+    if (!fixture) {
+      return send(res, 404, { status: 'error', message: 'Not found' });
+    }
+
+    const page = parseInt(query.page_number, 10) || 1;
+    const fault = takeFault(url.pathname, page);
+    if (fault && fault.delay) {
+      await new Promise((resolve) => setTimeout(resolve, fault.delay));
+    }
+    if (fault && fault.status) {
+      const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return send(res, fault.status, { status: 'error', message: 'Injected error' }, headers);
+    }
+    if (fault && fault.contentType) {
+      res.writeHead(200, { 'Content-Type': fault.contentType });
+      return res.end(fault.body || '');
+    }
+
+    let records = fixture.records;
+    const since = fixture.incremental && query[fixture.incremental.param];
+    if (since) {
+      records = records.filter((record) => record[fixture.incremental.field] >= since);
+    }
+
+    if (!fixture.paginated) {
+      return send(res, 200, records);
+    }
+
+    const start = (page - 1) * pageSize;
+    return send(res, 200, {
+      status: 'success',
+      data: records.slice(start, start + pageSize),
+      current_page: String(page),
+      count: records.length,
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => send(res, 500, { status: 'error', message: error.message }));
+  });
+
+  return {
+    server,
+    fixtures,
+    requests,
+    apiKey,
+
+    inject(path, fault) {
+      if (!faults.has(path)) faults.set(path, []);
+      faults.get(path).push({ times: 1, ...fault });
+    },
+
+    reset() {
+      faults.clear();
+      requests.length = 0;
+    },
+
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Standalone: MOCK_API_PORT=4010 node test/mock-api/server.js
+if (require.main === module) {
+  const api = createMockApi({ apiKey: process.env.JASPER_API_KEY || 'test-key' });
+  api.start(parseInt(process.env.MOCK_API_PORT || '4010', 10)).then((url) => {
+    console.log(`Mock Jasper API listening on ${url} (X-API-KEY: ${api.apiKey})`);
+  });
+}
+
+module.exports = { createMockApi };
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dateRanges, splitRange, monthRanges, today } = require('../../src/utils/date-ranges');
+
+// An instant given as Asia/Jakarta (UTC+7) local time
+const jakarta = (local) => new Date(`${local}+07:00`);
+const spans = (ranges) => ranges.map((r) => [r.label, r.dateFrom, r.dateTo]);
+
+test('takes today in Asia/Jakarta whatever the host timezone', () => {
+  const previousTz = process.env.TZ;
+  process.env.TZ = 'America/Los_Angeles';
+  try {
+    // 2024-12-31 17:30 UTC is already New Year's Day in Jakarta
+    const now = new Date('2024-12-31T17:30:00Z');
+    assert.equal(today(undefined, now), '2025-01-01');
+    assert.equal(today('UTC', now), '2024-12-31');
+    assert.deepEqual(spans(dateRanges('previous_month', { now })), [['previous_month', '2024-12-01', '2024-12-31']]);
+    assert.deepEqual(spans(dateRanges('current_month', { now })), [['current_month', '2025-01-01', '2025-01-01']]);
+  } finally {
+    if (previousTz === undefined) delete process.env.TZ;
+    else process.env.TZ = previousTz;
+  }
+});
+
+test('ends months on their last day, February included', () => {
+  const leap = dateRanges('yearly_by_month', { year: 2024, now: jakarta('2026-06-01T00:00:00') });
+  assert.equal(leap.length, 12);
+  assert.deepEqual(leap[1], { dateFrom: '2024-02-01', dateTo: '2024-02-29', label: '2024-02' });
+  assert.deepEqual(leap[11], { dateFrom: '2024-12-01', dateTo: '2024-12-31', label: '2024-12' });
+
+  assert.deepEqual(spans(dateRanges('previous_month', { now: jakarta('2023-03-31T23:59:00') })), [['previous_month', '2023-02-01', '2023-02-28']]);
+  assert.deepEqual(spans(dateRanges('previous_month', { now: jakarta('2024-03-01T00:00:00') })), [['previous_month', '2024-02-01', '2024-02-29']]);
+  assert.deepEqual(spans(dateRanges('previous_year_by_month', { now: jakarta('2025-01-01T00:00:00') }))[1], ['2024-02', '2024-02-01', '2024-02-29']);
+});
+
+test('cuts the current month at today', () => {
+  assert.deepEqual(spans(dateRanges('ytd_by_month', { now: jakarta('2024-03-15T08:00:00') })), [
+    ['2024-01', '2024-01-01', '2024-01-31'],
+    ['2024-02', '2024-02-01', '2024-02-29'],
+    ['2024-03', '2024-03-01', '2024-03-15'],
+  ]);
+  assert.deepEqual(spans(dateRanges('ytd_by_month', { now: jakarta('2024-01-01T06:00:00'), split: 'none' })), [['ytd_2024', '2024-01-01', '2024-01-01']]);
+});
+
+test('rolls last N days and months across year boundaries', () => {
+  assert.deepEqual(spans(dateRanges('last_n_days', { days: 7, now: jakarta('2025-01-03T12:00:00') })), [['last_7_days', '2024-12-27', '2025-01-03']]);
+  assert.deepEqual(spans(dateRanges('last_n_days', { now: jakarta('2024-03-01T12:00:00') })), [['last_30_days', '2024-01-31', '2024-03-01']]);
+
+  assert.deepEqual(spans(dateRanges('last_n_months', { months: 3, now: jakarta('2025-02-10T12:00:00') })), [
+    ['2024-11', '2024-11-01', '2024-11-30'],
+    ['2024-12', '2024-12-01', '2024-12-31'],
+    ['2025-01', '2025-01-01', '2025-01-31'],
+  ]);
+  assert.deepEqual(spans(dateRanges('last_n_months', { months: 14, now: jakarta('2025-02-10T12:00:00'), split: 'none' })), [['last_14_months', '2023-12-01', '2025-01-31']]);
+});
+
+test('builds fiscal years from a configurable start month', () => {
+  const now = jakarta('2025-02-10T12:00:00');
+  const april = dateRanges('fiscal_year_by_month', { fiscalYearStart: 4, now });
+  assert.equal(april.length, 12);
+  assert.deepEqual(april[0], { dateFrom: '2024-04-01', dateTo: '2024-04-30', label: '2024-04' });
+  assert.deepEqual(april[10], { dateFrom: '2025-02-01', dateTo: '2025-02-28', label: '2025-02' });
+  assert.deepEqual(april[11], { dateFrom: '2025-03-01', dateTo: '2025-03-31', label: '2025-03' });
+
+  assert.deepEqual(spans(dateRanges('fiscal_year_by_month', { fiscalYearStart: 7, year: 2023, split: 'none', now })), [['FY2023-24', '2023-07-01', '2024-06-30']]);
+  assert.deepEqual(spans(dateRanges('previous_fiscal_year_by_month', { fiscalYearStart: 4, split: 'quarter', now })), [
+    ['2023-Q2', '2023-04-01', '2023-06-30'],
+    ['2023-Q3', '2023-07-01', '2023-09-30'],
+    ['2023-Q4', '2023-10-01', '2023-12-31'],
+    ['2024-Q1', '2024-01-01', '2024-03-31'],
+  ]);
+  assert.deepEqual(spans(dateRanges('fiscal_ytd_by_month', { fiscalYearStart: 4, split: 'none', now })), [['FY2024-25_ytd', '2024-04-01', '2025-02-10']]);
+  assert.deepEqual(spans(dateRanges('fiscal_year_by_month', { split: 'none', now })), [['FY2025', '2025-01-01', '2025-12-31']]);
+});
+
+test('splits a from/to range by day, week, month or quarter', () => {
+  assert.deepEqual(spans(splitRange('2024-02-27', '2024-03-01', 'day')).map(([label]) => label), ['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+  assert.equal(splitRange('2023-02-27', '2023-03-01', 'day').length, 3);
+
+  // Weeks run Monday to Sunday and carry their ISO week
+  assert.deepEqual(spans(splitRange('2024-12-25', '2025-01-08', 'week')), [
+    ['2024-W52', '2024-12-25', '2024-12-29'],
+    ['2025-W01', '2024-12-30', '2025-01-05'],
+    ['2025-W02', '2025-01-06', '2025-01-08'],
+  ]);
+  assert.deepEqual(spans(splitRange('2020-12-31', '2021-01-03', 'week')), [['2020-W53', '2020-12-31', '2021-01-03']]);
+
+  assert.deepEqual(spans(splitRange('2024-01-31', '2024-03-05', 'month')), [
+    ['2024-01', '2024-01-31', '2024-01-31'],
+    ['2024-02', '2024-02-01', '2024-02-29'],
+    ['2024-03', '2024-03-01', '2024-03-05'],
+  ]);
+  assert.deepEqual(spans(splitRange('2024-11-15', '2025-02-10', 'quarter')), [
+    ['2024-Q4', '2024-11-15', '2024-12-31'],
+    ['2025-Q1', '2025-01-01', '2025-02-10'],
+  ]);
+
+  assert.deepEqual(spans(dateRanges('static', { from: '2024-01-01', to: '2024-01-31' })), [['static', '2024-01-01', '2024-01-31']]);
+  assert.equal(dateRanges('static', { from: '2024-01-01', to: '2024-01-31', split: 'week' }).length, 5);
+  assert.deepEqual(dateRanges('static', {}), [{ dateFrom: undefined, dateTo: undefined, label: 'static' }]);
+});
+
+test('lists backfill months inclusively across years', () => {
+  assert.deepEqual(spans(monthRanges('2025-11', '2026-02')), [
+    ['2025-11', '2025-11-01', '2025-11-30'],
+    ['2025-12', '2025-12-01', '2025-12-31'],
+    ['2026-01', '2026-01-01', '2026-01-31'],
+    ['2026-02', '2026-02-01', '2026-02-28'],
+  ]);
+});
+
+test('rejects invalid dates, reversed ranges and unknown modes', () => {
+  assert.throws(() => splitRange('2023-02-29', '2023-03-31'), /Invalid date: 2023-02-29/);
+  assert.throws(() => splitRange('2024-13-01', '2024-12-31'), /Invalid date/);
+  assert.throws(() => splitRange('2024-03-01', '2024-02-01'), /ends before it starts/);
+  assert.throws(() => splitRange('2024-03-01', '2024-03-31', 'fortnight'), /Unknown date range split/);
+  assert.throws(() => dateRanges('weekly'), /Unknown date range mode: weekly/);
+});
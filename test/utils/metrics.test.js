@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Registry } = require('../../src/utils/metrics');
+
+test('renders counters and gauges with escaped labels', () => {
+  const registry = new Registry();
+  const pages = registry.counter('jasper_test_pages_total', 'Pages fetched', ['table']);
+  const lastSuccess = registry.gauge('jasper_test_last_success', 'Last success', ['table', 'office']);
+  registry.counter('jasper_test_unused_total', 'Never incremented', ['table']);
+
+  pages.inc({ table: 'jasper_customer' });
+  pages.inc({ table: 'jasper_customer' }, 2);
+  lastSuccess.set({ table: 'jasper_margin_report', office: 'BCTN/"JKT"\\\n' }, 1700000000.5);
+  lastSuccess.set({ table: 'jasper_item_group', office: null }, 42);
+
+  assert.equal(pages.get({ table: 'jasper_customer' }), 3);
+  assert.equal(registry.render(), [
+    '# HELP jasper_test_pages_total Pages fetched',
+    '# TYPE jasper_test_pages_total counter',
+    'jasper_test_pages_total{table="jasper_customer"} 3',
+    '# HELP jasper_test_last_success Last success',
+    '# TYPE jasper_test_last_success gauge',
+    'jasper_test_last_success{table="jasper_margin_report",office="BCTN/\\"JKT\\"\\\\\\n"} 1700000000.5',
+    'jasper_test_last_success{table="jasper_item_group",office=""} 42',
+    '',
+  ].join('\n'));
+});
+
+test('counts histogram observations into cumulative buckets', () => {
+  const registry = new Registry();
+  const latency = registry.histogram('jasper_test_seconds', 'Latency', ['endpoint', 'status'], [0.1, 1]);
+  latency.observe({ endpoint: '/a', status: 200 }, 0.05);
+  latency.observe({ endpoint: '/a', status: 200 }, 0.5);
+  latency.observe({ endpoint: '/a', status: 200 }, 3);
+
+  const lines = registry.render().trim().split('\n').slice(2);
+  assert.deepEqual(lines, [
+    'jasper_test_seconds_bucket{endpoint="/a",status="200",le="0.1"} 1',
+    'jasper_test_seconds_bucket{endpoint="/a",status="200",le="1"} 2',
+    'jasper_test_seconds_bucket{endpoint="/a",status="200",le="+Inf"} 3',
+    'jasper_test_seconds_sum{endpoint="/a",status="200"} 3.55',
+    'jasper_test_seconds_count{endpoint="/a",status="200"} 3',
+  ]);
+
+  const end = latency.startTimer({ endpoint: '/b' });
+  assert.ok(end({ status: 'error' }) >= 0);
+  assert.equal(latency.get({ endpoint: '/b', status: 'error' }), 1);
+});
+
+test('rejects unknown labels, decreasing counters and duplicate names', () => {
+  const registry = new Registry();
+  const pages = registry.counter('jasper_test_pages_total', 'Pages fetched', ['table']);
+  assert.throws(() => pages.inc({ tabel: 'jasper_customer' }), /Unknown labels for jasper_test_pages_total: tabel/);
+  assert.throws(() => pages.inc({ table: 'jasper_customer' }, -1), /cannot go down/);
+  assert.throws(() => registry.gauge('jasper_test_pages_total', 'Again'), /already registered/);
+  assert.equal(registry.render(), '');
+});